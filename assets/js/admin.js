@@ -11,12 +11,66 @@
 	'use strict';
 
 	var CFWAdmin = {
+		/**
+		 * Provider script loaders, keyed by script URL.
+		 */
+		scriptPromises: {},
+
+		/**
+		 * Loaders waiting for their provider's onload callback.
+		 */
+		scriptWaiters: [],
+
+		/**
+		 * Validated settings JSON waiting for the admin to confirm the import.
+		 */
+		pendingImport: null,
+
+		/**
+		 * Number of the latest lockout request, to drop stale responses.
+		 */
+		lockoutRequest: 0,
+
+		/**
+		 * Timer delaying the lockout search while the admin types.
+		 */
+		lockoutSearchTimer: null,
+
+		/**
+		 * IP list fields enhanced by the list editor, keyed by list.
+		 */
+		ipLists: {
+			whitelist: '#cfwc_whitelist_ips',
+			blocklist: '#cfwc_blocklist_ips'
+		},
+
+		/**
+		 * Counter for the IDs of the list editor messages.
+		 */
+		ipRowCount: 0,
+
+		/**
+		 * Global object exposed by each provider script.
+		 */
+		providerGlobals: {
+			turnstile: 'turnstile',
+			recaptcha_v2: 'grecaptcha',
+			recaptcha_v3: 'grecaptcha',
+			hcaptcha: 'hcaptcha'
+		},
+
 		/**
 		 * Initialize admin functionality.
 		 */
 		init: function() {
 			this.bindEvents();
 			this.handleProviderChange();
+
+			if ( $( '.cfwc-lockouts' ).length ) {
+				this.loadLockouts();
+			}
+
+			this.initIpLists();
 		},
 
 		/**
@@ -36,6 +90,81 @@
 				self.testConnection();
 			} );
 
+			// Settings export and import.
+			$( '#cfwc-export-settings' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.exportSettings();
+			} );
+
+			$( '#cfwc-import-file' ).on( 'change', function() {
+				if ( this.files && this.files[ 0 ] ) {
+					self.readImportFile( this.files[ 0 ] );
+				}
+			} );
+
+			$( '#cfwc-import-confirm' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.importSettings();
+			} );
+
+			$( '#cfwc-import-cancel' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.cancelImport();
+			} );
+
+			// Lockout manager.
+			$( '#cfwc-lockouts-refresh' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.loadLockouts();
+			} );
+
+			$( '#cfwc-lockouts-apply' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.applyBulkLockoutAction();
+			} );
+
+			$( '#cfwc-lockouts-search' ).on( 'input', function() {
+				clearTimeout( self.lockoutSearchTimer );
+				self.lockoutSearchTimer = setTimeout( function() {
+					self.loadLockouts();
+				}, 300 );
+			} ).on( 'keydown', function( e ) {
+				// Enter would submit the settings form.
+				if ( 13 === e.which ) {
+					e.preventDefault();
+					clearTimeout( self.lockoutSearchTimer );
+					self.loadLockouts();
+				}
+			} );
+
+			$( '#cfwc-lockouts-all' ).on( 'change', function() {
+				$( '.cfwc-lockouts-table tbody input[type="checkbox"]' ).prop( 'checked', this.checked );
+			} );
+
+			$( '.cfwc-lockouts-table' ).on( 'click', '[data-lockout-action]', function( e ) {
+				e.preventDefault();
+				self.loadLockouts( $( this ).data( 'lockout-action' ), [ $( this ).closest( 'tr' ).data( 'ip' ) ] );
+			} );
+
+			// IP tester.
+			$( '#cfwc-test-ip-button' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.testIp();
+			} );
+
+			$( '#cfwc-test-ip' ).on( 'keydown', function( e ) {
+				// Enter would submit the settings form.
+				if ( 13 === e.which ) {
+					e.preventDefault();
+					self.testIp();
+				}
+			} );
+
+			// Low score challenge fields.
+			$( '#cfwc_escalation_provider' ).on( 'change', function() {
+				self.toggleScoreThreshold();
+			} );
+
 			// Score threshold visibility (only for reCAPTCHA v3).
 			this.toggleScoreThreshold();
 		},
@@ -47,24 +176,21 @@
 			var provider = $( '#cfwc_provider' ).val();
 			var $siteKeyRow = $( '#cfwc_site_key' ).closest( 'tr' );
 			var $secretKeyRow = $( '#cfwc_secret_key' ).closest( 'tr' );
-			var $scoreRow = $( '#cfwc_score_threshold' ).closest( 'tr' );
 
-			// Honeypot doesn't need API keys.
-			if ( provider === 'honeypot' ) {
+			// Self-hosted providers don't need API keys.
+			if ( provider === 'honeypot' || provider === 'proof_of_work' ) {
 				$siteKeyRow.hide();
 				$secretKeyRow.hide();
-				$scoreRow.hide();
 			} else {
 				$siteKeyRow.show();
 				$secretKeyRow.show();
 			}
 
+			// Difficulty only for proof-of-work.
+			$( '#cfwc_pow_difficulty' ).closest( 'tr' ).toggle( provider === 'proof_of_work' );
+
 			// Score threshold only for reCAPTCHA v3.
-			if ( provider === 'recaptcha_v3' ) {
-				$scoreRow.show();
-			} else {
-				$scoreRow.hide();
-			}
+			this.toggleScoreThreshold();
 
 			// Update API key link.
 			this.updateApiKeyLink( provider );
@@ -92,16 +218,20 @@
 		},
 
 		/**
-		 * Toggle score threshold visibility.
+		 * Toggle score threshold and low score challenge visibility.
 		 */
 		toggleScoreThreshold: function() {
 			var provider = $( '#cfwc_provider' ).val();
-			var $scoreRow = $( '#cfwc_score_threshold' ).closest( 'tr' );
+			var escalation = $( '#cfwc_escalation_provider' ).val();
+			var $scoreRows = $( '#cfwc_score_threshold, #cfwc_escalation_provider' ).closest( 'tr' );
+			var $challengeRows = $( '#cfwc_escalation_site_key, #cfwc_escalation_secret_key, #cfwc_score_floor' ).closest( 'tr' );
 
 			if ( provider === 'recaptcha_v3' ) {
-				$scoreRow.show();
+				$scoreRows.show();
+				$challengeRows.toggle( !! escalation );
 			} else {
-				$scoreRow.hide();
+				$scoreRows.hide();
+				$challengeRows.hide();
 			}
 		},
 
@@ -143,7 +273,12 @@
 				success: function( response ) {
 					$button.prop( 'disabled', false );
 
-					if ( response.success ) {
+					if ( response.success && cfwAdmin.scripts[ provider ] ) {
+						// Prove the round trip with a real token.
+						$result.removeClass( 'loading error' )
+							   .text( cfwAdmin.i18n.solve );
+						self.renderPreview( provider, siteKey, secretKey );
+					} else if ( response.success ) {
 						$result.removeClass( 'loading error' )
 							   .addClass( 'success' )
 							   .text( cfwAdmin.i18n.success );
@@ -160,7 +295,1155 @@
 						   .text( cfwAdmin.i18n.failed );
 				}
 			} );
-		}
+		},
+
+		/**
+		 * Render the provider's widget with the unsaved keys.
+		 *
+		 * reCAPTCHA v3 runs invisibly with the test action; the other
+		 * providers wait for the admin to solve the widget.
+		 *
+		 * @param {string} provider  Provider ID.
+		 * @param {string} siteKey   Unsaved site key.
+		 * @param {string} secretKey Unsaved secret key.
+		 */
+		renderPreview: function( provider, siteKey, secretKey ) {
+			var self = this;
+			var $preview = $( '.cfwc-test-preview' );
+			var $result = $( '.cfwc-test-result' );
+			var widget = document.createElement( 'div' );
+
+			// Providers render once per element, so each test gets a new one.
+			$preview.find( '.cfwc-test-widget' ).empty().append( widget );
+			$preview.find( '.cfwc-test-details' ).empty();
+			$preview.prop( 'hidden', false );
+
+			var onError = function() {
+				$result.removeClass( 'loading success' )
+					   .addClass( 'error' )
+					   .text( cfwAdmin.i18n.widgetError );
+			};
+
+			var onToken = function( token ) {
+				self.verifyToken( provider, siteKey, secretKey, token );
+			};
+
+			this.loadScript( provider ).then( function( api ) {
+				var widgetId;
+				var options = {
+					sitekey: siteKey,
+					size: provider === 'recaptcha_v3' ? 'invisible' : 'normal',
+					badge: 'inline',
+					'error-callback': onError,
+					'expired-callback': onError
+				};
+
+				// execute() hands reCAPTCHA v3 tokens over; a callback would verify them twice.
+				if ( provider !== 'recaptcha_v3' ) {
+					options.callback = onToken;
+				}
+
+				try {
+					widgetId = api.render( widget, options );
+				} catch ( e ) {
+					onError();
+					return;
+				}
+
+				if ( provider === 'recaptcha_v3' ) {
+					api.execute( widgetId, { action: cfwAdmin.testAction } ).then( onToken, onError );
+				}
+			}, function() {
+				$result.removeClass( 'loading success' )
+					   .addClass( 'error' )
+					   .text( cfwAdmin.i18n.unavailable );
+			} );
+		},
+
+		/**
+		 * Load a provider script.
+		 *
+		 * The script URLs name cfwcProviderLoaded as their onload callback.
+		 *
+		 * @param {string} provider Provider ID.
+		 * @return {Promise} Resolves with the provider's global object.
+		 */
+		loadScript: function( provider ) {
+			var self = this;
+			var url = cfwAdmin.scripts[ provider ];
+			var name = this.providerGlobals[ provider ];
+			var api = window[ name ];
+
+			if ( api && typeof api.render === 'function' ) {
+				return Promise.resolve( api );
+			}
+
+			if ( ! this.scriptPromises[ url ] ) {
+				this.scriptPromises[ url ] = new Promise( function( resolve, reject ) {
+					var script = document.createElement( 'script' );
+
+					self.scriptWaiters.push( { name: name, resolve: resolve } );
+
+					script.src = url;
+					script.async = true;
+					script.onerror = function() {
+						delete self.scriptPromises[ url ];
+						reject( new Error( 'Captcha for WooCommerce: Provider script failed to load.' ) );
+					};
+					document.head.appendChild( script );
+				} );
+			}
+
+			return this.scriptPromises[ url ];
+		},
+
+		/**
+		 * Resolve the loaders whose provider script has loaded.
+		 */
+		onScriptLoaded: function() {
+			this.scriptWaiters = this.scriptWaiters.filter( function( waiter ) {
+				var api = window[ waiter.name ];
+
+				if ( api && typeof api.render === 'function' ) {
+					waiter.resolve( api );
+					return false;
+				}
+
+				return true;
+			} );
+		},
+
+		/**
+		 * Verify a token from the preview widget on the server.
+		 *
+		 * @param {string} provider  Provider ID.
+		 * @param {string} siteKey   Unsaved site key.
+		 * @param {string} secretKey Unsaved secret key.
+		 * @param {string} token     Token from the widget.
+		 */
+		verifyToken: function( provider, siteKey, secretKey, token ) {
+			var self = this;
+			var $result = $( '.cfwc-test-result' );
+
+			$result.removeClass( 'success error' )
+				   .addClass( 'loading' )
+				   .text( cfwAdmin.i18n.verifying );
+
+			$.ajax( {
+				url: cfwAdmin.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cfwc_test_token',
+					nonce: cfwAdmin.nonce,
+					provider: provider,
+					site_key: siteKey,
+					secret_key: secretKey,
+					token: token
+				},
+				success: function( response ) {
+					var data = response.data || {};
+
+					$result.removeClass( 'loading success error' )
+						   .addClass( response.success ? 'success' : 'error' )
+						   .text( data.message || ( response.success ? cfwAdmin.i18n.verified : cfwAdmin.i18n.failed ) );
+
+					self.showDetails( provider, data );
+				},
+				error: function() {
+					$result.removeClass( 'loading success' )
+						   .addClass( 'error' )
+						   .text( cfwAdmin.i18n.failed );
+				}
+			} );
+		},
+
+		/**
+		 * List the provider's response fields in the preview panel.
+		 *
+		 * @param {string} provider Provider ID.
+		 * @param {Object} data     Response details from the server.
+		 */
+		showDetails: function( provider, data ) {
+			var $details = $( '.cfwc-test-details' ).empty();
+			var rows = [
+				[ cfwAdmin.i18n.hostname, data.hostname ],
+				[ cfwAdmin.i18n.action, data.action ],
+				[ cfwAdmin.i18n.errorCodes, ( data.error_codes || [] ).join( ', ' ) ]
+			];
+
+			if ( provider === 'recaptcha_v3' ) {
+				rows.splice( 2, 0, [ cfwAdmin.i18n.score, data.score === null || data.score === undefined ? '' : String( data.score ) ] );
+			}
+
+			rows.forEach( function( row ) {
+				$details.append( $( '<dt>' ).text( row[ 0 ] ), $( '<dd>' ).text( row[ 1 ] || cfwAdmin.i18n.none ) );
+			} );
+		},
+
+		/**
+		 * Download the current settings as a JSON file.
+		 */
+		exportSettings: function() {
+			var $button = $( '#cfwc-export-settings' );
+
+			$button.prop( 'disabled', true );
+
+			$.ajax( {
+				url: cfwAdmin.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cfwc_export_settings',
+					nonce: cfwAdmin.nonce,
+					include_secrets: $( '#cfwc-export-secrets' ).is( ':checked' ) ? 'yes' : 'no'
+				},
+				success: function( response ) {
+					$button.prop( 'disabled', false );
+
+					if ( ! response.success ) {
+						window.alert( ( response.data && response.data.message ) || cfwAdmin.i18n.exportFailed );
+						return;
+					}
+
+					var url = URL.createObjectURL( new Blob( [ response.data.settings ], { type: 'application/json' } ) );
+					var link = document.createElement( 'a' );
+
+					link.href = url;
+					link.download = response.data.filename;
+					document.body.appendChild( link );
+					link.click();
+					link.remove();
+					URL.revokeObjectURL( url );
+				},
+				error: function() {
+					$button.prop( 'disabled', false );
+					window.alert( cfwAdmin.i18n.exportFailed );
+				}
+			} );
+		},
+
+		/**
+		 * Read an uploaded settings file and preview it.
+		 *
+		 * @param {File} file Settings file.
+		 */
+		readImportFile: function( file ) {
+			var self = this;
+			var reader = new FileReader();
+
+			reader.onload = function() {
+				self.previewImport( String( reader.result ) );
+			};
+
+			reader.onerror = function() {
+				self.pendingImport = null;
+				self.showImportMessages( [ [ 'error', cfwAdmin.i18n.importBadFile ] ], false );
+			};
+
+			reader.readAsText( file );
+		},
+
+		/**
+		 * Validate imported settings and list the changes.
+		 *
+		 * The settings schema and the current values come from the
+		 * data attributes of the import panel. Secrets are never on the
+		 * page, so the diff only says they will be replaced.
+		 *
+		 * @param {string} text File contents.
+		 */
+		previewImport: function( text ) {
+			var self = this;
+			var $panel = $( '.cfwc-import-export' );
+			var schema = $panel.data( 'schema' ) || {};
+			var current = $panel.data( 'current' ) || {};
+			var $rows = $panel.find( '.cfwc-import-diff tbody' ).empty();
+			var valid = {};
+			var unknown = [];
+			var invalid = [];
+			var messages = [];
+			var changes = 0;
+			var data;
+
+			this.pendingImport = null;
+
+			try {
+				data = JSON.parse( text );
+			} catch ( e ) {
+				data = null;
+			}
+
+			if ( ! data || typeof data !== 'object' || Array.isArray( data ) ) {
+				this.showImportMessages( [ [ 'error', cfwAdmin.i18n.importBadFile ] ], false );
+				return;
+			}
+
+			Object.keys( data ).forEach( function( key ) {
+				var rule = schema[ key ];
+
+				if ( ! rule ) {
+					unknown.push( key );
+					return;
+				}
+
+				if ( ! self.isValidValue( rule, data[ key ] ) ) {
+					invalid.push( rule.label + ' (' + key + ')' );
+					return;
+				}
+
+				valid[ key ] = data[ key ];
+
+				if ( rule.secret ) {
+					changes++;
+					$rows.append( self.createDiffRow( rule.label, cfwAdmin.i18n.hidden, cfwAdmin.i18n.replaced ) );
+				} else if ( ! self.isSameValue( current[ key ], data[ key ] ) ) {
+					changes++;
+					$rows.append( self.createDiffRow( rule.label, self.formatValue( current[ key ] ), self.formatValue( data[ key ] ) ) );
+				}
+			} );
+
+			if ( invalid.length ) {
+				messages.push( [ 'error', cfwAdmin.i18n.importInvalid.replace( '%s', invalid.join( ', ' ) ) ] );
+			}
+
+			if ( unknown.length ) {
+				messages.push( [ 'warning', cfwAdmin.i18n.importUnknown.replace( '%s', unknown.join( ', ' ) ) ] );
+			}
+
+			if ( Object.keys( schema ).some( function( key ) {
+				return schema[ key ].secret && ! data.hasOwnProperty( key );
+			} ) ) {
+				messages.push( [ 'info', cfwAdmin.i18n.importSecrets ] );
+			}
+
+			if ( ! invalid.length && ! changes ) {
+				messages.push( [ 'info', cfwAdmin.i18n.importSame ] );
+			}
+
+			// Nothing is imported while any value is invalid.
+			if ( ! invalid.length && changes ) {
+				this.pendingImport = JSON.stringify( valid );
+			}
+
+			this.showImportMessages( messages, changes > 0 );
+		},
+
+		/**
+		 * Show the import preview with its messages.
+		 *
+		 * @param {Array}   messages Pairs of notice type and text.
+		 * @param {boolean} hasDiff  Whether the diff table has rows.
+		 */
+		showImportMessages: function( messages, hasDiff ) {
+			var $panel = $( '.cfwc-import-export' );
+			var $messages = $panel.find( '.cfwc-import-messages' ).empty();
+
+			messages.forEach( function( message ) {
+				$messages.append(
+					$( '<div>' ).addClass( 'notice inline notice-' + message[ 0 ] ).append( $( '<p>' ).text( message[ 1 ] ) )
+				);
+			} );
+
+			$panel.find( '.cfwc-import-diff' ).toggle( hasDiff );
+			$( '#cfwc-import-confirm' ).prop( 'disabled', ! this.pendingImport );
+			$panel.find( '.cfwc-import-preview' ).prop( 'hidden', false );
+		},
+
+		/**
+		 * Create a row of the import diff table.
+		 *
+		 * @param {string} label    Setting label.
+		 * @param {string} current  Current value.
+		 * @param {string} imported Imported value.
+		 * @return {jQuery} Table row.
+		 */
+		createDiffRow: function( label, current, imported ) {
+			return $( '<tr>' ).append(
+				$( '<th scope="row">' ).text( label ),
+				$( '<td>' ).text( current ),
+				$( '<td>' ).text( imported )
+			);
+		},
+
+		/**
+		 * Check an imported value against its rule.
+		 *
+		 * Mirrors Settings_Page::is_valid_import_value().
+		 *
+		 * @param {Object} rule  Rule from the settings schema.
+		 * @param {*}      value Imported value.
+		 * @return {boolean} True if the value is valid.
+		 */
+		isValidValue: function( rule, value ) {
+			switch ( rule.type ) {
+				case 'enum':
+					return ( typeof value === 'string' || typeof value === 'number' ) &&
+						rule.options.indexOf( String( value ) ) !== -1;
+
+				case 'list':
+					return Array.isArray( value ) && value.every( function( item ) {
+						return typeof item === 'string' && ( ! rule.options || rule.options.indexOf( item ) !== -1 );
+					} );
+
+				case 'number':
+					return ( typeof value === 'number' || ( typeof value === 'string' && value.trim() !== '' ) ) &&
+						isFinite( value ) &&
+						( rule.min === null || Number( value ) >= rule.min ) &&
+						( rule.max === null || Number( value ) <= rule.max );
+
+				default:
+					return typeof value === 'string';
+			}
+		},
+
+		/**
+		 * Compare a current and an imported value.
+		 *
+		 * Numbers may be saved as strings and list order doesn't matter.
+		 *
+		 * @param {*} current  Current value.
+		 * @param {*} imported Imported value.
+		 * @return {boolean} True if the values are the same.
+		 */
+		isSameValue: function( current, imported ) {
+			if ( Array.isArray( current ) || Array.isArray( imported ) ) {
+				return JSON.stringify( ( current || [] ).slice().sort() ) === JSON.stringify( ( imported || [] ).slice().sort() );
+			}
+
+			return String( current === undefined || current === null ? '' : current ) === String( imported );
+		},
+
+		/**
+		 * Format a setting value for the diff table.
+		 *
+		 * @param {*} value Setting value.
+		 * @return {string} Display text.
+		 */
+		formatValue: function( value ) {
+			var text = Array.isArray( value ) ? value.join( ', ' ) : String( value === undefined || value === null ? '' : value );
+
+			return text === '' ? cfwAdmin.i18n.none : text;
+		},
+
+		/**
+		 * Save the previewed settings.
+		 */
+		importSettings: function() {
+			var self = this;
+			var $button = $( '#cfwc-import-confirm' );
+
+			if ( ! this.pendingImport ) {
+				return;
+			}
+
+			$button.prop( 'disabled', true );
+
+			$.ajax( {
+				url: cfwAdmin.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cfwc_import_settings',
+					nonce: cfwAdmin.nonce,
+					settings: this.pendingImport
+				},
+				success: function( response ) {
+					if ( response.success ) {
+						// The file input counts as an unsaved change for WooCommerce.
+						window.onbeforeunload = null;
+						window.location.reload();
+						return;
+					}
+
+					$button.prop( 'disabled', false );
+					self.showImportMessages( [ [ 'error', ( response.data && response.data.message ) || cfwAdmin.i18n.importFailed ] ], true );
+				},
+				error: function() {
+					$button.prop( 'disabled', false );
+					self.showImportMessages( [ [ 'error', cfwAdmin.i18n.importFailed ] ], true );
+				}
+			} );
+		},
+
+		/**
+		 * Discard the previewed settings.
+		 */
+		cancelImport: function() {
+			this.pendingImport = null;
+			$( '#cfwc-import-file' ).val( '' );
+			$( '.cfwc-import-preview' ).prop( 'hidden', true );
+		},
+
+		/**
+		 * Apply the selected bulk action to the checked IPs.
+		 */
+		applyBulkLockoutAction: function() {
+			var action = $( '#cfwc-lockouts-action' ).val();
+			var ips = $( '.cfwc-lockouts-table tbody input:checked' ).map( function() {
+				return $( this ).closest( 'tr' ).data( 'ip' );
+			} ).get();
+
+			if ( ! action ) {
+				this.showLockoutStatus( cfwAdmin.i18n.lockoutsNoAction, 'error' );
+				return;
+			}
+
+			if ( ! ips.length ) {
+				this.showLockoutStatus( cfwAdmin.i18n.lockoutsNoSelection, 'error' );
+				return;
+			}
+
+			this.loadLockouts( action, ips );
+		},
+
+		/**
+		 * Load the tracked IPs, optionally applying an action first.
+		 *
+		 * @param {string} [action] Action to apply.
+		 * @param {Array}  [ips]    IPs to apply it to.
+		 */
+		loadLockouts: function( action, ips ) {
+			var self = this;
+			var request = ++this.lockoutRequest;
+			var $table = $( '.cfwc-lockouts-table' );
+
+			$table.attr( 'aria-busy', 'true' );
+
+			$.ajax( {
+				url: cfwAdmin.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: action ? 'cfwc_update_lockouts' : 'cfwc_get_lockouts',
+					nonce: cfwAdmin.nonce,
+					lockout_action: action || '',
+					ips: ips || [],
+					search: $( '#cfwc-lockouts-search' ).val()
+				},
+				success: function( response ) {
+					if ( request !== self.lockoutRequest ) {
+						return;
+					}
+
+					if ( ! response.success ) {
+						self.showLockoutStatus( ( response.data && response.data.message ) || cfwAdmin.i18n.lockoutsFailed, 'error' );
+						return;
+					}
+
+					self.renderLockouts( response.data );
+				},
+				error: function() {
+					if ( request === self.lockoutRequest ) {
+						self.showLockoutStatus( cfwAdmin.i18n.lockoutsFailed, 'error' );
+					}
+				},
+				complete: function() {
+					if ( request === self.lockoutRequest ) {
+						$table.removeAttr( 'aria-busy' );
+					}
+				}
+			} );
+		},
+
+		/**
+		 * Render the lockout table.
+		 *
+		 * @param {Object} data Rows, total and attempt limit from the server.
+		 */
+		renderLockouts: function( data ) {
+			var self = this;
+			var $rows = $( '.cfwc-lockouts-table tbody' ).empty();
+			var status = data.message || '';
+
+			$( '#cfwc-lockouts-all' ).prop( 'checked', false );
+
+			// Keep the list field in sync so saving the form keeps new entries.
+			if ( data.field ) {
+				this.loadIpList( $( '#' + data.field.id ).val( data.field.value ) );
+			}
+
+			data.rows.forEach( function( row ) {
+				$rows.append( self.createLockoutRow( row, data.maxAttempts ) );
+			} );
+
+			if ( ! data.rows.length ) {
+				$rows.append(
+					$( '<tr>' ).append(
+						$( '<td colspan="5">' ).text( cfwAdmin.i18n.lockoutsEmpty )
+					)
+				);
+			} else if ( data.total > data.rows.length ) {
+				status += ' ' + cfwAdmin.i18n.lockoutsShowing
+					.replace( '%1$s', data.rows.length )
+					.replace( '%2$s', data.total );
+			}
+
+			this.showLockoutStatus( status.trim(), 'success' );
+		},
+
+		/**
+		 * Create a lockout table row.
+		 *
+		 * @param {Object} row         Tracked IP.
+		 * @param {number} maxAttempts Failed attempts that trigger a lockout.
+		 * @return {jQuery} Table row.
+		 */
+		createLockoutRow: function( row, maxAttempts ) {
+			var i18n = cfwAdmin.i18n;
+			var near = ! row.locked && row.attempts >= maxAttempts - 1;
+			var status = i18n.lockoutsWatching;
+			var $actions = $( '<td class="cfwc-lockouts-actions">' );
+
+			if ( row.locked ) {
+				status = i18n.lockoutsLocked.replace( '%s', this.formatRemaining( row.remaining ) );
+			} else if ( near ) {
+				status = i18n.lockoutsNear;
+			}
+
+			[
+				[ 'unlock', i18n.lockoutsUnlock ],
+				[ 'extend', row.locked ? i18n.lockoutsExtend : i18n.lockoutsLock ],
+				[ 'whitelist', i18n.lockoutsWhitelist ],
+				[ 'blocklist', i18n.lockoutsBlocklist ]
+			].forEach( function( action ) {
+				$actions.append(
+					$( '<button type="button" class="button-link">' )
+						.attr( 'data-lockout-action', action[ 0 ] )
+						.attr( 'aria-label', action[ 1 ] + ' ' + row.ip )
+						.text( action[ 1 ] )
+				);
+			} );
+
+			return $( '<tr>' ).attr( 'data-ip', row.ip ).toggleClass( 'is-locked', row.locked ).append(
+				$( '<th scope="row" class="check-column">' ).append(
+					$( '<input type="checkbox">' ).attr( 'aria-label', i18n.lockoutsSelect.replace( '%s', row.ip ) )
+				),
+				$( '<td class="cfwc-lockouts-ip">' ).text( row.ip ),
+				$( '<td>' ).text( i18n.lockoutsAttempts.replace( '%1$s', row.attempts ).replace( '%2$s', maxAttempts ) ),
+				$( '<td>' ).addClass( row.locked || near ? 'cfwc-lockouts-warning' : '' ).text( status ),
+				$actions
+			);
+		},
+
+		/**
+		 * Format the remaining lockout time.
+		 *
+		 * @param {number} seconds Remaining seconds.
+		 * @return {string} Remaining minutes, or hours past an hour.
+		 */
+		formatRemaining: function( seconds ) {
+			var minutes = Math.ceil( seconds / 60 );
+
+			if ( minutes > 60 ) {
+				return cfwAdmin.i18n.hours.replace( '%d', Math.ceil( minutes / 60 ) );
+			}
+
+			return cfwAdmin.i18n.minutes.replace( '%d', minutes );
+		},
+
+		/**
+		 * Show a message above the lockout table.
+		 *
+		 * @param {string} message Message text.
+		 * @param {string} type    success or error.
+		 */
+		showLockoutStatus: function( message, type ) {
+			$( '.cfwc-lockouts-status' )
+				.removeClass( 'success error' )
+				.addClass( message ? type : '' )
+				.text( message );
+		},
+
+		/**
+		 * Replace the IP list textareas with the list editor.
+		 *
+		 * The textareas stay in the form, hidden, and receive every edit,
+		 * so saving works as before.
+		 */
+		initIpLists: function() {
+			var self = this;
+
+			$.each( this.ipLists, function( list, selector ) {
+				var $textarea = $( selector );
+				var $editor;
+
+				if ( ! $textarea.length ) {
+					return;
+				}
+
+				$editor = $( '<div class="cfwc-ip-list">' ).attr( 'data-list', list ).append(
+					$( '<div class="cfwc-ip-rows">' ),
+					$( '<button type="button" class="button cfwc-ip-add">' ).text( cfwAdmin.i18n.ipAdd )
+				);
+
+				$editor.on( 'input', 'input', function() {
+					self.syncIpList( $editor );
+				} );
+
+				$editor.on( 'keydown', 'input', function( e ) {
+					// Enter adds a row instead of submitting the settings form.
+					if ( 13 === e.which ) {
+						e.preventDefault();
+						self.addIpRow( $editor, $( this ).closest( '.cfwc-ip-row' ) );
+					}
+				} );
+
+				$editor.on( 'click', '.cfwc-ip-remove', function() {
+					var $row = $( this ).closest( '.cfwc-ip-row' );
+					var $next = $row.next().length ? $row.next() : $row.prev();
+
+					$row.remove();
+					$next.find( '.cfwc-ip-entry' ).trigger( 'focus' );
+					self.syncIpList( $editor );
+				} );
+
+				$editor.on( 'click', '.cfwc-ip-add', function() {
+					self.addIpRow( $editor );
+				} );
+
+				$textarea.hide().after( $editor );
+				self.loadIpList( $textarea );
+			} );
+		},
+
+		/**
+		 * Rebuild the editor rows from the textarea value.
+		 *
+		 * @param {jQuery} $textarea IP list textarea.
+		 */
+		loadIpList: function( $textarea ) {
+			var self = this;
+			var $editor = $textarea.next( '.cfwc-ip-list' );
+			var $rows = $editor.find( '.cfwc-ip-rows' ).empty();
+
+			if ( ! $editor.length ) {
+				return;
+			}
+
+			( $textarea.val() || '' ).split( '\n' ).forEach( function( line ) {
+				var hash;
+
+				line = line.trim();
+
+				if ( line ) {
+					hash = line.indexOf( '#' );
+					$rows.append( self.createIpRow(
+						( hash === -1 ? line : line.slice( 0, hash ) ).trim(),
+						hash === -1 ? '' : line.slice( hash + 1 ).trim()
+					) );
+				}
+			} );
+
+			if ( ! $rows.children().length ) {
+				$rows.append( this.createIpRow( '', '' ) );
+			}
+
+			// Drop blank lines from the textarea, so its lines match the row numbers.
+			this.syncIpList( $editor );
+		},
+
+		/**
+		 * Create an editor row.
+		 *
+		 * @param {string} entry IP, CIDR range or wildcard pattern.
+		 * @param {string} label Comment stored after the entry.
+		 * @return {jQuery} Row.
+		 */
+		createIpRow: function( entry, label ) {
+			var messageId = 'cfwc-ip-message-' + ( ++this.ipRowCount );
+
+			return $( '<div class="cfwc-ip-row">' ).append(
+				$( '<span class="cfwc-ip-line" aria-hidden="true">' ),
+				$( '<input type="text" class="cfwc-ip-entry" spellcheck="false" autocomplete="off">' )
+					.attr( 'aria-label', cfwAdmin.i18n.ipEntry )
+					.attr( 'aria-describedby', messageId )
+					.val( entry ),
+				$( '<input type="text" class="cfwc-ip-label">' )
+					.attr( 'aria-label', cfwAdmin.i18n.ipLabel )
+					.attr( 'placeholder', cfwAdmin.i18n.ipLabel )
+					.val( label ),
+				$( '<button type="button" class="button-link cfwc-ip-remove">' )
+					.attr( 'aria-label', cfwAdmin.i18n.ipRemove )
+					.text( '\u00d7' ),
+				$( '<span class="cfwc-ip-message">' ).attr( 'id', messageId )
+			);
+		},
+
+		/**
+		 * Add an empty row and focus it.
+		 *
+		 * @param {jQuery} $editor List editor.
+		 * @param {jQuery} [$after] Row to insert after. Defaults to the end.
+		 */
+		addIpRow: function( $editor, $after ) {
+			var $row = this.createIpRow( '', '' );
+
+			if ( $after && $after.length ) {
+				$after.after( $row );
+			} else {
+				$editor.find( '.cfwc-ip-rows' ).append( $row );
+			}
+
+			$row.find( '.cfwc-ip-entry' ).trigger( 'focus' );
+			this.validateIpLists();
+		},
+
+		/**
+		 * Write the editor rows back to the textarea and validate them.
+		 *
+		 * Labels are stored as comments after a #, which the server skips.
+		 *
+		 * @param {jQuery} $editor List editor.
+		 */
+		syncIpList: function( $editor ) {
+			var lines = [];
+
+			$editor.find( '.cfwc-ip-row' ).each( function() {
+				var entry = $( this ).find( '.cfwc-ip-entry' ).val().trim();
+				var label = $( this ).find( '.cfwc-ip-label' ).val().trim();
+
+				if ( entry && label ) {
+					lines.push( entry + ' # ' + label );
+				} else if ( entry || label ) {
+					lines.push( entry || '# ' + label );
+				}
+			} );
+
+			$editor.prev( 'textarea' ).val( lines.join( '\n' ) );
+			this.validateIpLists();
+		},
+
+		/**
+		 * Validate every row and flag duplicate and overlapping entries.
+		 *
+		 * Rows are numbered like the saved lines, which the IP tester
+		 * refers to.
+		 */
+		validateIpLists: function() {
+			var self = this;
+			var rows = { whitelist: [], blocklist: [] };
+
+			$( '.cfwc-ip-list' ).each( function() {
+				var list = $( this ).data( 'list' );
+				var line = 0;
+
+				$( this ).find( '.cfwc-ip-row' ).each( function() {
+					var $row = $( this );
+					var entry = $row.find( '.cfwc-ip-entry' ).val().trim();
+					var filled = entry || $row.find( '.cfwc-ip-label' ).val().trim();
+					var parsed = entry ? self.parseIpEntry( entry ) : {};
+
+					$row.find( '.cfwc-ip-line' ).text( filled ? ++line : '' );
+					$row.removeClass( 'is-match' );
+
+					rows[ list ].push( {
+						$row: $row,
+						entry: entry,
+						line: line,
+						parsed: parsed
+					} );
+				} );
+			} );
+
+			$.each( rows, function( list, listRows ) {
+				listRows.forEach( function( row, index ) {
+					var message = row.parsed.error || '';
+					var warning = ! message && self.findIpConflict( row, listRows.slice( 0, index ) );
+
+					// The blocklist is checked first, so it wins over the whitelist.
+					if ( ! message && ! warning && 'whitelist' === list ) {
+						warning = self.findIpConflict( row, rows.blocklist, cfwAdmin.i18n.ipBlocked );
+					}
+
+					row.$row.find( '.cfwc-ip-entry' ).attr( 'aria-invalid', message ? 'true' : 'false' );
+					row.$row.find( '.cfwc-ip-message' )
+						.removeClass( 'error warning' )
+						.addClass( message ? 'error' : ( warning || row.parsed.warning ? 'warning' : '' ) )
+						.text( message || warning || row.parsed.warning || '' );
+				} );
+			} );
+		},
+
+		/**
+		 * Find an earlier entry that duplicates or overlaps a row.
+		 *
+		 * @param {Object} row      Row to check.
+		 * @param {Array}  others   Rows to compare with.
+		 * @param {string} [format] Message for any overlap, instead of the
+		 *                          duplicate, covered and overlap messages.
+		 * @return {string} Warning, or an empty string.
+		 */
+		findIpConflict: function( row, others, format ) {
+			var i18n = cfwAdmin.i18n;
+			var i, other, relation;
+
+			if ( ! row.parsed.pattern ) {
+				return '';
+			}
+
+			for ( i = 0; i < others.length; i++ ) {
+				other = others[ i ];
+				relation = other.parsed.pattern ? this.compareIpPatterns( other.parsed.pattern, row.parsed.pattern ) : '';
+
+				if ( ! relation ) {
+					continue;
+				}
+
+				if ( ! format ) {
+					format = { same: i18n.ipDuplicate, covers: i18n.ipCovered, overlaps: i18n.ipOverlap }[ relation ];
+				}
+
+				return format.replace( '%1$s', other.entry ).replace( '%2$s', other.line );
+			}
+
+			return '';
+		},
+
+		/**
+		 * Compare two IP patterns.
+		 *
+		 * Patterns are strings of 0, 1 and x (any bit), one character per
+		 * address bit, so CIDR ranges and wildcards compare the same way.
+		 *
+		 * @param {string} a Earlier pattern.
+		 * @param {string} b Pattern to check.
+		 * @return {string} same, covers (a contains b), overlaps, or empty.
+		 */
+		compareIpPatterns: function( a, b ) {
+			var covers = true;
+			var i;
+
+			if ( a.length !== b.length ) {
+				return '';
+			}
+
+			if ( a === b ) {
+				return 'same';
+			}
+
+			for ( i = 0; i < a.length; i++ ) {
+				if ( a[ i ] !== b[ i ] && 'x' !== a[ i ] && 'x' !== b[ i ] ) {
+					return '';
+				}
+
+				if ( a[ i ] !== b[ i ] && 'x' !== a[ i ] ) {
+					covers = false;
+				}
+			}
+
+			return covers ? 'covers' : 'overlaps';
+		},
+
+		/**
+		 * Parse a list entry the way IP_Validator matches it.
+		 *
+		 * @param {string} entry IP, CIDR range or wildcard pattern.
+		 * @return {Object} Bit pattern and an optional warning, or an error.
+		 */
+		parseIpEntry: function( entry ) {
+			var i18n = cfwAdmin.i18n;
+			var parts = entry.split( '/' );
+			var bits, prefix;
+
+			if ( -1 !== entry.indexOf( '*' ) ) {
+				return this.parseIpWildcard( entry );
+			}
+
+			bits = this.ipToBits( parts[ 0 ] );
+
+			if ( parts.length > 2 || ! bits ) {
+				return { error: i18n.ipInvalid };
+			}
+
+			if ( 1 === parts.length ) {
+				return { pattern: bits };
+			}
+
+			prefix = /^\d{1,3}$/.test( parts[ 1 ] ) ? parseInt( parts[ 1 ], 10 ) : -1;
+
+			if ( prefix < 0 || prefix > bits.length ) {
+				return { error: i18n.ipPrefix.replace( '%d', bits.length ) };
+			}
+
+			return {
+				pattern: bits.slice( 0, prefix ) + new Array( bits.length - prefix + 1 ).join( 'x' ),
+				warning: -1 !== bits.indexOf( '1', prefix ) ? i18n.ipHostBits : ''
+			};
+		},
+
+		/**
+		 * Parse an IPv4 wildcard pattern such as 192.168.*.*.
+		 *
+		 * @param {string} entry Wildcard pattern.
+		 * @return {Object} Bit pattern, or an error.
+		 */
+		parseIpWildcard: function( entry ) {
+			var self = this;
+			var parts = entry.split( '.' );
+			var pattern = '';
+
+			if ( -1 !== entry.indexOf( ':' ) ) {
+				return { error: cfwAdmin.i18n.ipWildcardV6 };
+			}
+
+			if ( 4 !== parts.length || ! parts.every( function( part ) {
+				return '*' === part || self.isIpv4Octet( part );
+			} ) ) {
+				return { error: cfwAdmin.i18n.ipWildcard };
+			}
+
+			parts.forEach( function( part ) {
+				pattern += '*' === part ? 'xxxxxxxx' : self.toBits( parseInt( part, 10 ), 8 );
+			} );
+
+			return { pattern: pattern };
+		},
+
+		/**
+		 * Convert an IPv4 or IPv6 address to a string of bits.
+		 *
+		 * @param {string} ip IP address.
+		 * @return {string|null} 32 or 128 bits, or null if invalid.
+		 */
+		ipToBits: function( ip ) {
+			var self = this;
+			var parts = ip.split( '.' );
+			var groups, head, tail, i, bits;
+
+			if ( 4 === parts.length && parts.every( this.isIpv4Octet ) ) {
+				return parts.map( function( part ) {
+					return self.toBits( parseInt( part, 10 ), 8 );
+				} ).join( '' );
+			}
+
+			if ( -1 === ip.indexOf( ':' ) || ! /^[0-9a-f:.]+$/i.test( ip ) || ip.split( '::' ).length > 2 ) {
+				return null;
+			}
+
+			// An IPv4 tail, as in ::ffff:192.0.2.1, is two groups.
+			groups = ip.split( ':' );
+			tail = groups[ groups.length - 1 ];
+
+			if ( -1 !== tail.indexOf( '.' ) ) {
+				bits = this.ipToBits( tail );
+
+				if ( ! bits || 32 !== bits.length ) {
+					return null;
+				}
+
+				ip = ip.slice( 0, -tail.length ) + parseInt( bits.slice( 0, 16 ), 2 ).toString( 16 ) + ':' + parseInt( bits.slice( 16 ), 2 ).toString( 16 );
+			}
+
+			head = ip.split( '::' );
+			groups = head[ 0 ] ? head[ 0 ].split( ':' ) : [];
+			tail = head.length > 1 && head[ 1 ] ? head[ 1 ].split( ':' ) : [];
+
+			if ( head.length > 1 ) {
+				if ( groups.length + tail.length > 7 ) {
+					return null;
+				}
+
+				for ( i = groups.length + tail.length; i < 8; i++ ) {
+					groups.push( '0' );
+				}
+			}
+
+			groups = groups.concat( tail );
+
+			if ( 8 !== groups.length || ! groups.every( function( group ) {
+				return /^[0-9a-f]{1,4}$/i.test( group );
+			} ) ) {
+				return null;
+			}
+
+			return groups.map( function( group ) {
+				return self.toBits( parseInt( group, 16 ), 16 );
+			} ).join( '' );
+		},
+
+		/**
+		 * Check that a string is a decimal IPv4 octet without leading zeros.
+		 *
+		 * @param {string} part Address part.
+		 * @return {boolean} True if valid.
+		 */
+		isIpv4Octet: function( part ) {
+			return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test( part );
+		},
+
+		/**
+		 * Format a number as a fixed number of bits.
+		 *
+		 * @param {number} value  Number.
+		 * @param {number} length Number of bits.
+		 * @return {string} Bits, padded with zeros.
+		 */
+		toBits: function( value, length ) {
+			var bits = value.toString( 2 );
+			return new Array( length - bits.length + 1 ).join( '0' ) + bits;
+		},
+
+		/**
+		 * Ask the server how an IP would be treated by the edited lists.
+		 */
+		testIp: function() {
+			var self = this;
+			var $button = $( '#cfwc-test-ip-button' );
+			var $result = $( '.cfwc-ip-test-result' );
+
+			$button.prop( 'disabled', true );
+			$result.removeClass( 'success error warning' ).text( cfwAdmin.i18n.ipTesting );
+
+			$.ajax( {
+				url: cfwAdmin.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cfwc_test_ip',
+					nonce: cfwAdmin.nonce,
+					ip: $( '#cfwc-test-ip' ).val(),
+					whitelist: $( this.ipLists.whitelist ).val(),
+					blocklist: $( this.ipLists.blocklist ).val()
+				},
+				success: function( response ) {
+					var data = response.data || {};
+
+					if ( ! response.success ) {
+						$result.addClass( 'error' ).text( data.message || cfwAdmin.i18n.ipTestFailed );
+						return;
+					}
+
+					$result
+						.addClass( { blocked: 'error', skipped: 'success', challenged: 'warning' }[ data.result ] )
+						.text( data.message );
+
+					self.highlightIpRow( data.list, data.line );
+				},
+				error: function() {
+					$result.addClass( 'error' ).text( cfwAdmin.i18n.ipTestFailed );
+				},
+				complete: function() {
+					$button.prop( 'disabled', false );
+				}
+			} );
+		},
+
+		/**
+		 * Highlight the editor row of a matched list entry.
+		 *
+		 * @param {string} list Matched list.
+		 * @param {number} line Line of the entry.
+		 */
+		highlightIpRow: function( list, line ) {
+			$( '.cfwc-ip-row' ).removeClass( 'is-match' );
+
+			if ( line ) {
+				$( '.cfwc-ip-list[data-list="' + list + '"] .cfwc-ip-line' ).filter( function() {
+					return $( this ).text() === String( line );
+				} ).closest( '.cfwc-ip-row' ).addClass( 'is-match' );
+			}
+		}
+	};
+
+	// Onload callback passed to the provider script URL.
+	window.cfwcProviderLoaded = function() {
+		CFWAdmin.onScriptLoaded();
 	};
 
 	// Initialize on document ready.
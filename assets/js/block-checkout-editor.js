@@ -0,0 +1,64 @@
+/**
+ * Captcha for WooCommerce - Block Checkout Editor
+ *
+ * Registers the checkout-captcha inner block in the editor so it can be
+ * positioned inside the Checkout block. The widget itself only renders
+ * on the frontend.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+( function( wp, wc ) {
+	'use strict';
+
+	if ( ! wp || ! wp.blocks || ! wp.blockEditor || ! wc || ! wc.wcSettings ) {
+		return;
+	}
+
+	var el = wp.element.createElement;
+	var useBlockProps = wp.blockEditor.useBlockProps;
+	var data = wc.wcSettings.getSetting( 'captcha-for-woocommerce_data', {} );
+
+	if ( ! data.block ) {
+		return;
+	}
+
+	wp.blocks.registerBlockType( data.block.name, {
+		apiVersion: 2,
+		title: data.i18n.title,
+		description: data.i18n.description,
+		category: 'woocommerce',
+		icon: 'shield',
+		parent: data.block.parent,
+		attributes: data.block.attributes,
+		supports: {
+			html: false,
+			multiple: false,
+			reusable: false
+		},
+
+		/**
+		 * Show a placeholder where the widget will appear.
+		 *
+		 * @return {Object} Element.
+		 */
+		edit: function() {
+			return el(
+				'div',
+				useBlockProps( { className: 'cfwc-captcha-field cfwc-block-checkout' } ),
+				el( 'p', { className: 'cfwc-block-checkout-placeholder' }, data.i18n.placeholder.replace( '%s', data.provider ) )
+			);
+		},
+
+		/**
+		 * Save an empty wrapper; the frontend script renders the widget.
+		 *
+		 * @return {Object} Element.
+		 */
+		save: function() {
+			return el( 'div', useBlockProps.save() );
+		}
+	} );
+
+} )( window.wp, window.wc );
@@ -0,0 +1,195 @@
+/**
+ * Captcha for WooCommerce - Block Checkout
+ *
+ * Registers the checkout-captcha inner block for WooCommerce Block Checkout.
+ * Rendering and tokens are handled by window.CFW (frontend.js); this
+ * component places the widget and hands the token to the Store API.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+( function( wp, wc ) {
+	'use strict';
+
+	// Exit if the block checkout APIs or frontend.js are not available.
+	if ( ! wp || ! wp.element || ! wc || ! wc.blocksCheckout || ! wc.wcSettings || ! window.CFW ) {
+		return;
+	}
+
+	var CFW = window.CFW;
+	var el = wp.element.createElement;
+	var useEffect = wp.element.useEffect;
+	var useRef = wp.element.useRef;
+	var data = wc.wcSettings.getSetting( 'captcha-for-woocommerce_data', {} );
+
+	if ( ! data.block ) {
+		return;
+	}
+
+	/**
+	 * Get the token to submit with the order.
+	 *
+	 * reCAPTCHA v3 always fetches a fresh token and invisible widgets run
+	 * their challenge now. A visible widget must already be solved.
+	 *
+	 * @param {Element} wrapper Block wrapper element.
+	 * @return {Promise<string>} Resolves with the token.
+	 */
+	function getSubmitToken( wrapper ) {
+		var container = CFW.getContainer( wrapper );
+		var token = CFW.getToken( wrapper );
+
+		// The low score challenge is a visible widget.
+		if ( container && container.hasAttribute( 'data-cfwc-challenge' ) ) {
+			return token ? Promise.resolve( token ) : Promise.reject( new Error( 'Captcha for WooCommerce: Challenge not completed.' ) );
+		}
+
+		if ( CFW.settings.provider === 'recaptcha_v3' ) {
+			return CFW.execute( wrapper );
+		}
+
+		if ( token ) {
+			return Promise.resolve( token );
+		}
+
+		if ( container && container.hasAttribute( 'data-cfwc-invisible' ) ) {
+			return CFW.execute( wrapper );
+		}
+
+		return Promise.reject( new Error( 'Captcha for WooCommerce: CAPTCHA not completed.' ) );
+	}
+
+	/**
+	 * Checkout CAPTCHA block.
+	 *
+	 * @param {Object} props                       Block props.
+	 * @param {Object} props.checkoutExtensionData Provides setExtensionData().
+	 * @param {Object} props.eventRegistration     Provides onCheckoutValidation() and onCheckoutFail().
+	 * @return {Object} Element.
+	 */
+	function CheckoutCaptcha( props ) {
+		var ref = useRef( null );
+		var setExtensionData = props.checkoutExtensionData.setExtensionData;
+		var onCheckoutValidation = props.eventRegistration.onCheckoutValidation;
+		var onCheckoutFail = props.eventRegistration.onCheckoutFail ||
+			props.eventRegistration.onCheckoutAfterProcessingWithError;
+
+		// Render the widget into a child React doesn't manage, as CFW may
+		// swap the container for a clone when it re-renders the widget.
+		useEffect( function() {
+			var wrapper = ref.current;
+			var container = document.createElement( 'div' );
+			var onToken = function( event ) {
+				setExtensionData( data.namespace, 'token', event.detail.token || '' );
+			};
+			var events = [ 'cfw:captcha:success', 'cfw:captcha:expired', 'cfw:captcha:error', 'cfw:captcha:reset' ];
+
+			container.id = 'cfwc-block-checkout-captcha';
+			wrapper.appendChild( container );
+
+			events.forEach( function( name ) {
+				wrapper.addEventListener( name, onToken );
+			} );
+
+			if ( CFW.settings.provider === 'honeypot' ) {
+				CFW.ready().then( function() {
+					if ( CFW.settings.honeypot ) {
+						CFW.injectHoneypotFields( container, CFW.settings.honeypot );
+					}
+				} );
+			} else {
+				CFW.render( container, { action: 'wc_checkout_block' } ).catch( function() {
+					var current = CFW.getContainer( wrapper ) || container;
+
+					if ( ! CFW.applyFailsafe( current ) ) {
+						CFW.showError( current, CFW.settings.i18n.unavailable );
+					}
+				} );
+			}
+
+			return function() {
+				events.forEach( function( name ) {
+					wrapper.removeEventListener( name, onToken );
+				} );
+
+				CFW.destroy( wrapper );
+			};
+		}, [] );
+
+		// Block the order until there is a token, and send the freshest one.
+		useEffect( function() {
+			return onCheckoutValidation( function() {
+				var wrapper = ref.current;
+
+				var failsafe = !! wrapper.querySelector( '[data-cfwc-init="failsafe"]' );
+
+				if ( CFW.settings.provider === 'honeypot' || failsafe ) {
+					setExtensionData( data.namespace, 'token', 'honeypot' );
+					setExtensionData( data.namespace, 'failsafe', failsafe ? 'honeypot' : '' );
+					setExtensionData( data.namespace, 'honeypot', CFW.collectHoneypotData( wrapper ) );
+					return true;
+				}
+
+				return getSubmitToken( wrapper ).then( function( token ) {
+					var container = CFW.getContainer( wrapper );
+
+					setExtensionData( data.namespace, 'token', token );
+					setExtensionData( data.namespace, 'failsafe', '' );
+					setExtensionData( data.namespace, 'challenge', container ? container.getAttribute( 'data-cfwc-challenge' ) || '' : '' );
+					return true;
+				}, function() {
+					return { errorMessage: data.i18n.error };
+				} );
+			} );
+		}, [ onCheckoutValidation, setExtensionData ] );
+
+		// A token is single use, so a failed order needs a new challenge.
+		useEffect( function() {
+			if ( typeof onCheckoutFail !== 'function' ) {
+				return;
+			}
+
+			return onCheckoutFail( function() {
+				var wrapper = ref.current;
+				var container;
+
+				if ( CFW.settings.provider === 'honeypot' ) {
+					return true;
+				}
+
+				// Clears the token from the extension data via cfw:captcha:reset.
+				CFW.reset( wrapper );
+
+				// A low reCAPTCHA v3 score asks for the challenge widget, which prompts itself.
+				if ( CFW.checkChallenge( wrapper ) ) {
+					return true;
+				}
+
+				container = CFW.getContainer( wrapper );
+
+				// Invisible widgets and reCAPTCHA v3 run again on the next submit.
+				if ( container && ( container.hasAttribute( 'data-cfwc-challenge' ) ||
+					( CFW.settings.provider !== 'recaptcha_v3' && ! container.hasAttribute( 'data-cfwc-invisible' ) ) ) ) {
+					CFW.showError( container, data.i18n.retry );
+				}
+
+				return true;
+			} );
+		}, [ onCheckoutFail ] );
+
+		return el( 'div', {
+			ref: ref,
+			className: 'cfwc-captcha-field cfwc-block-checkout',
+			role: 'group',
+			'aria-label': CFW.settings.i18n.label,
+			'data-form-type': 'wc_checkout_block'
+		} );
+	}
+
+	wc.blocksCheckout.registerCheckoutBlock( {
+		metadata: data.block,
+		component: CheckoutCaptcha
+	} );
+
+} )( window.wp, window.wc );
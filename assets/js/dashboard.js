@@ -0,0 +1,292 @@
+/**
+ * Captcha for WooCommerce - Dashboard Script
+ *
+ * Draws the protection analytics in the dashboard widget and reloads
+ * them when the date range changes.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+( function( $ ) {
+	'use strict';
+
+	var SVG_NS = 'http://www.w3.org/2000/svg';
+
+	var CFWDashboard = {
+		/**
+		 * Analytics container.
+		 */
+		$el: null,
+
+		/**
+		 * Readable names for form, provider and reason keys.
+		 */
+		labels: {},
+
+		/**
+		 * Number of the latest report request, to drop stale responses.
+		 */
+		request: 0,
+
+		/**
+		 * Initialize the analytics.
+		 */
+		init: function() {
+			this.$el = $( '.cfwc-analytics' );
+
+			if ( ! this.$el.length ) {
+				return;
+			}
+
+			this.labels = this.$el.data( 'labels' ) || {};
+			this.bindEvents();
+			this.render( this.$el.data( 'report' ) );
+		},
+
+		/**
+		 * Bind event listeners.
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			this.$el.find( '.cfwc-analytics-preset' ).on( 'change', function() {
+				self.applyPreset( $( this ).val() );
+			} );
+
+			this.$el.find( '.cfwc-analytics-from, .cfwc-analytics-to' ).on( 'change', function() {
+				self.$el.find( '.cfwc-analytics-preset' ).val( 'custom' );
+				self.load();
+			} );
+		},
+
+		/**
+		 * Set the date inputs to the last number of days and reload.
+		 *
+		 * @param {string} preset Number of days, or "custom".
+		 */
+		applyPreset: function( preset ) {
+			var $to = this.$el.find( '.cfwc-analytics-to' );
+			var to = $to.attr( 'max' );
+			var from = new Date( to + 'T00:00:00Z' );
+
+			if ( 'custom' === preset ) {
+				this.$el.find( '.cfwc-analytics-from' ).trigger( 'focus' );
+				return;
+			}
+
+			from.setUTCDate( from.getUTCDate() - parseInt( preset, 10 ) + 1 );
+
+			$to.val( to );
+			this.$el.find( '.cfwc-analytics-from' ).val( from.toISOString().slice( 0, 10 ) );
+			this.load();
+		},
+
+		/**
+		 * Fetch the report for the selected dates.
+		 */
+		load: function() {
+			var self = this;
+			var request = ++this.request;
+			var $summary = this.$el.find( '.cfwc-analytics-summary' );
+
+			$summary.removeClass( 'error' ).text( cfwDashboard.i18n.loading );
+			this.$el.attr( 'aria-busy', 'true' );
+
+			$.ajax( {
+				url: cfwDashboard.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cfwc_dashboard_report',
+					nonce: cfwDashboard.nonce,
+					from: this.$el.find( '.cfwc-analytics-from' ).val(),
+					to: this.$el.find( '.cfwc-analytics-to' ).val()
+				},
+				success: function( response ) {
+					if ( request !== self.request ) {
+						return;
+					}
+
+					if ( response.success ) {
+						self.render( response.data );
+					} else {
+						$summary.addClass( 'error' ).text( ( response.data && response.data.message ) || cfwDashboard.i18n.failed );
+					}
+				},
+				error: function() {
+					if ( request === self.request ) {
+						$summary.addClass( 'error' ).text( cfwDashboard.i18n.failed );
+					}
+				},
+				complete: function() {
+					if ( request === self.request ) {
+						self.$el.removeAttr( 'aria-busy' );
+					}
+				}
+			} );
+		},
+
+		/**
+		 * Show a report.
+		 *
+		 * @param {Object} report Report from the server.
+		 */
+		render: function( report ) {
+			var summary;
+
+			if ( ! report || ! report.days ) {
+				return;
+			}
+
+			// The server clamps the range to the kept period.
+			this.$el.find( '.cfwc-analytics-from' ).val( report.from );
+			this.$el.find( '.cfwc-analytics-to' ).val( report.to );
+
+			if ( report.exportUrl ) {
+				this.$el.find( '.cfwc-analytics-export' ).attr( 'href', report.exportUrl );
+			}
+
+			summary = this.format( cfwDashboard.i18n.summary, [
+				this.formatNumber( report.total ),
+				this.formatNumber( report.lockouts ),
+				this.formatDate( report.from ),
+				this.formatDate( report.to )
+			] );
+
+			this.$el.find( '.cfwc-analytics-summary' ).removeClass( 'error' ).text(
+				report.total ? summary : cfwDashboard.i18n.empty
+			);
+
+			this.drawChart( report.days, summary );
+			this.renderBreakdowns( report );
+		},
+
+		/**
+		 * Draw the daily totals as an SVG bar chart.
+		 *
+		 * @param {Array}  days    Daily totals.
+		 * @param {string} summary Text alternative for the chart.
+		 */
+		drawChart: function( days, summary ) {
+			var width = 300;
+			var height = 80;
+			var slot = width / days.length;
+			var max = 1;
+			var svg = document.createElementNS( SVG_NS, 'svg' );
+			var self = this;
+
+			days.forEach( function( day ) {
+				max = Math.max( max, day.total );
+			} );
+
+			svg.setAttribute( 'viewBox', '0 0 ' + width + ' ' + height );
+			svg.setAttribute( 'preserveAspectRatio', 'none' );
+			svg.setAttribute( 'focusable', 'false' );
+
+			days.forEach( function( day, index ) {
+				var bar = document.createElementNS( SVG_NS, 'rect' );
+				var title = document.createElementNS( SVG_NS, 'title' );
+				var barHeight = day.total ? Math.max( 1, day.total / max * height ) : 0;
+
+				bar.setAttribute( 'x', ( index * slot + slot * 0.1 ).toFixed( 2 ) );
+				bar.setAttribute( 'y', ( height - barHeight ).toFixed( 2 ) );
+				bar.setAttribute( 'width', ( slot * 0.8 ).toFixed( 2 ) );
+				bar.setAttribute( 'height', barHeight.toFixed( 2 ) );
+				bar.setAttribute( 'class', day.lockouts ? 'cfwc-analytics-bar has-lockouts' : 'cfwc-analytics-bar' );
+
+				title.textContent = self.format( cfwDashboard.i18n.day, [
+					self.formatDate( day.date ),
+					self.formatNumber( day.total )
+				] );
+
+				bar.appendChild( title );
+				svg.appendChild( bar );
+			} );
+
+			this.$el.find( '.cfwc-analytics-chart' )
+				.attr( 'aria-label', summary )
+				.empty()
+				.append( svg );
+		},
+
+		/**
+		 * Show the counts per form, provider, reason and IP range.
+		 *
+		 * @param {Object} report Report from the server.
+		 */
+		renderBreakdowns: function( report ) {
+			var self = this;
+			var $breakdowns = this.$el.find( '.cfwc-analytics-breakdowns' ).empty();
+
+			[ 'forms', 'providers', 'reasons', 'ranges' ].forEach( function( dimension ) {
+				var counts = report[ dimension ] || {};
+				var names = self.labels[ dimension ] || {};
+				var $rows = $( '<tbody>' );
+
+				// The server sends the keys sorted by count.
+				Object.keys( counts ).forEach( function( key ) {
+					$rows.append(
+						$( '<tr>' ).append(
+							$( '<th scope="row">' ).text( names[ key ] || key ),
+							$( '<td>' ).text( self.formatNumber( counts[ key ] ) )
+						)
+					);
+				} );
+
+				if ( ! $rows.children().length ) {
+					return;
+				}
+
+				$breakdowns.append(
+					$( '<table class="cfwc-analytics-table">' ).append(
+						$( '<caption>' ).text( cfwDashboard.i18n[ dimension ] ),
+						$rows
+					)
+				);
+			} );
+		},
+
+		/**
+		 * Replace numbered placeholders such as %1$s.
+		 *
+		 * @param {string} text   Translated text.
+		 * @param {Array}  values Values for the placeholders.
+		 * @return {string} Formatted text.
+		 */
+		format: function( text, values ) {
+			return text.replace( /%(\d+)\$s/g, function( match, index ) {
+				return values[ index - 1 ];
+			} );
+		},
+
+		/**
+		 * Format a number for the admin's locale.
+		 *
+		 * @param {number} value Number.
+		 * @return {string} Formatted number.
+		 */
+		formatNumber: function( value ) {
+			return Number( value || 0 ).toLocaleString();
+		},
+
+		/**
+		 * Format a Y-m-d date for the admin's locale.
+		 *
+		 * @param {string} date Date as Y-m-d.
+		 * @return {string} Formatted date.
+		 */
+		formatDate: function( date ) {
+			return new Date( date + 'T00:00:00Z' ).toLocaleDateString( undefined, {
+				timeZone: 'UTC',
+				month: 'short',
+				day: 'numeric'
+			} );
+		}
+	};
+
+	// Initialize on document ready.
+	$( document ).ready( function() {
+		CFWDashboard.init();
+	} );
+
+} )( jQuery );
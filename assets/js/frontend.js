@@ -3,7 +3,8 @@
  *
  * Lightweight handler for CAPTCHA widget initialization and form integration.
  * Includes advanced honeypot with JS-injection technique.
- * Total size target: < 5KB minified + gzipped.
+ * Total size target: < 8KB minified + gzipped, including the opt-in
+ * features (lazy loading, dynamic forms, interaction signals).
  *
  * @package Captcha_For_WooCommerce
  * @since   1.0.0
@@ -12,578 +13,2382 @@
 ( function() {
 	'use strict';
 
+	var settings = typeof cfwSettings !== 'undefined' ? cfwSettings : null;
+	var config = document.getElementById( 'cfwc-settings' );
+
+	// Sites with a strict Content-Security-Policy get the settings as
+	// a JSON block instead of an inline script. See cfwc_json_config.
+	if ( ! settings && config ) {
+		try {
+			settings = JSON.parse( config.textContent );
+		} catch ( e ) {
+			settings = null;
+		}
+	}
+
 	// Exit if settings not available.
-	if ( typeof cfwSettings === 'undefined' ) {
+	if ( ! settings ) {
 		return;
 	}
 
 	var CFW = {
-		settings: cfwSettings,
-		widgets: {},
+		settings: settings,
+
+		/**
+		 * CSP nonce of this script, reused for the scripts it injects.
+		 */
+		nonce: document.currentScript ? document.currentScript.nonce || '' : '',
+
+		/**
+		 * Trusted Types policy for script URLs. See getScriptUrl().
+		 */
+		policy: null,
+		providerPromise: null,
+		providerWaiter: null,
+		challengePromise: null,
+
+		/**
+		 * Per-widget state, keyed by container element. See getState().
+		 */
+		states: new WeakMap(),
+
+		/**
+		 * Interaction signals per honeypot form. See watchSignals().
+		 */
+		signals: new WeakMap(),
+
+		/**
+		 * Rendered widget containers, pruned by cleanupWidgets().
+		 */
+		containers: [],
+
+		/**
+		 * Resolves once the DOM is ready and init() has run.
+		 */
+		domReady: null,
+
+		/**
+		 * Pending debounced DOM scan for auto-protection.
+		 */
+		scanTimer: null,
+
+		/**
+		 * Registered forms: { selector, formType, provider }.
+		 *
+		 * Seeded from Settings::get_form_selectors(); extend with registerForm().
+		 */
+		forms: [],
+
+		/**
+		 * Counter for generated widget container IDs.
+		 */
+		containerCount: 0,
+
+		/**
+		 * Widget container selectors per provider.
+		 */
+		containerSelectors: {
+			turnstile: '.cf-turnstile',
+			recaptcha_v2: '.g-recaptcha',
+			recaptcha_v3: '.cfwc-recaptcha-v3',
+			hcaptcha: '.h-captcha',
+			proof_of_work: '.cfwc-pow'
+		},
+
+		/**
+		 * Token lifetime in seconds per provider.
+		 */
+		tokenLifetimes: {
+			turnstile: 300,
+			recaptcha_v2: 120,
+			recaptcha_v3: 120,
+			hcaptcha: 120,
+
+			// Puzzles expire 1800 seconds after they are issued.
+			proof_of_work: 1500
+		},
+
+		/**
+		 * Global object exposed by each provider script.
+		 */
+		providerGlobals: {
+			turnstile: 'turnstile',
+			recaptcha_v2: 'grecaptcha',
+			recaptcha_v3: 'grecaptcha',
+			hcaptcha: 'hcaptcha'
+		},
 
 		/**
 		 * Initialize the CAPTCHA handler.
 		 */
 		init: function() {
+			// Keep forms registered before DOM ready.
+			this.forms = ( this.settings.forms || [] ).concat( this.forms );
+			this.protectForms();
 			this.initProvider();
 			this.initHoneypot();
 			this.bindEvents();
 		},
 
+		/**
+		 * Register a form to protect.
+		 *
+		 * Matching forms get honeypot fields (when enabled), a hidden
+		 * cfwc_form_type field and optionally a widget container.
+		 *
+		 * @param {string}  selector           CSS selector of the form.
+		 * @param {Object}  [options]          Registration options.
+		 * @param {string}  [options.formType] Form identifier sent to the server.
+		 * @param {boolean} [options.provider] Add a widget container if the form has none.
+		 */
+		registerForm: function( selector, options ) {
+			options = options || {};
+
+			this.forms.push( {
+				selector: selector,
+				formType: options.formType || '',
+				provider: !! options.provider
+			} );
+
+			if ( document.readyState !== 'loading' ) {
+				this.protectForms();
+				this.initProvider();
+			}
+		},
+
+		/**
+		 * Get a selector matching every registered form.
+		 *
+		 * @return {string} Combined CSS selector.
+		 */
+		getFormSelector: function() {
+			return this.forms.map( function( entry ) {
+				return entry.selector;
+			} ).filter( Boolean ).join( ', ' );
+		},
+
+		/**
+		 * Apply protection to all registered forms on the page.
+		 */
+		protectForms: function() {
+			var self = this;
+
+			this.forms.forEach( function( entry ) {
+				if ( ! entry.selector ) {
+					return;
+				}
+
+				document.querySelectorAll( entry.selector ).forEach( function( form ) {
+					self.protectForm( form, entry );
+				} );
+			} );
+		},
+
+		/**
+		 * Apply protection to a single registered form.
+		 *
+		 * @param {Element} form  Form element.
+		 * @param {Object}  entry Registry entry.
+		 */
+		protectForm: function( form, entry ) {
+			var formType = entry.formType || form.getAttribute( 'data-cfwc-form-type' ) || '';
+
+			if ( formType && ! form.querySelector( 'input[name="cfwc_form_type"]' ) ) {
+				var field = document.createElement( 'input' );
+				field.type = 'hidden';
+				field.name = 'cfwc_form_type';
+				field.value = formType;
+				form.appendChild( field );
+			}
+
+			if ( entry.provider && ! form.querySelector( '.cfwc-captcha-field' ) ) {
+				this.createWidgetContainer( form, formType );
+			}
+
+			if ( this.settings.honeypot ) {
+				this.injectHoneypotFields( form, this.settings.honeypot );
+			}
+		},
+
+		/**
+		 * Add a widget container to a form that was not rendered by PHP.
+		 *
+		 * Mirrors the markup of Abstract_Provider::render().
+		 *
+		 * @param {Element} form     Form element.
+		 * @param {string}  formType Form identifier.
+		 */
+		createWidgetContainer: function( form, formType ) {
+			var provider = this.settings.provider;
+			var selector = this.containerSelectors[ provider ];
+
+			// Honeypot has no widget.
+			if ( ! selector ) {
+				return;
+			}
+
+			var wrapper = document.createElement( 'div' );
+			wrapper.className = 'cfwc-captcha-field';
+			wrapper.setAttribute( 'role', 'group' );
+			wrapper.setAttribute( 'aria-label', this.settings.i18n.label );
+			wrapper.setAttribute( 'data-form-type', formType );
+
+			var container = document.createElement( 'div' );
+			container.className = selector.slice( 1 );
+			container.id = 'cfwc-' + provider.replace( '_', '-' ) + '-' + ( formType || 'form' ) + '-' + ( ++this.containerCount );
+
+			if ( provider === 'recaptcha_v3' ) {
+				container.setAttribute( 'data-action', formType || 'submit' );
+			}
+
+			if ( provider === 'recaptcha_v3' || provider === 'proof_of_work' ) {
+				container.setAttribute( 'aria-hidden', 'true' );
+			}
+
+			wrapper.appendChild( container );
+
+			var submit = form.querySelector( '[type="submit"]' );
+			if ( submit ) {
+				submit.parentNode.insertBefore( wrapper, submit );
+			} else {
+				form.appendChild( wrapper );
+			}
+		},
+
 		/**
 		 * Initialize the CAPTCHA provider.
 		 */
 		initProvider: function() {
 			var self = this;
-			var provider = this.settings.provider;
 
-			switch ( provider ) {
-				case 'turnstile':
-					this.waitForProvider( 'turnstile', function() {
-						self.initTurnstile();
-					} );
-					break;
+			// Lazy fields wait for scroll or focus before rendering.
+			this.deferContainers();
 
-				case 'recaptcha_v2':
-					this.waitForProvider( 'grecaptcha', function() {
-						self.initRecaptchaV2();
-					} );
-					break;
+			if ( ! this.getPendingContainers().length ) {
+				return;
+			}
 
-				case 'recaptcha_v3':
-					this.waitForProvider( 'grecaptcha', function() {
-						self.initRecaptchaV3();
-					} );
-					break;
+			this.loadProvider().then( function() {
+				self.getPendingContainers().forEach( function( container ) {
+					self.renderContainer( container );
+				} );
+			}, function() {
+				self.getPendingContainers().forEach( function( container ) {
+					if ( ! self.applyFailsafe( container ) ) {
+						self.showError( container, self.settings.i18n.unavailable );
+					}
+				} );
+			} );
+		},
 
-				case 'hcaptcha':
-					this.waitForProvider( 'hcaptcha', function() {
-						self.initHcaptcha();
-					} );
-					break;
+		/**
+		 * Fall back to honeypot protection when the provider cannot load.
+		 *
+		 * Injects the honeypot fields and a cfwc_failsafe marker so the
+		 * server verifies the honeypot instead of the provider token.
+		 * Containers outside a form, like Block Checkout, get the fields
+		 * and send the marker as extension data.
+		 * Only applies when the failsafe mode is set to honeypot. The server
+		 * accepts the marker only while it can't reach the provider either.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {boolean} True if the fallback was applied.
+		 */
+		applyFailsafe: function( container ) {
+			var failsafe = this.settings.failsafe || {};
+			var hp = this.settings.honeypot || failsafe.honeypot;
+			var form = container.closest( 'form' );
 
-				case 'honeypot':
-					// Honeypot is initialized separately via initHoneypot().
-					break;
+			if ( failsafe.mode !== 'honeypot' || ! hp ) {
+				return false;
+			}
+
+			this.injectHoneypotFields( form || container, hp );
+
+			if ( form && ! form.querySelector( 'input[name="cfwc_failsafe"]' ) ) {
+				var marker = document.createElement( 'input' );
+				marker.type = 'hidden';
+				marker.name = 'cfwc_failsafe';
+				marker.value = 'honeypot';
+				form.appendChild( marker );
 			}
+
+			container.setAttribute( 'data-cfwc-init', 'failsafe' );
+
+			this.dispatch( container, 'cfw:failsafe', { mode: 'honeypot' } );
+
+			return true;
 		},
 
 		/**
-		 * Initialize honeypot protection.
+		 * Get widget containers that are ready to be rendered.
 		 *
-		 * Injects honeypot fields via JavaScript. Bots that don't execute JS
-		 * will never see these fields and fail server-side validation.
+		 * Skips containers that are already initialized or still deferred.
+		 *
+		 * @return {Element[]} Containers to render.
 		 */
-		initHoneypot: function() {
-			// Only initialize if honeypot is enabled.
-			if ( ! this.settings.honeypot ) {
-				return;
+		getPendingContainers: function() {
+			var self = this;
+			var selector = this.containerSelectors[ this.settings.provider ];
+
+			if ( ! selector ) {
+				return [];
 			}
 
+			return Array.prototype.filter.call(
+				document.querySelectorAll( selector + ':not([data-cfwc-init])' ),
+				function( container ) {
+					return ! self.isDeferred( container );
+				}
+			);
+		},
+
+		/**
+		 * Check if a container belongs to a deferred (lazy) field.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {boolean} True if still deferred.
+		 */
+		isDeferred: function( container ) {
+			return !! container.closest( '[data-cfwc-deferred]' );
+		},
+
+		/**
+		 * Watch lazy CAPTCHA fields until they are needed.
+		 *
+		 * A deferred field is activated when its form scrolls into view
+		 * or one of its fields receives focus. Browsers without
+		 * IntersectionObserver activate the field immediately.
+		 */
+		deferContainers: function() {
 			var self = this;
-			var hp = this.settings.honeypot;
+			var fields = document.querySelectorAll( '.cfwc-captcha-field[data-cfwc-deferred]:not([data-cfwc-observed])' );
 
-			// Form selectors to target.
-			var formSelectors = [
-				// WooCommerce forms.
-				'form.woocommerce-checkout',
-				'form.woocommerce-form-login',
-				'form.woocommerce-form-register',
-				'form.woocommerce-ResetPassword',
-				'form#order_review',
-				'form.woocommerce-EditAccountForm',
-				// WordPress forms.
-				'form#loginform',
-				'form#registerform',
-				'form#lostpasswordform',
-				'form#commentform',
-				'form.comment-form',
-				// Product Vendors.
-				'form#wcpv-vendor-registration',
-				// Generic class for custom integrations.
-				'form.cfwc-protected'
-			];
-
-			// Find all forms and inject honeypot.
-			var forms = document.querySelectorAll( formSelectors.join( ', ' ) );
-			forms.forEach( function( form ) {
-				self.injectHoneypotFields( form, hp );
-			} );
-
-			// Also look for placeholder elements.
-			var placeholders = document.querySelectorAll( '.cfwc-hp-init' );
-			placeholders.forEach( function( placeholder ) {
-				var form = placeholder.closest( 'form' );
-				if ( form && ! form.querySelector( '.cfwc-hp-injected' ) ) {
-					self.injectHoneypotFields( form, hp );
+			fields.forEach( function( field ) {
+				var target = field.closest( 'form' ) || field;
+				var observer = null;
+
+				field.setAttribute( 'data-cfwc-observed', '1' );
+
+				var activate = function() {
+					target.removeEventListener( 'focusin', activate );
+
+					if ( observer ) {
+						observer.disconnect();
+					}
+
+					if ( ! field.hasAttribute( 'data-cfwc-deferred' ) ) {
+						return;
+					}
+
+					field.removeAttribute( 'data-cfwc-deferred' );
+					self.initProvider();
+				};
+
+				target.addEventListener( 'focusin', activate );
+
+				if ( ! ( 'IntersectionObserver' in window ) ) {
+					activate();
+					return;
+				}
+
+				observer = new IntersectionObserver( function( entries ) {
+					entries.forEach( function( entry ) {
+						if ( entry.isIntersecting ) {
+							activate();
+						}
+					} );
+				}, { rootMargin: '200px 0px' } );
+
+				observer.observe( target );
+			} );
+		},
+
+		/**
+		 * Load the provider script.
+		 *
+		 * Resolves once the provider's onload callback fires. Failed loads
+		 * are retried with exponential backoff, re-injecting the script
+		 * each time. The returned promise is shared by all callers.
+		 *
+		 * @return {Promise} Resolves when the provider API is ready.
+		 */
+		loadProvider: function() {
+			var self = this;
+			var loader = this.settings.loader || {};
+			var maxAttempts = loader.attempts || 3;
+			var timeout = loader.timeout || 8000;
+
+			if ( this.providerPromise ) {
+				return this.providerPromise;
+			}
+
+			this.providerPromise = new Promise( function( resolve, reject ) {
+				var attempt = 0;
+
+				var tryLoad = function() {
+					attempt++;
+
+					self.waitForProvider( attempt > 1, timeout ).then( resolve, function() {
+						if ( attempt >= maxAttempts ) {
+							reject( new Error( 'Provider script failed to load.' ) );
+							return;
+						}
+
+						// Back off 1s, 2s, 4s... before the next attempt.
+						setTimeout( tryLoad, 1000 * Math.pow( 2, attempt - 1 ) );
+					} );
+				};
+
+				tryLoad();
+			} );
+
+			this.providerPromise.catch( function() {
+				self.onProviderUnavailable();
+			} );
+
+			return this.providerPromise;
+		},
+
+		/**
+		 * Wait for a single provider script load attempt.
+		 *
+		 * @param {boolean} reload  Whether to replace an existing script tag.
+		 * @param {number}  timeout Milliseconds to wait for the onload callback.
+		 * @return {Promise} Resolves on load, rejects on error or timeout.
+		 */
+		waitForProvider: function( reload, timeout ) {
+			var self = this;
+
+			return new Promise( function( resolve, reject ) {
+				if ( self.isProviderReady() ) {
+					resolve();
+					return;
+				}
+
+				var timer = null;
+				var waiter = {};
+
+				var finish = function( callback ) {
+					clearTimeout( timer );
+
+					if ( self.providerWaiter === waiter ) {
+						self.providerWaiter = null;
+					}
+
+					callback();
+				};
+
+				waiter.resolve = function() {
+					finish( resolve );
+				};
+				waiter.reject = function() {
+					finish( reject );
+				};
+
+				self.providerWaiter = waiter;
+				timer = setTimeout( waiter.reject, timeout );
+
+				var script = self.injectProviderScript( reload );
+				if ( script ) {
+					script.addEventListener( 'error', waiter.reject );
 				}
 			} );
 		},
 
 		/**
-		 * Inject honeypot fields into a form.
+		 * Check if the provider API is available.
+		 *
+		 * @return {boolean} True if the provider can render widgets.
+		 */
+		isProviderReady: function() {
+			// Proof-of-work runs in a worker and has no provider script.
+			if ( this.settings.provider === 'proof_of_work' ) {
+				return true;
+			}
+
+			var api = window[ this.providerGlobals[ this.settings.provider ] ];
+
+			return !! ( api && typeof api.render === 'function' );
+		},
+
+		/**
+		 * Handle the provider's onload callback.
+		 */
+		onProviderLoaded: function() {
+			if ( this.providerWaiter ) {
+				this.providerWaiter.resolve();
+			}
+		},
+
+		/**
+		 * Inject the provider script tag.
+		 *
+		 * Reuses the enqueued script unless a reload is requested.
+		 *
+		 * @param {boolean} reload Whether to replace an existing script tag.
+		 * @return {Element|null} The script element, if any.
+		 */
+		injectProviderScript: function( reload ) {
+			var id = this.settings.scriptId;
+			var existing = id ? document.getElementById( id ) : null;
+
+			if ( ( existing && ! reload ) || ! this.settings.scriptUrl ) {
+				return existing;
+			}
+
+			if ( existing ) {
+				existing.parentNode.removeChild( existing );
+			}
+
+			var script = this.createScript( this.settings.scriptUrl );
+			script.id = id;
+			script.defer = true;
+			document.head.appendChild( script );
+
+			return script;
+		},
+
+		/**
+		 * Create an async script element for one of the plugin's script URLs.
+		 *
+		 * @param {string} url Script URL.
+		 * @return {Element} Script element, not yet inserted.
+		 */
+		createScript: function( url ) {
+			var script = document.createElement( 'script' );
+
+			if ( this.nonce ) {
+				script.nonce = this.nonce;
+			}
+
+			script.src = this.getScriptUrl( url );
+			script.async = true;
+
+			return script;
+		},
+
+		/**
+		 * Get a script URL the browser accepts under Trusted Types.
+		 *
+		 * Sites enforcing require-trusted-types-for 'script' must list the
+		 * cfwc policy in their trusted-types directive. The policy only
+		 * passes the URLs in the plugin's settings.
+		 *
+		 * @param {string} url Script or worker URL.
+		 * @return {TrustedScriptURL|string} Trusted URL, or the URL itself without Trusted Types.
+		 */
+		getScriptUrl: function( url ) {
+			var self = this;
+
+			if ( ! window.trustedTypes || ! window.trustedTypes.createPolicy ) {
+				return url;
+			}
+
+			if ( ! this.policy ) {
+				try {
+					this.policy = window.trustedTypes.createPolicy( 'cfwc', {
+						createScriptURL: function( value ) {
+							var allowed = [
+								self.settings.scriptUrl,
+								self.settings.escalation && self.settings.escalation.scriptUrl,
+								self.settings.pow && self.settings.pow.workerUrl
+							];
+
+							if ( ! value || allowed.indexOf( value ) === -1 ) {
+								throw new TypeError( 'Captcha for WooCommerce: Untrusted script URL.' );
+							}
+
+							return value;
+						}
+					} );
+				} catch ( e ) {
+					// The CSP doesn't allow the policy; the browser decides on the plain URL.
+					return url;
+				}
+			}
+
+			return this.policy.createScriptURL( url );
+		},
+
+		/**
+		 * Handle a provider that could not be loaded.
+		 *
+		 * Emits cfw:provider:unavailable so integrations can react,
+		 * mirroring the server-side failsafe mode.
+		 */
+		onProviderUnavailable: function() {
+			console.warn( 'Captcha for WooCommerce: Provider script failed to load.' );
+
+			document.dispatchEvent( new CustomEvent( 'cfw:provider:unavailable', {
+				detail: { provider: this.settings.provider }
+			} ) );
+		},
+
+		/**
+		 * Initialize honeypot protection.
+		 *
+		 * Injects honeypot fields via JavaScript. Bots that don't execute JS
+		 * will never see these fields and fail server-side validation.
+		 */
+		initHoneypot: function() {
+			// Only initialize if honeypot is enabled.
+			if ( ! this.settings.honeypot ) {
+				return;
+			}
+
+			var self = this;
+			var hp = this.settings.honeypot;
+
+			// Registered forms are handled by protectForms(); look for placeholder elements.
+			var placeholders = document.querySelectorAll( '.cfwc-hp-init' );
+			placeholders.forEach( function( placeholder ) {
+				var form = placeholder.closest( 'form' );
+				if ( form && ! form.querySelector( '.cfwc-hp-injected' ) ) {
+					self.injectHoneypotFields( form, hp );
+				}
+			} );
+		},
+
+		/**
+		 * Inject honeypot fields into a form.
+		 *
+		 * @param {Element} form The form element.
+		 * @param {Object}  hp   Honeypot configuration.
+		 */
+		injectHoneypotFields: function( form, hp ) {
+			var self = this;
+
+			// Skip if already injected.
+			if ( form.querySelector( '.cfwc-hp-injected' ) ) {
+				return;
+			}
+
+			// IDs must be unique when a page has several protected forms.
+			var trapId = 'cfwc-alt-s-' + ( ++this.containerCount );
+
+			// Keeps password managers and browser autofill out of the traps.
+			var ignore = {
+				autocomplete: 'off',
+				tabindex: '-1',
+				'data-lpignore': 'true',
+				'data-1p-ignore': '',
+				'data-bwignore': '',
+				'data-form-type': 'other'
+			};
+
+			// Build the honeypot fields with the DOM API, never from HTML
+			// strings, so they work under Trusted Types.
+			// 1. Visible trap field (alt_s) - bots will fill this.
+			// 2. Hidden field with unique name - proves JS executed.
+			// 3. Hidden verification fields.
+			// inert keeps the traps out of the tab order and accessibility tree.
+			var wrapper = this.createElement( 'div', { 'class': 'cfwc-hp-injected', 'aria-hidden': 'true', inert: '' } );
+
+			// Visible trap (positioned off-screen via CSS).
+			var trap = this.createElement( 'div', { 'class': 'cfwc-hp-trap' } );
+			var label = this.createElement( 'label', { 'for': trapId } );
+			// Neutral on purpose: a label telling people to skip the field tells bots too.
+			label.textContent = 'Alternative:';
+			trap.appendChild( label );
+			trap.appendChild( this.createElement( 'input', Object.assign( { type: 'text', id: trapId, name: 'alt_s' }, ignore ) ) );
+			wrapper.appendChild( trap );
+
+			// Hidden honeypot with value (JS-only field).
+			var hidden = this.createElement( 'span', { 'class': 'cfwc-hp-hidden' } );
+			hidden.appendChild( this.createElement( 'input', Object.assign( { type: 'text', name: hp.fieldName, value: hp.timestamp }, ignore ) ) );
+			wrapper.appendChild( hidden );
+
+			form.appendChild( wrapper );
+
+			// Verification fields (hidden inputs).
+			var fields = {
+				cfwc_hp_nonce: hp.nonce,
+				cfwc_hp_time: hp.timestamp,
+				cfwc_hp_challenge: hp.challenge,
+				cfwc_hp_js: ''
+			};
+
+			// Only sent when the server scores them.
+			if ( hp.signals ) {
+				fields.cfwc_hp_signals = '';
+			}
+
+			// Calculate JS challenge response (proves real browser).
+			if ( hp.challengeA && hp.challengeB && hp.challengeC ) {
+				fields.cfwc_hp_js = ( hp.challengeA * hp.challengeB + hp.challengeC ).toString( 36 );
+			}
+
+			Object.keys( fields ).forEach( function( name ) {
+				form.appendChild( self.createElement( 'input', { type: 'hidden', name: name, value: fields[ name ] } ) );
+			} );
+
+			if ( hp.signals ) {
+				this.watchSignals( form.closest( 'form' ) || form );
+			}
+		},
+
+		/**
+		 * Create an element with attributes.
+		 *
+		 * Values are set with setAttribute(), so they are never parsed as HTML.
+		 *
+		 * @param {string} tag          Tag name.
+		 * @param {Object} [attributes] Attribute names and values.
+		 * @return {Element} The element.
+		 */
+		createElement: function( tag, attributes ) {
+			var element = document.createElement( tag );
+
+			Object.keys( attributes || {} ).forEach( function( name ) {
+				element.setAttribute( name, attributes[ name ] === undefined || attributes[ name ] === null ? '' : String( attributes[ name ] ) );
+			} );
+
+			return element;
+		},
+
+		/**
+		 * Record how a visitor interacts with a honeypot form.
+		 *
+		 * Only counts and timings are kept: no keys, no pointer positions.
+		 * Keystroke intervals are capped at two seconds so pauses while
+		 * reading don't dominate the variance.
+		 *
+		 * @param {Element} form Form element, or the element holding the fields.
+		 */
+		watchSignals: function( form ) {
+			var data;
+
+			if ( this.signals.has( form ) ) {
+				return;
+			}
+
+			data = {
+				start: 0,
+				pointer: 0,
+				keys: 0,
+				lastKey: 0,
+				sum: 0,
+				sumSquares: 0,
+				unfocused: 0,
+				paste: 0,
+				// A field may already have focus, e.g. the autofocused login field.
+				focused: form.contains( document.activeElement ) ? document.activeElement : null
+			};
+
+			var interact = function() {
+				if ( ! data.start ) {
+					data.start = Date.now();
+				}
+			};
+
+			this.signals.set( form, data );
+
+			[ 'pointermove', 'pointerdown', 'touchstart' ].forEach( function( name ) {
+				form.addEventListener( name, function() {
+					interact();
+					data.pointer = 1;
+				}, { passive: true } );
+			} );
+
+			form.addEventListener( 'focusin', function( event ) {
+				interact();
+				data.focused = event.target;
+			} );
+
+			form.addEventListener( 'focusout', function() {
+				data.focused = null;
+			} );
+
+			form.addEventListener( 'keydown', function( event ) {
+				var now = Date.now();
+				var interval;
+
+				interact();
+
+				// Scripts dispatch key events on fields that never received focus.
+				if ( event.target !== data.focused && event.target !== document.activeElement ) {
+					data.unfocused++;
+				}
+
+				if ( data.lastKey ) {
+					interval = Math.min( now - data.lastKey, 2000 );
+					data.sum += interval;
+					data.sumSquares += interval * interval;
+				}
+
+				data.lastKey = now;
+				data.keys++;
+			} );
+
+			form.addEventListener( 'paste', function() {
+				interact();
+				data.paste++;
+			} );
+		},
+
+		/**
+		 * Summarize the interaction signals of a form into a payload.
+		 *
+		 * Base64 JSON, scored by Honeypot::score_signals(). It is not
+		 * signed, so the server treats it as a hint, not as proof.
+		 *
+		 * @param {Element} form Form element, or the element holding the fields.
+		 * @return {string} Payload, or an empty string if the form isn't watched.
+		 */
+		getSignals: function( form ) {
+			var data = this.signals.get( form );
+			var intervals, mean;
+
+			if ( ! data ) {
+				return '';
+			}
+
+			intervals = data.keys - 1;
+			mean = intervals > 0 ? data.sum / intervals : 0;
+
+			return window.btoa( JSON.stringify( {
+				p: data.pointer,
+				k: data.keys,
+				v: intervals > 0 ? Math.round( Math.sqrt( Math.max( 0, data.sumSquares / intervals - mean * mean ) ) ) : 0,
+				u: data.unfocused,
+				ps: data.paste,
+				d: data.start ? Date.now() - data.start : -1
+			} ) );
+		},
+
+		/**
+		 * Get the state of a widget, creating it on first use.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Object} State with widgetId, token, expiresAt, error, theme, pendingSubmit, resumed, worker and waiters.
+		 */
+		getState: function( container ) {
+			var state = this.states.get( container );
+
+			if ( ! state ) {
+				state = {
+					widgetId: undefined,
+					token: '',
+					expiresAt: 0,
+					error: '',
+					theme: '',
+					pendingSubmit: null,
+					resumed: false,
+					worker: null,
+					waiters: []
+				};
+				this.states.set( container, state );
+			}
+
+			return state;
+		},
+
+		/**
+		 * Give a container a unique ID and start tracking it.
+		 *
+		 * A form rendered twice on one page repeats its PHP-generated ID,
+		 * so duplicates get a generated one.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Object} Widget state.
+		 */
+		track: function( container ) {
+			if ( ! container.id || document.getElementById( container.id ) !== container ) {
+				container.id = 'cfwc-widget-' + ( ++this.containerCount );
+			}
+
+			if ( this.containers.indexOf( container ) === -1 ) {
+				this.containers.push( container );
+			}
+
+			return this.getState( container );
+		},
+
+		/**
+		 * Record a token and when it expires.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  token     Response token.
+		 */
+		storeToken: function( container, token ) {
+			var state = this.getState( container );
+			var lifetime = this.tokenLifetimes[ this.settings.provider ] || 120;
+
+			state.token = token;
+			state.expiresAt = Date.now() + lifetime * 1000;
+			state.error = '';
+		},
+
+		/**
+		 * Get the form type a widget belongs to.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {string} Form identifier, or an empty string.
+		 */
+		getFormType: function( container ) {
+			var wrapper = container.closest( '.cfwc-captcha-field' );
+			var form = container.closest( 'form' );
+			var field = form ? form.querySelector( 'input[name="cfwc_form_type"]' ) : null;
+
+			if ( wrapper && wrapper.getAttribute( 'data-form-type' ) ) {
+				return wrapper.getAttribute( 'data-form-type' );
+			}
+
+			return field ? field.value : '';
+		},
+
+		/**
+		 * Dispatch an event for one widget.
+		 *
+		 * Fired on the container and bubbling, so listeners on a form only
+		 * hear about their own widget and document listeners hear all.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  name      Event name.
+		 * @param {Object}  [detail]  Extra event detail.
+		 */
+		dispatch: function( container, name, detail ) {
+			detail = detail || {};
+			detail.container = container;
+			detail.form = container.closest( 'form' );
+			detail.formType = this.getFormType( container );
+
+			container.dispatchEvent( new CustomEvent( name, { bubbles: true, detail: detail } ) );
+		},
+
+		/**
+		 * Render the provider widget into a container.
+		 *
+		 * Turnstile, reCAPTCHA v2 and hCaptcha share the same render()
+		 * signature; reCAPTCHA v3 has no visible widget.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		renderContainer: function( container ) {
+			var self = this;
+			var provider = this.settings.provider;
+			var state = this.track( container );
+
+			container.setAttribute( 'data-cfwc-init', '1' );
+
+			if ( provider === 'recaptcha_v3' ) {
+				this.initRecaptchaV3( container );
+				return;
+			}
+
+			if ( provider === 'proof_of_work' ) {
+				this.initProofOfWork( container );
+				return;
+			}
+
+			var api = window[ this.providerGlobals[ provider ] ];
+			var options = this.getRenderOptions( container );
+
+			if ( ! api ) {
+				return;
+			}
+
+			options.callback = function( token ) {
+				self.onSuccess( container, token );
+			};
+			options[ 'expired-callback' ] = function() {
+				self.onExpired( container );
+			};
+			options[ 'error-callback' ] = function() {
+				self.onError( container );
+			};
+
+			state.widgetId = api.render( container, options );
+			state.theme = options.theme;
+
+			if ( this.isInvisible( container ) ) {
+				container.setAttribute( 'data-cfwc-invisible', '1' );
+			}
+		},
+
+		/**
+		 * Initialize a Google reCAPTCHA v3 container.
+		 *
+		 * No token is fetched yet: tokens expire after two minutes, so
+		 * one is requested when the form is submitted (see onFormSubmit()).
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		initRecaptchaV3: function( container ) {
+			if ( this.needsChallenge() ) {
+				this.escalate( container );
+				return;
+			}
+
+			this.getTokenField( container );
+		},
+
+		/**
+		 * Initialize a proof-of-work container.
+		 *
+		 * The puzzle is solved while the visitor fills in the form. Like an
+		 * invisible widget, a submit before then waits for the solution.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		initProofOfWork: function( container ) {
+			container.setAttribute( 'data-cfwc-invisible', '1' );
+			this.getTokenField( container );
+			this.solveProofOfWork( container );
+		},
+
+		/**
+		 * Fetch a proof-of-work puzzle and solve it in a Web Worker.
+		 *
+		 * Puzzles are single use, so each solution needs a new one. Does
+		 * nothing while a worker for the container is still running.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		solveProofOfWork: function( container ) {
+			var self = this;
+			var state = this.getState( container );
+			var worker;
+
+			if ( state.worker ) {
+				return;
+			}
+
+			var stop = function() {
+				worker.terminate();
+
+				if ( state.worker === worker ) {
+					state.worker = null;
+				}
+			};
+
+			try {
+				worker = new Worker( this.getScriptUrl( this.settings.pow.workerUrl ) );
+			} catch ( e ) {
+				// Workers must be same origin, which a CDN for plugin files breaks.
+				this.onError( container );
+				return;
+			}
+
+			state.worker = worker;
+
+			worker.onmessage = function( event ) {
+				stop();
+				self.getTokenField( container ).value = event.data.token;
+				self.onSuccess( container, event.data.token );
+			};
+
+			worker.onerror = function() {
+				stop();
+				self.onError( container );
+			};
+
+			fetch( this.settings.ajaxUrl, {
+				method: 'POST',
+				credentials: 'same-origin',
+				body: new URLSearchParams( { action: this.settings.pow.action } )
+			} ).then( function( response ) {
+				return response.json();
+			} ).then( function( response ) {
+				if ( ! response.success ) {
+					throw new Error( 'Captcha for WooCommerce: No proof-of-work puzzle.' );
+				}
+
+				worker.postMessage( {
+					challenge: response.data.challenge,
+					difficulty: response.data.difficulty
+				} );
+			} ).catch( function() {
+				if ( state.worker === worker ) {
+					stop();
+					self.onError( container );
+				}
+			} );
+		},
+
+		/**
+		 * Check if the server asked this visitor for the low score challenge.
+		 *
+		 * Recaptcha_V3 sets the cookie when a score falls between the hard
+		 * floor and the threshold.
+		 *
+		 * @return {boolean} True if the challenge cookie is set.
+		 */
+		needsChallenge: function() {
+			var escalation = this.settings.escalation;
+
+			return !! escalation && document.cookie.split( '; ' ).some( function( cookie ) {
+				return cookie.indexOf( escalation.cookie + '=' ) === 0;
+			} );
+		},
+
+		/**
+		 * Swap reCAPTCHA v3 containers for the challenge widget if the server asked for it.
+		 *
+		 * Called after a failed submit, so focus moves to the first
+		 * challenge for keyboard and screen reader users.
+		 *
+		 * @param {Element} [root] Element to search in. Defaults to the document.
+		 * @return {boolean} True if a container was swapped.
+		 */
+		checkChallenge: function( root ) {
+			var self = this;
+			var containers;
+
+			if ( this.settings.provider !== 'recaptcha_v3' || ! this.needsChallenge() ) {
+				return false;
+			}
+
+			containers = ( root || document ).querySelectorAll( this.containerSelectors.recaptcha_v3 );
+
+			Array.prototype.forEach.call( containers, function( container, index ) {
+				self.escalate( container, index === 0 );
+			} );
+
+			return containers.length > 0;
+		},
+
+		/**
+		 * Replace a reCAPTCHA v3 container with the low score challenge widget.
+		 *
+		 * A cfwc_challenge field tells the server to verify the response
+		 * with the challenge provider instead of reCAPTCHA v3.
+		 *
+		 * @param {Element} container reCAPTCHA v3 container.
+		 * @param {boolean} [focus]   Move focus to the widget once rendered.
+		 * @return {Element} The challenge widget container.
+		 */
+		escalate: function( container, focus ) {
+			var self = this;
+			var escalation = this.settings.escalation;
+			var form = container.closest( 'form' );
+			var widget = document.createElement( 'div' );
+
+			widget.className = 'cfwc-challenge';
+			widget.setAttribute( 'data-cfwc-challenge', escalation.provider );
+
+			this.clearError( container );
+			this.removeWidget( container );
+			container.parentNode.replaceChild( widget, container );
+			this.track( widget );
+
+			if ( form && ! form.querySelector( 'input[name="cfwc_challenge"]' ) ) {
+				var field = document.createElement( 'input' );
+				field.type = 'hidden';
+				field.name = 'cfwc_challenge';
+				field.value = escalation.provider;
+				form.appendChild( field );
+			}
+
+			this.showError( widget, this.settings.i18n.challenge );
+
+			this.loadChallenge().then( function() {
+				var api = window[ self.providerGlobals[ escalation.provider ] ];
+
+				self.getState( widget ).widgetId = api.render( widget, {
+					sitekey: escalation.siteKey,
+					theme: self.getTheme( widget ),
+					callback: function( token ) {
+						self.onSuccess( widget, token );
+					},
+					'expired-callback': function() {
+						self.onExpired( widget );
+					},
+					'error-callback': function() {
+						self.onError( widget );
+					}
+				} );
+
+				if ( focus ) {
+					self.focusWidget( widget );
+				}
+			}, function() {
+				self.showError( widget, self.settings.i18n.unavailable );
+			} );
+
+			this.dispatch( widget, 'cfw:challenge', { provider: escalation.provider } );
+
+			return widget;
+		},
+
+		/**
+		 * Load the script of the challenge provider.
+		 *
+		 * reCAPTCHA v2 renders with the grecaptcha script already loaded
+		 * for v3; Turnstile and hCaptcha are injected on first use.
+		 *
+		 * @return {Promise} Resolves once the provider's render() is available.
+		 */
+		loadChallenge: function() {
+			var self = this;
+			var escalation = this.settings.escalation;
+			var api = window[ this.providerGlobals[ escalation.provider ] ];
+
+			if ( this.challengePromise ) {
+				return this.challengePromise;
+			}
+
+			this.challengePromise = new Promise( function( resolve, reject ) {
+				var onReady = function() {
+					if ( escalation.provider === 'recaptcha_v2' ) {
+						window.grecaptcha.ready( resolve );
+					} else {
+						resolve();
+					}
+				};
+
+				if ( api && typeof api.render === 'function' ) {
+					onReady();
+					return;
+				}
+
+				if ( ! escalation.scriptUrl ) {
+					reject( new Error( 'Captcha for WooCommerce: Challenge provider unavailable.' ) );
+					return;
+				}
+
+				var script = self.createScript( escalation.scriptUrl );
+				script.onload = onReady;
+				script.onerror = function() {
+					self.challengePromise = null;
+					reject( new Error( 'Captcha for WooCommerce: Challenge provider unavailable.' ) );
+				};
+				document.head.appendChild( script );
+			} );
+
+			return this.challengePromise;
+		},
+
+		/**
+		 * Get the provider serving a widget.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {string} Provider ID; the challenge provider for escalated widgets.
+		 */
+		getProvider: function( container ) {
+			return container.getAttribute( 'data-cfwc-challenge' ) || this.settings.provider;
+		},
+
+		/**
+		 * Get the hidden token field of a reCAPTCHA v3 or proof-of-work container, creating it if needed.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Element} Input element.
+		 */
+		getTokenField: function( container ) {
+			var input = container.querySelector( 'input[type="hidden"]' );
+
+			if ( ! input ) {
+				input = document.createElement( 'input' );
+				input.type = 'hidden';
+				input.name = this.settings.provider === 'proof_of_work' ? 'cfwc_pow_token' : 'g-recaptcha-response';
+				container.appendChild( input );
+			}
+
+			return input;
+		},
+
+		/**
+		 * Fetch a fresh reCAPTCHA v3 token for a container.
+		 *
+		 * The container's data-action names the form, so the server can
+		 * check the token was issued for it.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Promise<string>} Resolves with the token.
+		 */
+		executeRecaptchaV3: function( container ) {
+			var self = this;
+			var action = container.dataset.action || 'submit';
+
+			return new Promise( function( resolve, reject ) {
+				window.grecaptcha.ready( function() {
+					window.grecaptcha.execute( self.settings.siteKey, { action: action } ).then( function( token ) {
+						self.getTokenField( container ).value = token;
+						self.storeToken( container, token );
+						resolve( token );
+					}, reject );
+				} );
+			} );
+		},
+
+		/**
+		 * Get a widget option from the container, falling back to the global setting.
+		 *
+		 * Containers can override language, theme and size with
+		 * data-language, data-theme and data-size attributes.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  key       Option name.
+		 * @return {string} Option value.
+		 */
+		getOption: function( container, key ) {
+			var value = container ? container.getAttribute( 'data-' + key ) : '';
+
+			return value || this.settings[ key ] || '';
+		},
+
+		/**
+		 * Get theme setting, handling 'auto' value.
+		 *
+		 * @param {Element} [container] Widget container with an optional data-theme override.
+		 * @return {string} Theme value.
+		 */
+		getTheme: function( container ) {
+			var theme = this.getOption( container, 'theme' );
+
+			if ( ! theme || theme === 'auto' ) {
+				// Site-defined dark-mode classes take precedence over the OS setting.
+				if ( this.settings.darkModeClasses && this.settings.darkModeClasses.length ) {
+					return this.hasDarkModeClass() ? 'dark' : 'light';
+				}
+
+				// Check for dark mode preference.
+				if ( window.matchMedia && window.matchMedia( '(prefers-color-scheme: dark)' ).matches ) {
+					return 'dark';
+				}
+				return 'light';
+			}
+
+			return theme;
+		},
+
+		/**
+		 * Check if the html or body element carries a site dark-mode class.
+		 *
+		 * @return {boolean} True if the site is in dark mode.
+		 */
+		hasDarkModeClass: function() {
+			var elements = [ document.documentElement, document.body ];
+
+			return this.settings.darkModeClasses.some( function( className ) {
+				return elements.some( function( el ) {
+					return el && el.classList.contains( className );
+				} );
+			} );
+		},
+
+		/**
+		 * Watch for colour scheme changes and re-theme widgets live.
+		 *
+		 * Listens to the OS colour scheme, the site's dark-mode classes
+		 * and a cfw:theme:change event sites can dispatch themselves.
+		 */
+		watchTheme: function() {
+			var self = this;
+			var onChange = function() {
+				self.refreshThemes();
+			};
+
+			if ( window.matchMedia ) {
+				var query = window.matchMedia( '(prefers-color-scheme: dark)' );
+
+				if ( query.addEventListener ) {
+					query.addEventListener( 'change', onChange );
+				} else if ( query.addListener ) {
+					query.addListener( onChange );
+				}
+			}
+
+			if ( this.settings.darkModeClasses && this.settings.darkModeClasses.length && window.MutationObserver ) {
+				var observer = new MutationObserver( onChange );
+
+				[ document.documentElement, document.body ].forEach( function( el ) {
+					observer.observe( el, { attributes: true, attributeFilter: [ 'class' ] } );
+				} );
+			}
+
+			document.addEventListener( 'cfw:theme:change', onChange );
+		},
+
+		/**
+		 * Re-render widgets whose resolved theme no longer matches.
+		 *
+		 * Re-rendering discards the token, so solved widgets keep their
+		 * theme until they are next reset.
+		 */
+		refreshThemes: function() {
+			var self = this;
+
+			this.containers.forEach( function( container ) {
+				if ( ! document.contains( container ) ) {
+					return;
+				}
+
+				if ( ! self.isThemeStale( container ) || self.getResponse( container ) ) {
+					return;
+				}
+
+				self.rerender( container );
+			} );
+		},
+
+		/**
+		 * Check if a widget was drawn with a theme that no longer applies.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {boolean} True if the widget should be re-rendered.
+		 */
+		isThemeStale: function( container ) {
+			var state = this.states.get( container );
+
+			return !! ( state && state.theme ) && state.theme !== this.getTheme( container );
+		},
+
+		/**
+		 * Replace a rendered widget with a fresh one.
+		 *
+		 * reCAPTCHA cannot render twice into the same element, so the
+		 * container is swapped for an empty clone before rendering again.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Element} The new container.
+		 */
+		rerender: function( container ) {
+			var fresh = this.replaceContainer( container );
+
+			this.initProvider();
+
+			return fresh;
+		},
+
+		/**
+		 * Remove a widget and swap its container for an empty clone.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Element} The clean container now in the document.
+		 */
+		replaceContainer: function( container ) {
+			var fresh = container.cloneNode( false );
+
+			this.removeWidget( container );
+
+			fresh.removeAttribute( 'data-cfwc-init' );
+			fresh.removeAttribute( 'data-cfwc-invisible' );
+			container.parentNode.replaceChild( fresh, container );
+
+			return fresh;
+		},
+
+		/**
+		 * Get the widget size for the current provider.
+		 *
+		 * Only Turnstile supports flexible, and Turnstile has no invisible
+		 * size (see getRenderOptions()), so those fall back to normal.
+		 *
+		 * @param {Element} [container] Widget container with an optional data-size override.
+		 * @return {string} Size value.
+		 */
+		getSize: function( container ) {
+			var size = this.getOption( container, 'size' ) || 'normal';
+			var isTurnstile = this.settings.provider === 'turnstile';
+
+			if ( ( size === 'flexible' && ! isTurnstile ) || ( size === 'invisible' && isTurnstile ) ) {
+				return 'normal';
+			}
+
+			return size;
+		},
+
+		/**
+		 * Check if a widget runs its challenge on submit instead of showing a checkbox.
+		 *
+		 * @param {Element} [container] Widget container with an optional data-size override.
+		 * @return {boolean} True in invisible mode.
+		 */
+		isInvisible: function( container ) {
+			return this.getOption( container, 'size' ) === 'invisible' &&
+				[ 'turnstile', 'recaptcha_v2', 'hcaptcha' ].indexOf( this.settings.provider ) !== -1;
+		},
+
+		/**
+		 * Build the options passed to the provider's render() call.
+		 *
+		 * Callbacks are added by the caller. reCAPTCHA v2 only takes its
+		 * language from the script URL, so it gets no language option.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {Object} Render options.
+		 */
+		getRenderOptions: function( container ) {
+			var language = this.getOption( container, 'language' );
+			var options = {
+				sitekey: this.settings.siteKey,
+				theme: this.getTheme( container ),
+				size: this.getSize( container )
+			};
+
+			if ( language && this.settings.provider === 'turnstile' ) {
+				options.language = language;
+			} else if ( language && this.settings.provider === 'hcaptcha' ) {
+				options.hl = language;
+			}
+
+			// Turnstile only shows itself when the visitor must interact.
+			if ( this.isInvisible( container ) && this.settings.provider === 'turnstile' ) {
+				options.appearance = 'interaction-only';
+				options.execution = 'execute';
+			}
+
+			return options;
+		},
+
+		/**
+		 * Run the challenge of an invisible widget.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		executeWidget: function( container ) {
+			var widgetId = this.getState( container ).widgetId;
+
+			// Starts over after a failed or expired puzzle; a running one keeps going.
+			if ( this.settings.provider === 'proof_of_work' ) {
+				this.solveProofOfWork( container );
+				return;
+			}
+
+			if ( typeof widgetId === 'undefined' ) {
+				return;
+			}
+
+			switch ( this.settings.provider ) {
+				case 'turnstile':
+					window.turnstile.execute( widgetId );
+					break;
+
+				case 'recaptcha_v2':
+					window.grecaptcha.execute( widgetId );
+					break;
+
+				case 'hcaptcha':
+					window.hcaptcha.execute( widgetId );
+					break;
+			}
+		},
+
+		/**
+		 * Get the current response token of a widget.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {string} Token, or an empty string.
+		 */
+		getResponse: function( container ) {
+			var state = this.states.get( container );
+
+			if ( state && state.expiresAt ) {
+				return state.token && state.expiresAt > Date.now() ? state.token : '';
+			}
+
+			var field = container.querySelector(
+				'[name="cf-turnstile-response"], [name="g-recaptcha-response"], [name="h-captcha-response"]'
+			);
+
+			return field ? field.value : '';
+		},
+
+		/**
+		 * Intercept form submits that still need a token.
+		 *
+		 * Runs in the capture phase so it fires before WooCommerce's own
+		 * submit handlers. The form is resubmitted from onSuccess().
+		 *
+		 * @param {Event} event Submit event.
+		 */
+		onFormSubmit: function( event ) {
+			var form = event.target;
+			var container = form.querySelector ? form.querySelector( '[data-cfwc-invisible]' ) : null;
+			var signals = form.querySelector ? form.querySelector( 'input[name="cfwc_hp_signals"]' ) : null;
+
+			// Time to submit is part of the signals, so they are written now.
+			if ( signals ) {
+				signals.value = this.getSignals( form );
+			}
+
+			if ( this.settings.provider === 'recaptcha_v3' && form.querySelector ) {
+				// Classic checkout submits over AJAX; see onPlaceOrder().
+				if ( ! form.matches( 'form.checkout' ) ) {
+					this.onRecaptchaV3Submit( event, form );
+				}
+				return;
+			}
+
+			if ( ! container ) {
+				this.guardSubmit( event, form );
+				return;
+			}
+
+			if ( this.getResponse( container ) ) {
+				return;
+			}
+
+			event.preventDefault();
+			event.stopPropagation();
+
+			this.getState( container ).pendingSubmit = { form: form, submitter: event.submitter || null };
+			this.executeWidget( container );
+		},
+
+		/**
+		 * Stop a form from submitting without a solved visible widget.
+		 *
+		 * The visitor sees the error right away instead of after a page
+		 * reload that may clear some fields. The submit resumes once the
+		 * token arrives. Widgets that never rendered are left to the server.
+		 *
+		 * @param {Event}   event Submit event.
+		 * @param {Element} form  Form element.
+		 */
+		guardSubmit: function( event, form ) {
+			var container = this.getContainer( form );
+
+			if ( ! container || container.getAttribute( 'data-cfwc-init' ) !== '1' || this.getResponse( container ) ) {
+				return;
+			}
+
+			event.preventDefault();
+			event.stopPropagation();
+
+			this.getState( container ).pendingSubmit = { form: form, submitter: event.submitter || null };
+			this.showError( container, this.settings.i18n.error );
+			this.focusWidget( container );
+		},
+
+		/**
+		 * Scroll a widget into view and move focus to it.
+		 *
+		 * Focus goes to the provider's iframe, so keyboard users land on
+		 * the checkbox.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		focusWidget: function( container ) {
+			var target = container.querySelector( 'iframe' ) || container;
+
+			if ( target === container && ! container.hasAttribute( 'tabindex' ) ) {
+				container.setAttribute( 'tabindex', '-1' );
+			}
+
+			container.scrollIntoView( {
+				behavior: window.matchMedia && window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches ? 'auto' : 'smooth',
+				block: 'center'
+			} );
+			target.focus( { preventScroll: true } );
+		},
+
+		/**
+		 * Fetch a reCAPTCHA v3 token before a form submits.
+		 *
+		 * The submit is held back and resumed once the token is set;
+		 * the resumed submit goes through.
+		 *
+		 * @param {Event}   event Submit event.
+		 * @param {Element} form  Form element.
+		 */
+		onRecaptchaV3Submit: function( event, form ) {
+			var container = form.querySelector( this.containerSelectors.recaptcha_v3 );
+			var challenge = form.querySelector( '[data-cfwc-challenge]' );
+
+			if ( challenge && ! this.getResponse( challenge ) ) {
+				event.preventDefault();
+				event.stopPropagation();
+				this.showError( challenge, this.settings.i18n.challenge );
+				this.focusWidget( challenge );
+				return;
+			}
+
+			if ( ! container || this.isResumed( container ) ) {
+				return;
+			}
+
+			event.preventDefault();
+			event.stopPropagation();
+
+			this.getState( container ).pendingSubmit = { form: form, submitter: event.submitter || null };
+			this.runRecaptchaV3( container );
+		},
+
+		/**
+		 * Fetch a reCAPTCHA v3 token before classic checkout places the order.
+		 *
+		 * Bound to WooCommerce's checkout_place_order event, which also
+		 * fires when the checkout is submitted from jQuery. Returning false
+		 * stops the order until the token is ready.
+		 *
+		 * @param {Element} form Checkout form.
+		 * @return {boolean} False while the token is being fetched.
+		 */
+		onPlaceOrder: function( form ) {
+			var container = form.querySelector( this.containerSelectors.recaptcha_v3 );
+			var challenge = form.querySelector( '[data-cfwc-challenge]' );
+
+			if ( challenge && ! this.getResponse( challenge ) ) {
+				this.showError( challenge, this.settings.i18n.challenge );
+				this.focusWidget( challenge );
+				return false;
+			}
+
+			if ( ! container || this.isResumed( container ) ) {
+				return true;
+			}
+
+			this.getState( container ).pendingSubmit = { form: form, jquery: true };
+			this.runRecaptchaV3( container );
+
+			return false;
+		},
+
+		/**
+		 * Check, and consume, the flag set when a held-back submit is resumed.
+		 *
+		 * @param {Element} container Widget container.
+		 * @return {boolean} True if this submit carries a freshly fetched token.
+		 */
+		isResumed: function( container ) {
+			var state = this.getState( container );
+			var resumed = state.resumed;
+
+			state.resumed = false;
+
+			return resumed;
+		},
+
+		/**
+		 * Fetch a reCAPTCHA v3 token and resume the held-back submit.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		runRecaptchaV3: function( container ) {
+			var self = this;
+			var state = this.getState( container );
+
+			this.clearError( container );
+
+			this.executeRecaptchaV3( container ).then( function() {
+				state.resumed = true;
+				self.resumeSubmit( container );
+			}, function() {
+				state.pendingSubmit = null;
+				self.onError( container );
+			} );
+		},
+
+		/**
+		 * Continue a submit that was held back for an invisible challenge.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		resumeSubmit: function( container ) {
+			var state = this.getState( container );
+			var pending = state.pendingSubmit;
+
+			if ( ! pending ) {
+				return;
+			}
+
+			state.pendingSubmit = null;
+
+			if ( pending.jquery ) {
+				jQuery( pending.form ).trigger( 'submit' );
+			} else if ( typeof pending.form.requestSubmit === 'function' ) {
+				pending.form.requestSubmit( pending.submitter );
+			} else if ( pending.submitter ) {
+				pending.submitter.click();
+			} else {
+				pending.form.submit();
+			}
+		},
+
+		/**
+		 * Handle successful CAPTCHA completion.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  token     Response token.
+		 */
+		onSuccess: function( container, token ) {
+			this.storeToken( container, token );
+			this.clearError( container );
+
+			// Trigger custom event for integration.
+			this.dispatch( container, 'cfw:captcha:success', { token: token } );
+
+			this.settleToken( container, token );
+			this.resumeSubmit( container );
+		},
+
+		/**
+		 * Handle CAPTCHA expiration.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		onExpired: function( container ) {
+			var state = this.getState( container );
+
+			state.token = '';
+			state.error = 'expired';
+
+			this.showError( container, this.settings.i18n.expired );
+			this.dispatch( container, 'cfw:captcha:expired' );
+		},
+
+		/**
+		 * Handle CAPTCHA error.
+		 *
+		 * @param {Element} container Widget container.
+		 */
+		onError: function( container ) {
+			this.getState( container ).error = 'failed';
+
+			this.showError( container, this.settings.i18n.failed );
+			this.settleToken( container, null, new Error( this.settings.i18n.failed ) );
+			this.dispatch( container, 'cfw:captcha:error' );
+		},
+
+		/**
+		 * Show error message below widget.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  message   Error message.
+		 */
+		showError: function( container, message ) {
+			var wrapper = container.closest( '.cfwc-captcha-field' ) || container.parentElement;
+			var errorEl;
+
+			// The error is linked to its widget by ID.
+			this.track( container );
+
+			errorEl = document.getElementById( container.id + '-error' );
+
+			// Screen readers would announce the same message again.
+			if ( errorEl && errorEl.textContent === message ) {
+				return;
+			}
+
+			// Remove existing error.
+			this.clearError( container );
+
+			// role="alert" is assertive and announced once; adding
+			// aria-live as well makes some screen readers read it twice.
+			errorEl = document.createElement( 'div' );
+			errorEl.className = 'cfwc-error';
+			errorEl.id = container.id + '-error';
+			errorEl.setAttribute( 'role', 'alert' );
+			errorEl.textContent = message;
+
+			wrapper.appendChild( errorEl );
+			this.linkError( container, errorEl.id, true );
+		},
+
+		/**
+		 * Remove the error message of one widget.
 		 *
-		 * @param {Element} form The form element.
-		 * @param {Object}  hp   Honeypot configuration.
+		 * @param {Element} container Widget container.
 		 */
-		injectHoneypotFields: function( form, hp ) {
-			// Skip if already injected.
-			if ( form.querySelector( '.cfwc-hp-injected' ) ) {
-				return;
-			}
-
-			// Build the honeypot HTML.
-			// 1. Visible trap field (alt_s) - bots will fill this.
-			// 2. Hidden field with unique name - proves JS executed.
-			// 3. Hidden verification fields.
-			var honeypotHTML = '' +
-				'<div class="cfwc-hp-injected" aria-hidden="true">' +
-					// Visible trap (positioned off-screen via CSS).
-					'<div class="cfwc-hp-trap">' +
-						'<label for="cfwc_alt_s">Alternative:</label>' +
-						'<input type="text" id="cfwc_alt_s" name="alt_s" autocomplete="new-password" tabindex="-1">' +
-					'</div>' +
-					// Hidden honeypot with value (JS-only field).
-					'<span class="cfwc-hp-hidden">' +
-						'<input type="text" name="' + hp.fieldName + '" value="' + hp.timestamp + '" tabindex="-1">' +
-					'</span>' +
-				'</div>' +
-				// Verification fields (hidden inputs).
-				'<input type="hidden" name="cfwc_hp_nonce" value="' + hp.nonce + '">' +
-				'<input type="hidden" name="cfwc_hp_time" value="' + hp.timestamp + '">' +
-				'<input type="hidden" name="cfwc_hp_challenge" value="' + hp.challenge + '">' +
-				'<input type="hidden" name="cfwc_hp_js" value="">';
-
-			// Inject into form.
-			form.insertAdjacentHTML( 'beforeend', honeypotHTML );
+		clearError: function( container ) {
+			var errorEl = container.id ? document.getElementById( container.id + '-error' ) : null;
 
-			// Calculate JS challenge response (proves real browser).
-			var jsField = form.querySelector( 'input[name="cfwc_hp_js"]' );
-			if ( jsField && hp.challengeA && hp.challengeB && hp.challengeC ) {
-				var result = ( hp.challengeA * hp.challengeB + hp.challengeC ).toString( 36 );
-				jsField.value = result;
+			if ( errorEl ) {
+				this.linkError( container, errorEl.id, false );
+				errorEl.remove();
 			}
 		},
 
 		/**
-		 * Wait for provider script to load.
+		 * Add or remove an error in the descriptions of the form's submit buttons.
 		 *
-		 * @param {string}   globalName Provider's global object name.
-		 * @param {Function} callback   Callback when ready.
+		 * Screen reader users hear why the form didn't submit when they
+		 * return to the button.
+		 *
+		 * @param {Element} container Widget container.
+		 * @param {string}  id        Error element ID.
+		 * @param {boolean} linked    Whether to add or remove the ID.
 		 */
-		waitForProvider: function( globalName, callback ) {
-			var attempts = 0;
-			var maxAttempts = 50;
+		linkError: function( container, id, linked ) {
+			var form = container.closest( 'form' );
 
-			var check = setInterval( function() {
-				attempts++;
+			if ( ! form ) {
+				return;
+			}
 
-				if ( window[ globalName ] ) {
-					clearInterval( check );
-					callback();
-				} else if ( attempts >= maxAttempts ) {
-					clearInterval( check );
-					console.warn( 'Captcha for WooCommerce: Provider script failed to load.' );
+			form.querySelectorAll( '[type="submit"], button:not([type])' ).forEach( function( button ) {
+				var ids = ( button.getAttribute( 'aria-describedby' ) || '' ).split( /\s+/ ).filter( function( value ) {
+					return value && value !== id;
+				} );
+
+				if ( linked ) {
+					ids.push( id );
+				}
+
+				if ( ids.length ) {
+					button.setAttribute( 'aria-describedby', ids.join( ' ' ) );
+				} else {
+					button.removeAttribute( 'aria-describedby' );
 				}
-			}, 100 );
+			} );
 		},
 
 		/**
-		 * Initialize Cloudflare Turnstile widgets.
+		 * Bind event listeners.
 		 */
-		initTurnstile: function() {
+		bindEvents: function() {
 			var self = this;
-			var containers = document.querySelectorAll( '.cf-turnstile:not([data-cfwc-init])' );
 
-			containers.forEach( function( container ) {
-				container.setAttribute( 'data-cfwc-init', '1' );
+			// Re-initialize on AJAX content updates (WooCommerce Classic Checkout).
+			document.body.addEventListener( 'updated_checkout', function() {
+				self.refresh();
+			} );
+
+			// Re-initialize when fragments are refreshed.
+			document.body.addEventListener( 'wc_fragments_refreshed', function() {
+				self.refresh();
+			} );
 
-				var widgetId = window.turnstile.render( container, {
-					sitekey: self.settings.siteKey,
-					theme: self.getTheme(),
-					callback: function( token ) {
-						self.onSuccess( container, token );
-					},
-					'expired-callback': function() {
-						self.onExpired( container );
-					},
-					'error-callback': function() {
-						self.onError( container );
-					}
+			// Protect forms inserted after page load.
+			this.observeDom();
+
+			// Fetch a reCAPTCHA v3 token before classic checkout places the order.
+			// WooCommerce uses triggerHandler(), so the event doesn't bubble.
+			if ( this.settings.provider === 'recaptcha_v3' ) {
+				jQuery( 'form.checkout' ).on( 'checkout_place_order', function() {
+					return self.onPlaceOrder( this );
 				} );
+			}
 
-				self.widgets[ container.id ] = widgetId;
+			// Reset the checkout widget on checkout error.
+			jQuery( document.body ).on( 'checkout_error', function() {
+				document.querySelectorAll( 'form.checkout' ).forEach( function( form ) {
+					self.reset( form );
+					self.checkChallenge( form );
+				} );
 			} );
+
+			// Run invisible challenges on submit.
+			document.addEventListener( 'submit', function( event ) {
+				self.onFormSubmit( event );
+			}, true );
+
+			// Follow OS and site colour scheme changes.
+			this.watchTheme();
+		},
+
+		/**
+		 * Drop widgets that left the page and protect any new forms.
+		 */
+		refresh: function() {
+			this.cleanupWidgets();
+			this.protectForms();
+			this.initProvider();
+			this.initHoneypot();
 		},
 
 		/**
-		 * Initialize Google reCAPTCHA v2 widgets.
+		 * Watch the DOM for forms and widget containers added after load.
+		 *
+		 * Opt-in via the Protect Dynamic Forms setting. Mutations are
+		 * debounced so a burst of insertions triggers a single scan.
 		 */
-		initRecaptchaV2: function() {
+		observeDom: function() {
 			var self = this;
-			var containers = document.querySelectorAll( '.g-recaptcha:not([data-cfwc-init])' );
 
-			containers.forEach( function( container ) {
-				container.setAttribute( 'data-cfwc-init', '1' );
+			if ( ! this.settings.autoProtect || ! window.MutationObserver ) {
+				return;
+			}
 
-				var widgetId = window.grecaptcha.render( container, {
-					sitekey: self.settings.siteKey,
-					theme: self.getTheme() === 'auto' ? 'light' : self.getTheme(),
-					callback: function( token ) {
-						self.onSuccess( container, token );
-					},
-					'expired-callback': function() {
-						self.onExpired( container );
-					},
-					'error-callback': function() {
-						self.onError( container );
-					}
+			var selector = [ this.getFormSelector() ]
+				.filter( Boolean )
+				.concat( [ '.cfwc-captcha-field' ], Object.keys( this.containerSelectors ).map( function( key ) {
+					return self.containerSelectors[ key ];
+				} ) )
+				.join( ', ' );
+
+			var isRelevant = function( node ) {
+				return node.nodeType === 1 && ( node.matches( selector ) || !! node.querySelector( selector ) );
+			};
+
+			var observer = new MutationObserver( function( mutations ) {
+				var changed = mutations.some( function( mutation ) {
+					return Array.prototype.some.call( mutation.addedNodes, isRelevant ) ||
+						Array.prototype.some.call( mutation.removedNodes, isRelevant );
 				} );
 
-				self.widgets[ container.id ] = widgetId;
+				if ( changed ) {
+					self.scheduleScan();
+				}
 			} );
+
+			observer.observe( document.body, { childList: true, subtree: true } );
 		},
 
 		/**
-		 * Initialize Google reCAPTCHA v3.
+		 * Debounce a refresh after DOM changes.
 		 */
-		initRecaptchaV3: function() {
+		scheduleScan: function() {
 			var self = this;
-			var containers = document.querySelectorAll( '.cfwc-recaptcha-v3:not([data-cfwc-init])' );
-
-			containers.forEach( function( container ) {
-				container.setAttribute( 'data-cfwc-init', '1' );
-
-				var input = container.querySelector( 'input[type="hidden"]' );
-				var action = container.dataset.action || 'submit';
-
-				// Get token on page load.
-				self.getRecaptchaV3Token( action, function( token ) {
-					if ( input ) {
-						input.value = token;
-					}
-				} );
 
-				// Refresh token periodically (tokens expire after 2 minutes).
-				setInterval( function() {
-					self.getRecaptchaV3Token( action, function( token ) {
-						if ( input ) {
-							input.value = token;
-						}
-					} );
-				}, 90000 ); // Refresh every 90 seconds.
-			} );
+			clearTimeout( this.scanTimer );
+			this.scanTimer = setTimeout( function() {
+				self.scanTimer = null;
+				self.refresh();
+			}, 150 );
 		},
 
 		/**
-		 * Get reCAPTCHA v3 token.
-		 *
-		 * @param {string}   action   Action name.
-		 * @param {Function} callback Callback with token.
+		 * Forget widgets whose containers are no longer in the document.
 		 */
-		getRecaptchaV3Token: function( action, callback ) {
+		cleanupWidgets: function() {
 			var self = this;
 
-			window.grecaptcha.ready( function() {
-				window.grecaptcha.execute( self.settings.siteKey, { action: action } )
-					.then( function( token ) {
-						callback( token );
-					} )
-					.catch( function() {
-						console.warn( 'Captcha for WooCommerce: Failed to get reCAPTCHA v3 token.' );
-					} );
+			this.containers.slice().forEach( function( container ) {
+				if ( ! document.contains( container ) ) {
+					self.removeWidget( container );
+				}
 			} );
 		},
 
 		/**
-		 * Initialize hCaptcha widgets.
+		 * Remove a rendered widget and forget its state.
+		 *
+		 * @param {Element} container Widget container.
 		 */
-		initHcaptcha: function() {
-			var self = this;
-			var containers = document.querySelectorAll( '.h-captcha:not([data-cfwc-init])' );
+		removeWidget: function( container ) {
+			var api = window[ this.providerGlobals[ this.getProvider( container ) ] ];
+			var state = this.states.get( container );
+			var index = this.containers.indexOf( container );
+
+			// Turnstile and hCaptcha keep internal state until removed; reCAPTCHA has no remove().
+			if ( state && api && typeof api.remove === 'function' && typeof state.widgetId !== 'undefined' ) {
+				try {
+					api.remove( state.widgetId );
+				} catch ( e ) {
+					// The widget is already gone.
+				}
+			}
 
-			containers.forEach( function( container ) {
-				container.setAttribute( 'data-cfwc-init', '1' );
+			if ( state && state.worker ) {
+				state.worker.terminate();
+			}
 
-				var widgetId = window.hcaptcha.render( container, {
-					sitekey: self.settings.siteKey,
-					theme: self.getTheme() === 'auto' ? 'light' : self.getTheme(),
-					callback: function( token ) {
-						self.onSuccess( container, token );
-					},
-					'expired-callback': function() {
-						self.onExpired( container );
-					},
-					'error-callback': function() {
-						self.onError( container );
-					}
-				} );
+			this.states.delete( container );
 
-				self.widgets[ container.id ] = widgetId;
-			} );
+			if ( index !== -1 ) {
+				this.containers.splice( index, 1 );
+			}
 		},
 
 		/**
-		 * Get theme setting, handling 'auto' value.
+		 * Collect the honeypot field values from a container.
 		 *
-		 * @return {string} Theme value.
+		 * @param {Element} container Element holding the honeypot fields.
+		 * @return {Object} Values keyed as the Store API extension schema expects.
 		 */
-		getTheme: function() {
-			var theme = this.settings.theme;
+		collectHoneypotData: function( container ) {
+			var hp = this.settings.honeypot || ( this.settings.failsafe || {} ).honeypot;
+			var injected = container.querySelector( '.cfwc-hp-injected' );
+			var value = function( name ) {
+				var input = container.querySelector( 'input[name="' + name + '"]' );
+				return input ? input.value : '';
+			};
 
-			if ( theme === 'auto' ) {
-				// Check for dark mode preference.
-				if ( window.matchMedia && window.matchMedia( '(prefers-color-scheme: dark)' ).matches ) {
-					return 'dark';
-				}
-				return 'light';
-			}
+			return {
+				field: value( hp.fieldName ),
+				trap: value( 'alt_s' ),
+				nonce: value( 'cfwc_hp_nonce' ),
+				timestamp: parseInt( value( 'cfwc_hp_time' ), 10 ) || 0,
+				js: value( 'cfwc_hp_js' ),
+				challenge: value( 'cfwc_hp_challenge' ),
+				signals: this.getSignals( container.closest( 'form' ) || ( injected ? injected.parentNode : container ) )
+			};
+		},
 
-			return theme;
+		/**
+		 * Reset all widgets on the page.
+		 */
+		resetAllWidgets: function() {
+			var self = this;
+			this.containers.forEach( function( container ) {
+				self.reset( container );
+			} );
 		},
 
 		/**
-		 * Handle successful CAPTCHA completion.
+		 * Route a data-callback success to the widget holding the token.
 		 *
-		 * @param {Element} container Widget container.
-		 * @param {string}  token     Response token.
+		 * @param {string} token Response token.
 		 */
-		onSuccess: function( container, token ) {
-			// Remove any error messages.
-			var errorEl = container.parentElement.querySelector( '.cfwc-error' );
-			if ( errorEl ) {
-				errorEl.remove();
+		onLegacyCallback: function( token ) {
+			var self = this;
+			var selector = this.containerSelectors[ this.settings.provider ];
+
+			if ( ! selector ) {
+				return;
 			}
 
-			// Trigger custom event for integration.
-			var event = new CustomEvent( 'cfw:captcha:success', {
-				detail: { token: token, container: container }
+			document.querySelectorAll( selector ).forEach( function( container ) {
+				var field = container.querySelector( '[name$="-response"]' );
+				var state = self.states.get( container );
+
+				if ( field && field.value === token && ( ! state || state.token !== token ) ) {
+					self.onSuccess( container, token );
+				}
 			} );
-			document.dispatchEvent( event );
 		},
 
 		/**
-		 * Handle CAPTCHA expiration.
-		 *
-		 * @param {Element} container Widget container.
+		 * Route a data-callback expiry to widgets whose token was cleared.
 		 */
-		onExpired: function( container ) {
-			this.showError( container, this.settings.i18n.expired );
+		onLegacyExpired: function() {
+			var self = this;
+
+			this.containers.forEach( function( container ) {
+				var field = container.querySelector( '[name$="-response"]' );
+				var state = self.getState( container );
 
-			var event = new CustomEvent( 'cfw:captcha:expired', {
-				detail: { container: container }
+				if ( state.token && field && ! field.value ) {
+					self.onExpired( container );
+				}
 			} );
-			document.dispatchEvent( event );
 		},
 
 		/**
-		 * Handle CAPTCHA error.
+		 * Resolve pending execute() promises for a widget.
 		 *
-		 * @param {Element} container Widget container.
+		 * @param {Element}     container Widget container.
+		 * @param {string|null} token     Token, or null on failure.
+		 * @param {Error}       [error]   Failure reason.
 		 */
-		onError: function( container ) {
-			this.showError( container, this.settings.i18n.failed );
+		settleToken: function( container, token, error ) {
+			var state = this.getState( container );
+			var waiters = state.waiters;
+
+			state.waiters = [];
 
-			var event = new CustomEvent( 'cfw:captcha:error', {
-				detail: { container: container }
+			waiters.forEach( function( waiter ) {
+				if ( token ) {
+					waiter.resolve( token );
+				} else {
+					waiter.reject( error );
+				}
 			} );
-			document.dispatchEvent( event );
 		},
 
 		/**
-		 * Show error message below widget.
+		 * Find the widget container for a form, wrapper, container or ID.
 		 *
-		 * @param {Element} container Widget container.
-		 * @param {string}  message   Error message.
+		 * @param {Element|string} target Form, .cfwc-captcha-field wrapper, container or container ID.
+		 * @return {Element|null} Widget container.
 		 */
-		showError: function( container, message ) {
-			// Remove existing error.
-			var existingError = container.parentElement.querySelector( '.cfwc-error' );
-			if ( existingError ) {
-				existingError.remove();
+		getContainer: function( target ) {
+			var selector = this.containerSelectors[ this.settings.provider ];
+			var element = typeof target === 'string' ? document.getElementById( target ) : target;
+
+			if ( ! element || element.nodeType !== 1 ) {
+				return null;
 			}
 
-			// Create error element.
-			var errorEl = document.createElement( 'div' );
-			errorEl.className = 'cfwc-error';
-			errorEl.setAttribute( 'role', 'alert' );
-			errorEl.setAttribute( 'aria-live', 'polite' );
-			errorEl.textContent = message;
+			// A low score challenge replaces the reCAPTCHA v3 container.
+			if ( element.matches( '[data-cfwc-challenge]' ) ) {
+				return element;
+			}
+
+			if ( element.querySelector( '[data-cfwc-challenge]' ) ) {
+				return element.querySelector( '[data-cfwc-challenge]' );
+			}
+
+			if ( ! selector ) {
+				return null;
+			}
 
-			container.parentElement.appendChild( errorEl );
+			return element.matches( selector ) ? element : element.querySelector( selector );
 		},
 
+		/*
+		 * Public API.
+		 *
+		 * These methods behave the same for every provider. For the
+		 * honeypot the "token" is the literal string 'honeypot'.
+		 */
+
 		/**
-		 * Bind event listeners.
+		 * Wait until the page is initialized and the provider script is loaded.
+		 *
+		 * @return {Promise<Object>} Resolves with CFW; rejects if the provider cannot load.
 		 */
-		bindEvents: function() {
+		ready: function() {
 			var self = this;
 
-			// Re-initialize on AJAX content updates (WooCommerce Classic Checkout).
-			document.body.addEventListener( 'updated_checkout', function() {
-				self.initProvider();
-				self.initHoneypot();
-			} );
-
-			// Re-initialize when fragments are refreshed.
-			document.body.addEventListener( 'wc_fragments_refreshed', function() {
-				self.initProvider();
-				self.initHoneypot();
-			} );
+			return this.domReady.then( function() {
+				if ( self.settings.provider === 'honeypot' ) {
+					return self;
+				}
 
-			// Reset on checkout error.
-			jQuery( document.body ).on( 'checkout_error', function() {
-				self.resetAllWidgets();
+				return self.loadProvider().then( function() {
+					return self;
+				} );
 			} );
-
-			// Initialize Block Checkout integration.
-			this.initBlockCheckout();
 		},
 
 		/**
-		 * Initialize WooCommerce Block Checkout integration.
+		 * Render a widget into an element.
 		 *
-		 * Uses wp.data to communicate with the Store API.
-		 * Token is sent via extensions data.
+		 * @param {Element} element            Element to render into.
+		 * @param {Object}  [options]          Render options.
+		 * @param {string}  [options.theme]    Theme override.
+		 * @param {string}  [options.size]     Size override.
+		 * @param {string}  [options.language] Language override.
+		 * @param {string}  [options.action]   reCAPTCHA v3 action name.
+		 * @return {Promise<Element>} Resolves with the widget container once rendered.
 		 */
-		initBlockCheckout: function() {
+		render: function( element, options ) {
 			var self = this;
+			var selector = this.containerSelectors[ this.settings.provider ];
 
-			// Check if we're in Block Checkout context.
-			// The isBlockCheckout flag is set by the PHP Checkout_Integration class.
-			if ( ! this.settings.isBlockCheckout ) {
-				return;
+			options = options || {};
+
+			[ 'theme', 'size', 'language', 'action' ].forEach( function( key ) {
+				if ( options[ key ] ) {
+					element.setAttribute( 'data-' + key, options[ key ] );
+				}
+			} );
+
+			if ( selector && ! element.matches( selector ) ) {
+				element.classList.add( selector.slice( 1 ) );
 			}
 
-			// Check if wp.data is available (should be loaded as dependency).
-			if ( typeof wp === 'undefined' || ! wp.data ) {
-				console.warn( 'Captcha for WooCommerce: wp.data not available for Block Checkout.' );
-				return;
+			if ( ! element.id ) {
+				element.id = 'cfwc-widget-' + ( ++this.containerCount );
 			}
 
-			// Subscribe to WooCommerce store changes.
-			var unsubscribe = wp.data.subscribe( function() {
-				var container = document.getElementById( 'cfwc-block-checkout-captcha' );
+			return this.ready().then( function() {
+				var form = element.closest( 'form' );
 
-				// Skip if container not found or already initialized.
-				if ( ! container || container.getAttribute( 'data-cfwc-block-init' ) === '1' ) {
-					return;
+				if ( ! selector ) {
+					if ( form && self.settings.honeypot ) {
+						self.injectHoneypotFields( form, self.settings.honeypot );
+					}
+					return element;
 				}
 
-				// Skip if widget already rendered.
-				if ( container.innerHTML.trim() !== '' ) {
-					return;
+				if ( element.getAttribute( 'data-cfwc-init' ) !== '1' ) {
+					self.renderContainer( element );
 				}
 
-				container.setAttribute( 'data-cfwc-block-init', '1' );
-				self.renderBlockCheckoutWidget( container );
-
-				// Unsubscribe after initialization.
-				if ( typeof unsubscribe === 'function' ) {
-					unsubscribe();
-				}
+				return element;
 			} );
 		},
 
 		/**
-		 * Render CAPTCHA widget for Block Checkout.
+		 * Get the current token of a widget.
+		 *
+		 * @param {Element|string} target Form, wrapper, container or container ID.
+		 * @return {string} Token, or an empty string if there is none yet.
+		 */
+		getToken: function( target ) {
+			if ( this.settings.provider === 'honeypot' ) {
+				var form = typeof target === 'string' ? document.getElementById( target ) : target;
+				return form && form.querySelector && form.querySelector( '.cfwc-hp-injected' ) ? 'honeypot' : '';
+			}
+
+			var container = this.getContainer( target );
+
+			return container ? this.getResponse( container ) : '';
+		},
+
+		/**
+		 * Get a token, running the challenge if needed.
+		 *
+		 * Invisible widgets and reCAPTCHA v3 run their challenge right
+		 * away; visible widgets resolve once the visitor solves them.
 		 *
-		 * @param {Element} container The widget container.
+		 * @param {Element|string} target Form, wrapper, container or container ID.
+		 * @return {Promise<string>} Resolves with the token.
 		 */
-		renderBlockCheckoutWidget: function( container ) {
+		execute: function( target ) {
 			var self = this;
-			var provider = this.settings.provider;
-			var siteKey = this.settings.siteKey;
 
-			// Callback to send token to Store API.
-			var onTokenReceived = function( token ) {
-				if ( typeof wp !== 'undefined' && wp.data ) {
-					wp.data.dispatch( 'wc/store/checkout' ).__internalSetExtensionData(
-						'captcha-for-woocommerce',
-						{ token: token }
-					);
-				}
-			};
+			return this.ready().then( function() {
+				var provider = self.settings.provider;
+				var container = self.getContainer( target );
 
-			switch ( provider ) {
-				case 'turnstile':
-					if ( window.turnstile ) {
-						window.turnstile.render( container, {
-							sitekey: siteKey,
-							theme: self.getTheme(),
-							callback: onTokenReceived
-						} );
+				if ( provider === 'honeypot' ) {
+					var form = typeof target === 'string' ? document.getElementById( target ) : target;
+					if ( form && form.tagName === 'FORM' && self.settings.honeypot ) {
+						self.injectHoneypotFields( form, self.settings.honeypot );
 					}
-					break;
+					return 'honeypot';
+				}
 
-				case 'recaptcha_v2':
-					if ( window.grecaptcha ) {
-						window.grecaptcha.render( container, {
-							sitekey: siteKey,
-							theme: self.getTheme() === 'auto' ? 'light' : self.getTheme(),
-							callback: onTokenReceived
-						} );
-					}
-					break;
+				if ( ! container ) {
+					throw new Error( 'Captcha for WooCommerce: No widget found.' );
+				}
 
-				case 'recaptcha_v3':
-					if ( window.grecaptcha ) {
-						window.grecaptcha.ready( function() {
-							window.grecaptcha.execute( siteKey, { action: 'checkout' } )
-								.then( onTokenReceived );
-						} );
-
-						// Refresh token periodically.
-						setInterval( function() {
-							window.grecaptcha.ready( function() {
-								window.grecaptcha.execute( siteKey, { action: 'checkout' } )
-									.then( onTokenReceived );
-							} );
-						}, 90000 );
-					}
-					break;
+				if ( provider === 'recaptcha_v3' && ! container.hasAttribute( 'data-cfwc-challenge' ) ) {
+					return self.executeRecaptchaV3( container );
+				}
 
-				case 'hcaptcha':
-					if ( window.hcaptcha ) {
-						window.hcaptcha.render( container, {
-							sitekey: siteKey,
-							theme: self.getTheme() === 'auto' ? 'light' : self.getTheme(),
-							callback: onTokenReceived
-						} );
-					}
-					break;
+				var token = self.getResponse( container );
+				if ( token ) {
+					return token;
+				}
 
-				case 'honeypot':
-					// Honeypot doesn't need client-side rendering for Block Checkout.
-					// It's handled server-side via Store API extension.
-					onTokenReceived( 'honeypot' );
-					break;
-			}
-		},
+				return new Promise( function( resolve, reject ) {
+					self.getState( container ).waiters.push( {
+						resolve: resolve,
+						reject: reject
+					} );
 
-		/**
-		 * Reset all widgets on the page.
-		 */
-		resetAllWidgets: function() {
-			var self = this;
-			Object.keys( this.widgets ).forEach( function( containerId ) {
-				self.reset( containerId );
+					if ( container.hasAttribute( 'data-cfwc-invisible' ) ) {
+						self.executeWidget( container );
+					}
+				} );
 			} );
 		},
 
 		/**
-		 * Reset a specific widget.
+		 * Reset a widget so it needs a new token.
 		 *
-		 * @param {string} containerId Widget container ID.
+		 * @param {Element|string} target Form, wrapper, container or container ID.
 		 */
-		reset: function( containerId ) {
-			var widgetId = this.widgets[ containerId ];
-			var provider = this.settings.provider;
+		reset: function( target ) {
+			var container = this.getContainer( target );
+
+			if ( ! container ) {
+				return;
+			}
+
+			var provider = this.getProvider( container );
+
+			var state = this.getState( container );
+			var widgetId = state.widgetId;
+
+			state.token = '';
+			state.error = '';
+			this.clearError( container );
+
+			if ( provider === 'recaptcha_v3' ) {
+				this.getTokenField( container ).value = '';
+				this.dispatch( container, 'cfw:captcha:reset' );
+				return;
+			}
+
+			// The solved puzzle is used up, so start on the next one.
+			if ( provider === 'proof_of_work' ) {
+				this.getTokenField( container ).value = '';
+				this.dispatch( container, 'cfw:captcha:reset' );
+				this.solveProofOfWork( container );
+				return;
+			}
 
 			if ( typeof widgetId === 'undefined' ) {
 				return;
 			}
 
+			// Apply a colour scheme change that was held back while the widget had a token.
+			if ( this.isThemeStale( container ) ) {
+				// The old container is detached, so listeners hear it from its replacement.
+				this.dispatch( this.rerender( container ), 'cfw:captcha:reset' );
+				return;
+			}
+
 			switch ( provider ) {
 				case 'turnstile':
 					if ( window.turnstile ) {
@@ -603,34 +2408,70 @@
 					}
 					break;
 			}
+
+			this.dispatch( container, 'cfw:captcha:reset' );
+		},
+
+		/**
+		 * Remove a widget from the page.
+		 *
+		 * The container is swapped for an empty copy that is not rendered
+		 * again automatically; pass it to render() to bring the widget back.
+		 *
+		 * @param {Element|string} target Form, wrapper, container or container ID.
+		 * @return {Element|null} The empty container now in the document.
+		 */
+		destroy: function( target ) {
+			var container = this.getContainer( target );
+
+			if ( ! container ) {
+				return null;
+			}
+
+			this.settleToken( container, null, new Error( 'Captcha for WooCommerce: Widget destroyed.' ) );
+
+			var fresh = this.replaceContainer( container );
+			fresh.setAttribute( 'data-cfwc-init', 'destroyed' );
+
+			return fresh;
 		}
 	};
 
-	// Global callback functions for provider scripts.
+	// Global callbacks named in the widget markup (data-callback), for
+	// widgets rendered outside CFW. Each one is matched to its container.
 	window.cfwRecaptchaCallback = function( token ) {
-		document.dispatchEvent( new CustomEvent( 'cfw:captcha:success', { detail: { token: token } } ) );
+		CFW.onLegacyCallback( token );
 	};
 
 	window.cfwRecaptchaExpired = function() {
-		document.dispatchEvent( new CustomEvent( 'cfw:captcha:expired', { detail: {} } ) );
+		CFW.onLegacyExpired();
 	};
 
 	window.cfwHcaptchaCallback = function( token ) {
-		document.dispatchEvent( new CustomEvent( 'cfw:captcha:success', { detail: { token: token } } ) );
+		CFW.onLegacyCallback( token );
 	};
 
 	window.cfwHcaptchaExpired = function() {
-		document.dispatchEvent( new CustomEvent( 'cfw:captcha:expired', { detail: {} } ) );
+		CFW.onLegacyExpired();
+	};
+
+	// Onload callback passed to the provider script URL.
+	window.cfwcProviderLoaded = function() {
+		CFW.onProviderLoaded();
 	};
 
 	// Initialize on DOM ready.
-	if ( document.readyState === 'loading' ) {
-		document.addEventListener( 'DOMContentLoaded', function() {
+	CFW.domReady = new Promise( function( resolve ) {
+		if ( document.readyState === 'loading' ) {
+			document.addEventListener( 'DOMContentLoaded', function() {
+				CFW.init();
+				resolve();
+			} );
+		} else {
 			CFW.init();
-		} );
-	} else {
-		CFW.init();
-	}
+			resolve();
+		}
+	} );
 
 	// Expose globally for extensions.
 	window.CFW = CFW;
@@ -0,0 +1,143 @@
+/**
+ * Captcha for WooCommerce - Proof-of-Work Worker
+ *
+ * Searches for a nonce whose SHA-256 hash of "challenge:nonce" starts
+ * with the requested number of zero bits. Runs off the main thread so
+ * the page stays responsive while the visitor fills in the form.
+ *
+ * SHA-256 is implemented here because crypto.subtle is asynchronous,
+ * much slower per hash, and missing on plain HTTP pages.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+( function() {
+	'use strict';
+
+	var K = [
+		0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+		0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+		0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+		0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+		0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+		0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+		0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+		0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+	];
+
+	var W = new Int32Array( 64 );
+
+	/**
+	 * Rotate a 32-bit word right.
+	 *
+	 * @param {number} x Word.
+	 * @param {number} n Bits.
+	 * @return {number} Rotated word.
+	 */
+	function rotr( x, n ) {
+		return ( x >>> n ) | ( x << ( 32 - n ) );
+	}
+
+	/**
+	 * Hash an ASCII string with SHA-256.
+	 *
+	 * @param {string} message ASCII message.
+	 * @return {Int32Array} Hash as eight 32-bit words.
+	 */
+	function sha256( message ) {
+		var length = message.length;
+		var blocks = ( ( length + 8 ) >> 6 ) + 1;
+		var words = new Int32Array( blocks * 16 );
+		var hash = new Int32Array( [ 0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19 ] );
+		var a, b, c, d, e, f, g, h, t1, t2, i, t;
+
+		for ( i = 0; i < length; i++ ) {
+			words[ i >> 2 ] |= message.charCodeAt( i ) << ( 24 - ( i % 4 ) * 8 );
+		}
+
+		words[ length >> 2 ] |= 0x80 << ( 24 - ( length % 4 ) * 8 );
+		words[ blocks * 16 - 1 ] = length * 8;
+
+		for ( i = 0; i < words.length; i += 16 ) {
+			for ( t = 0; t < 64; t++ ) {
+				if ( t < 16 ) {
+					W[ t ] = words[ i + t ];
+				} else {
+					W[ t ] = ( W[ t - 16 ] + ( rotr( W[ t - 15 ], 7 ) ^ rotr( W[ t - 15 ], 18 ) ^ ( W[ t - 15 ] >>> 3 ) ) +
+						W[ t - 7 ] + ( rotr( W[ t - 2 ], 17 ) ^ rotr( W[ t - 2 ], 19 ) ^ ( W[ t - 2 ] >>> 10 ) ) ) | 0;
+				}
+			}
+
+			a = hash[ 0 ];
+			b = hash[ 1 ];
+			c = hash[ 2 ];
+			d = hash[ 3 ];
+			e = hash[ 4 ];
+			f = hash[ 5 ];
+			g = hash[ 6 ];
+			h = hash[ 7 ];
+
+			for ( t = 0; t < 64; t++ ) {
+				t1 = ( h + ( rotr( e, 6 ) ^ rotr( e, 11 ) ^ rotr( e, 25 ) ) + ( ( e & f ) ^ ( ~e & g ) ) + K[ t ] + W[ t ] ) | 0;
+				t2 = ( ( rotr( a, 2 ) ^ rotr( a, 13 ) ^ rotr( a, 22 ) ) + ( ( a & b ) ^ ( a & c ) ^ ( b & c ) ) ) | 0;
+				h = g;
+				g = f;
+				f = e;
+				e = ( d + t1 ) | 0;
+				d = c;
+				c = b;
+				b = a;
+				a = ( t1 + t2 ) | 0;
+			}
+
+			hash[ 0 ] += a;
+			hash[ 1 ] += b;
+			hash[ 2 ] += c;
+			hash[ 3 ] += d;
+			hash[ 4 ] += e;
+			hash[ 5 ] += f;
+			hash[ 6 ] += g;
+			hash[ 7 ] += h;
+		}
+
+		return hash;
+	}
+
+	/**
+	 * Check that a hash starts with the given number of zero bits.
+	 *
+	 * @param {Int32Array} hash Hash words.
+	 * @param {number}     bits Number of leading zero bits.
+	 * @return {boolean} True if the hash meets the difficulty.
+	 */
+	function hasLeadingZeroBits( hash, bits ) {
+		var i = 0;
+
+		for ( ; bits >= 32; bits -= 32, i++ ) {
+			if ( hash[ i ] !== 0 ) {
+				return false;
+			}
+		}
+
+		return bits === 0 || ( hash[ i ] >>> ( 32 - bits ) ) === 0;
+	}
+
+	/**
+	 * Solve a puzzle posted by frontend.js.
+	 *
+	 * @param {MessageEvent} event Message with challenge and difficulty.
+	 */
+	self.onmessage = function( event ) {
+		var prefix = event.data.challenge + ':';
+		var difficulty = event.data.difficulty;
+		var nonce = 0;
+
+		while ( ! hasLeadingZeroBits( sha256( prefix + nonce ), difficulty ) ) {
+			nonce++;
+		}
+
+		self.postMessage( { token: prefix + nonce } );
+	};
+
+} )();
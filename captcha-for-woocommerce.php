@@ -260,6 +260,9 @@ function cfwc_deactivate() {
 	// Clean up transients.
 	delete_transient( 'cfwc_connection_test' );
 
+	// Stats::schedule_cleanup() schedules it again on reactivation.
+	wp_clear_scheduled_hook( 'cfwc_cleanup' );
+
 	// Flush rewrite rules.
 	flush_rewrite_rules();
 }
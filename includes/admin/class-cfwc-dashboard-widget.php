@@ -12,6 +12,7 @@
 namespace CFWC\Admin;
 
 use CFWC\Plugin;
+use CFWC\Stats;
 use CFWC\Protection\Rate_Limiter;
 
 // Prevent direct file access.
@@ -34,6 +35,13 @@ class Dashboard_Widget {
 	 */
 	const STATS_OPTION = 'cfwc_protection_stats';
 
+	/**
+	 * Days shown in the analytics chart by default.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_RANGE = 30;
+
 	/**
 	 * Constructor.
 	 *
@@ -42,6 +50,8 @@ class Dashboard_Widget {
 	public function __construct() {
 		add_action( 'wp_dashboard_setup', array( $this, 'register_widget' ) );
 		add_action( 'cfwc_failed', array( $this, 'record_blocked_attempt' ), 10, 2 );
+		add_action( 'wp_ajax_cfwc_dashboard_report', array( $this, 'ajax_get_report' ) );
+		add_action( 'admin_post_cfwc_export_stats', array( $this, 'export_csv' ) );
 	}
 
 	/**
@@ -73,14 +83,28 @@ class Dashboard_Widget {
 		$stats    = $this->get_stats();
 		$settings = Plugin::instance()->settings();
 		$provider = $settings->get( 'provider' );
+		$daily    = Stats::instance();
+		$today    = $daily->get_today();
+		$report   = $daily->get_report( $this->get_range_start( self::DEFAULT_RANGE ), $today );
+
+		// Count this week from the site's first day of the week.
+		$week_days   = ( (int) wp_date( 'w' ) - (int) get_option( 'start_of_week', 1 ) + 7 ) % 7;
+		$week_total  = 0;
+		$today_total = 0;
+
+		foreach ( array_slice( $report['days'], -1 - $week_days ) as $day ) {
+			$week_total += $day['total'];
+			$today_total = $day['total'];
+		}
 
 		// Get active provider name.
 		$provider_names = array(
-			'recaptcha_v2' => 'reCAPTCHA v2',
-			'recaptcha_v3' => 'reCAPTCHA v3',
-			'turnstile'    => 'Cloudflare Turnstile',
-			'hcaptcha'     => 'hCaptcha',
-			'honeypot'     => 'Honeypot',
+			'recaptcha_v2'  => 'reCAPTCHA v2',
+			'recaptcha_v3'  => 'reCAPTCHA v3',
+			'turnstile'     => 'Cloudflare Turnstile',
+			'hcaptcha'      => 'hCaptcha',
+			'honeypot'      => 'Honeypot',
+			'proof_of_work' => 'Proof-of-Work',
 		);
 		$provider_name = isset( $provider_names[ $provider ] ) ? $provider_names[ $provider ] : __( 'Not configured', 'captcha-for-woocommerce' );
 
@@ -100,11 +124,11 @@ class Dashboard_Widget {
 		?>
 		<div class="cfwc-widget-grid">
 			<div class="cfwc-stat-box">
-				<div class="cfwc-stat-number"><?php echo esc_html( number_format_i18n( $stats['today'] ) ); ?></div>
+				<div class="cfwc-stat-number"><?php echo esc_html( number_format_i18n( $today_total ) ); ?></div>
 				<div class="cfwc-stat-label"><?php esc_html_e( 'Today', 'captcha-for-woocommerce' ); ?></div>
 			</div>
 			<div class="cfwc-stat-box">
-				<div class="cfwc-stat-number"><?php echo esc_html( number_format_i18n( $stats['week'] ) ); ?></div>
+				<div class="cfwc-stat-number"><?php echo esc_html( number_format_i18n( $week_total ) ); ?></div>
 				<div class="cfwc-stat-label"><?php esc_html_e( 'This Week', 'captcha-for-woocommerce' ); ?></div>
 			</div>
 			<div class="cfwc-stat-box <?php echo $active_locks > 0 ? 'warning' : ''; ?>">
@@ -161,6 +185,52 @@ class Dashboard_Widget {
 			</div>
 		</div>
 
+		<div class="cfwc-analytics"
+			 data-report="<?php echo esc_attr( wp_json_encode( $report ) ); ?>"
+			 data-labels="<?php echo esc_attr( wp_json_encode( $this->get_labels() ) ); ?>">
+			<div class="cfwc-analytics-controls">
+				<label>
+					<span class="screen-reader-text"><?php esc_html_e( 'Date range', 'captcha-for-woocommerce' ); ?></span>
+					<select class="cfwc-analytics-preset">
+						<?php foreach ( array( 7, 30, 90 ) as $days ) : ?>
+							<?php if ( $days <= $daily->get_retention_days() ) : ?>
+								<option value="<?php echo esc_attr( $days ); ?>" <?php selected( self::DEFAULT_RANGE, $days ); ?>>
+									<?php
+									/* translators: %d: Number of days. */
+									echo esc_html( sprintf( _n( 'Last %d day', 'Last %d days', $days, 'captcha-for-woocommerce' ), $days ) );
+									?>
+								</option>
+							<?php endif; ?>
+						<?php endforeach; ?>
+						<option value="custom"><?php esc_html_e( 'Custom', 'captcha-for-woocommerce' ); ?></option>
+					</select>
+				</label>
+				<label>
+					<span class="screen-reader-text"><?php esc_html_e( 'From', 'captcha-for-woocommerce' ); ?></span>
+					<input type="date"
+						   class="cfwc-analytics-from"
+						   value="<?php echo esc_attr( $report['from'] ); ?>"
+						   min="<?php echo esc_attr( $daily->get_first_day() ); ?>"
+						   max="<?php echo esc_attr( $today ); ?>">
+				</label>
+				<label>
+					<span class="screen-reader-text"><?php esc_html_e( 'To', 'captcha-for-woocommerce' ); ?></span>
+					<input type="date"
+						   class="cfwc-analytics-to"
+						   value="<?php echo esc_attr( $report['to'] ); ?>"
+						   min="<?php echo esc_attr( $daily->get_first_day() ); ?>"
+						   max="<?php echo esc_attr( $today ); ?>">
+				</label>
+				<a href="<?php echo esc_url( $this->get_export_url( $report['from'], $report['to'] ) ); ?>"
+				   class="button button-small cfwc-analytics-export">
+					<?php esc_html_e( 'Export CSV', 'captcha-for-woocommerce' ); ?>
+				</a>
+			</div>
+			<div class="cfwc-analytics-chart" role="img"></div>
+			<p class="cfwc-analytics-summary" aria-live="polite"></p>
+			<div class="cfwc-analytics-breakdowns"></div>
+		</div>
+
 		<div class="cfwc-widget-footer">
 			<a href="<?php echo esc_url( admin_url( 'admin.php?page=wc-settings&tab=cfwc_captcha' ) ); ?>" class="button button-secondary">
 				<?php esc_html_e( 'Configure Protection', 'captcha-for-woocommerce' ); ?>
@@ -169,6 +239,147 @@ class Dashboard_Widget {
 		<?php
 	}
 
+	/**
+	 * AJAX handler returning the analytics report for a date range.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_get_report() {
+		check_ajax_referer( 'cfwc_dashboard_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$from   = isset( $_POST['from'] ) ? sanitize_text_field( wp_unslash( $_POST['from'] ) ) : '';
+		$to     = isset( $_POST['to'] ) ? sanitize_text_field( wp_unslash( $_POST['to'] ) ) : '';
+		$report = Stats::instance()->get_report( $from, $to );
+
+		$report['exportUrl'] = $this->get_export_url( $report['from'], $report['to'] );
+
+		wp_send_json_success( $report );
+	}
+
+	/**
+	 * Download the statistics for a date range as CSV.
+	 *
+	 * One row per counter and day, so the file pivots easily in a
+	 * spreadsheet.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function export_csv() {
+		check_admin_referer( 'cfwc_export_stats' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_die( esc_html__( 'Permission denied.', 'captcha-for-woocommerce' ), '', array( 'response' => 403 ) );
+		}
+
+		$from = isset( $_GET['from'] ) ? sanitize_text_field( wp_unslash( $_GET['from'] ) ) : '';
+		$to   = isset( $_GET['to'] ) ? sanitize_text_field( wp_unslash( $_GET['to'] ) ) : '';
+		$rows = Stats::instance()->get_rows( $from, $to );
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="cfwc-stats-' . sanitize_file_name( $from . '-' . $to ) . '.csv"' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streams to the response.
+		$output = fopen( 'php://output', 'w' );
+
+		fputcsv( $output, array( 'date', 'dimension', 'key', 'count' ) );
+
+		foreach ( $rows as $row ) {
+			fputcsv( $output, $row );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Streams to the response.
+		fclose( $output );
+		exit;
+	}
+
+	/**
+	 * Get the CSV export URL for a date range.
+	 *
+	 * @since 1.1.0
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return string Nonced admin-post URL.
+	 */
+	private function get_export_url( $from, $to ) {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action' => 'cfwc_export_stats',
+					'from'   => $from,
+					'to'     => $to,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			'cfwc_export_stats'
+		);
+	}
+
+	/**
+	 * Get the first day of a range ending today.
+	 *
+	 * @since 1.1.0
+	 * @param int $days Number of days in the range.
+	 * @return string Date as Y-m-d.
+	 */
+	private function get_range_start( $days ) {
+		return wp_date( 'Y-m-d', time() - ( $days - 1 ) * DAY_IN_SECONDS );
+	}
+
+	/**
+	 * Get readable names for the keys in a report.
+	 *
+	 * Keys without a name, such as reasons added by other plugins, are
+	 * shown as they are.
+	 *
+	 * @since 1.1.0
+	 * @return array Names keyed by breakdown and key.
+	 */
+	private function get_labels() {
+		$labels = array(
+			'forms'     => array(),
+			'providers' => array(),
+			'reasons'   => array(
+				'missing_token'       => __( 'Missing token', 'captcha-for-woocommerce' ),
+				'invalid_token'       => __( 'Invalid token', 'captcha-for-woocommerce' ),
+				'verification_failed' => __( 'Verification failed', 'captcha-for-woocommerce' ),
+				'low_score'           => __( 'Low score', 'captcha-for-woocommerce' ),
+				'action_mismatch'     => __( 'Action mismatch', 'captcha-for-woocommerce' ),
+				'challenge_required'  => __( 'Challenge required', 'captcha-for-woocommerce' ),
+				'expired'             => __( 'Expired', 'captcha-for-woocommerce' ),
+				'already_used'        => __( 'Token reused', 'captcha-for-woocommerce' ),
+				'invalid_solution'    => __( 'Wrong puzzle solution', 'captcha-for-woocommerce' ),
+				'invalid_signature'   => __( 'Forged puzzle', 'captcha-for-woocommerce' ),
+				'no_js'               => __( 'No JavaScript', 'captcha-for-woocommerce' ),
+				'trap_filled'         => __( 'Trap field filled', 'captcha-for-woocommerce' ),
+				'invalid_time'        => __( 'Invalid timestamp', 'captcha-for-woocommerce' ),
+				'invalid_nonce'       => __( 'Invalid nonce', 'captcha-for-woocommerce' ),
+				'too_fast'            => __( 'Submitted too fast', 'captcha-for-woocommerce' ),
+				'too_old'             => __( 'Form too old', 'captcha-for-woocommerce' ),
+				'js_failed'           => __( 'JavaScript challenge failed', 'captcha-for-woocommerce' ),
+				'low_signal_score'    => __( 'Bot-like behavior', 'captcha-for-woocommerce' ),
+				'ip_blocked'          => __( 'Blocklisted IP', 'captcha-for-woocommerce' ),
+				'rate_limited'        => __( 'Locked out IP', 'captcha-for-woocommerce' ),
+			),
+		);
+
+		foreach ( Plugin::instance()->settings()->get_supported_forms() as $category ) {
+			$labels['forms'] = array_merge( $labels['forms'], $category['forms'] );
+		}
+
+		foreach ( Plugin::instance()->providers()->get_all() as $id => $provider ) {
+			$labels['providers'][ $id ] = $provider->get_name();
+		}
+
+		return $labels;
+	}
+
 	/**
 	 * Record a blocked attempt.
 	 *
@@ -182,22 +393,10 @@ class Dashboard_Widget {
 	public function record_blocked_attempt( $form_type, $error ) {
 		$stats = $this->get_stats();
 
-		// Increment counters.
+		// Daily and per-form counts are kept by Stats; only the all-time total is left here.
 		$stats['total']++;
-		$stats['today']++;
-		$stats['week']++;
 
-		// Track by form type.
-		if ( ! isset( $stats['by_form'][ $form_type ] ) ) {
-			$stats['by_form'][ $form_type ] = 0;
-		}
-		$stats['by_form'][ $form_type ]++;
-
-		// Update date tracking.
-		$stats['last_today'] = gmdate( 'Y-m-d' );
-		$stats['last_week']  = gmdate( 'W-Y' );
-
-		update_option( self::STATS_OPTION, $stats );
+		update_option( self::STATS_OPTION, array( 'total' => $stats['total'] ) );
 	}
 
 	/**
@@ -208,31 +407,9 @@ class Dashboard_Widget {
 	 */
 	private function get_stats() {
 		$defaults = array(
-			'total'      => 0,
-			'today'      => 0,
-			'week'       => 0,
-			'last_today' => '',
-			'last_week'  => '',
-			'by_form'    => array(),
+			'total' => 0,
 		);
 
-		$stats = get_option( self::STATS_OPTION, $defaults );
-		$stats = wp_parse_args( $stats, $defaults );
-
-		// Reset daily counter if date changed.
-		$today = gmdate( 'Y-m-d' );
-		if ( $stats['last_today'] !== $today ) {
-			$stats['today']      = 0;
-			$stats['last_today'] = $today;
-		}
-
-		// Reset weekly counter if week changed.
-		$week = gmdate( 'W-Y' );
-		if ( $stats['last_week'] !== $week ) {
-			$stats['week']      = 0;
-			$stats['last_week'] = $week;
-		}
-
-		return $stats;
+		return wp_parse_args( get_option( self::STATS_OPTION, $defaults ), $defaults );
 	}
 }
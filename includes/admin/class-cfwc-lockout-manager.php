@@ -0,0 +1,275 @@
+<?php
+/**
+ * Lockout Manager.
+ *
+ * Lists the IPs tracked by the rate limiter on the settings tab and
+ * lets admins unlock them, extend their lockout or move them to the
+ * IP whitelist or blocklist.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace CFWC\Admin;
+
+use CFWC\Plugin;
+use CFWC\Protection\IP_Validator;
+use CFWC\Protection\Rate_Limiter;
+
+// Prevent direct file access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Lockout_Manager class.
+ *
+ * Renders the lockout table and handles its AJAX requests. admin.js
+ * loads the rows, so the table stays current without saving settings.
+ *
+ * @since 1.1.0
+ */
+class Lockout_Manager {
+
+	/**
+	 * Most rows returned per request.
+	 *
+	 * @var int
+	 */
+	const MAX_ROWS = 100;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.1.0
+	 */
+	public function __construct() {
+		// Below the settings fields and the other custom sections.
+		add_action( 'woocommerce_settings_' . Settings_Page::TAB_ID, array( $this, 'output' ), 20 );
+
+		add_action( 'wp_ajax_cfwc_get_lockouts', array( $this, 'ajax_get_lockouts' ) );
+		add_action( 'wp_ajax_cfwc_update_lockouts', array( $this, 'ajax_update_lockouts' ) );
+	}
+
+	/**
+	 * Output the lockout table.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function output() {
+		$rate_limiter = Rate_Limiter::instance();
+		$duration     = $rate_limiter->get_lockout_duration();
+		?>
+		<div class="cfwc-lockouts">
+			<h2><?php esc_html_e( 'Lockouts', 'captcha-for-woocommerce' ); ?></h2>
+			<p><?php esc_html_e( 'IPs that are locked out or close to the failed attempt limit. Unlock customers who share an office or mobile network with a bot, or move an IP to the whitelist or blocklist for good.', 'captcha-for-woocommerce' ); ?></p>
+			<?php if ( ! $rate_limiter->is_enabled() ) : ?>
+				<div class="notice notice-warning inline">
+					<p><?php esc_html_e( 'Rate limiting is off, so these lockouts are not enforced.', 'captcha-for-woocommerce' ); ?></p>
+				</div>
+			<?php endif; ?>
+			<div class="cfwc-lockouts-toolbar">
+				<label for="cfwc-lockouts-action" class="screen-reader-text"><?php esc_html_e( 'Select bulk action', 'captcha-for-woocommerce' ); ?></label>
+				<select id="cfwc-lockouts-action">
+					<option value=""><?php esc_html_e( 'Bulk actions', 'captcha-for-woocommerce' ); ?></option>
+					<?php foreach ( $this->get_actions( $duration ) as $action => $label ) : ?>
+						<option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<button type="button" class="button" id="cfwc-lockouts-apply">
+					<?php esc_html_e( 'Apply', 'captcha-for-woocommerce' ); ?>
+				</button>
+				<label for="cfwc-lockouts-search" class="screen-reader-text"><?php esc_html_e( 'Search IPs', 'captcha-for-woocommerce' ); ?></label>
+				<input type="search"
+					   id="cfwc-lockouts-search"
+					   placeholder="<?php esc_attr_e( 'Search IPs', 'captcha-for-woocommerce' ); ?>">
+				<button type="button" class="button" id="cfwc-lockouts-refresh">
+					<?php esc_html_e( 'Refresh', 'captcha-for-woocommerce' ); ?>
+				</button>
+			</div>
+			<div class="cfwc-lockouts-status" role="status"></div>
+			<table class="widefat striped cfwc-lockouts-table">
+				<thead>
+					<tr>
+						<td class="check-column">
+							<input type="checkbox" id="cfwc-lockouts-all" aria-label="<?php esc_attr_e( 'Select all IPs', 'captcha-for-woocommerce' ); ?>">
+						</td>
+						<th scope="col"><?php esc_html_e( 'IP Address', 'captcha-for-woocommerce' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Failed Attempts', 'captcha-for-woocommerce' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Status', 'captcha-for-woocommerce' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Actions', 'captcha-for-woocommerce' ); ?></th>
+					</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+		</div>
+		<?php
+	}
+
+	/**
+	 * AJAX handler listing the tracked IPs.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_get_lockouts() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( $this->get_rows() );
+	}
+
+	/**
+	 * AJAX handler applying an action to one or more IPs.
+	 *
+	 * Responds with the updated rows, so the table refreshes in one request.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_update_lockouts() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$action = isset( $_POST['lockout_action'] ) ? sanitize_key( wp_unslash( $_POST['lockout_action'] ) ) : '';
+		$ips    = isset( $_POST['ips'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['ips'] ) ) : array();
+		$ips    = array_unique( array_filter( filter_var( $ips, FILTER_VALIDATE_IP, FILTER_REQUIRE_ARRAY ) ?: array() ) );
+
+		if ( ! array_key_exists( $action, $this->get_actions( 0 ) ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid action.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		if ( empty( $ips ) ) {
+			wp_send_json_error( array( 'message' => __( 'Select at least one valid IP address.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$rate_limiter = Rate_Limiter::instance();
+
+		foreach ( $ips as $ip ) {
+			if ( 'extend' === $action ) {
+				$rate_limiter->extend_lockout( $ip );
+				continue;
+			}
+
+			// A listed IP is handled by the list, its lockout no longer matters.
+			$rate_limiter->unlock( $ip );
+
+			if ( 'whitelist' === $action || 'blocklist' === $action ) {
+				$this->add_to_list( $action . '_ips', $ip );
+			}
+		}
+
+		$response            = $this->get_rows();
+		$response['message'] = $this->get_message( $action, count( $ips ) );
+
+		// The list fields are on the same form; a later save must not undo this.
+		if ( 'whitelist' === $action || 'blocklist' === $action ) {
+			$response['field'] = array(
+				'id'    => 'cfwc_' . $action . '_ips',
+				'value' => Plugin::instance()->settings()->get( $action . '_ips', '' ),
+			);
+		}
+
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Get the rows for the current search.
+	 *
+	 * @since 1.1.0
+	 * @return array Rows, total matching IPs and the attempt limit.
+	 */
+	private function get_rows() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by the AJAX handlers.
+		$search  = isset( $_POST['search'] ) ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '';
+		$entries = Rate_Limiter::instance()->get_tracked_ips( trim( $search ) );
+
+		return array(
+			'rows'        => array_slice( $entries, 0, self::MAX_ROWS ),
+			'total'       => count( $entries ),
+			'maxAttempts' => Rate_Limiter::instance()->get_max_attempts(),
+		);
+	}
+
+	/**
+	 * Get the actions admins can apply to IPs.
+	 *
+	 * @since 1.1.0
+	 * @param int $duration Lockout duration in minutes, for the labels.
+	 * @return array Labels keyed by action.
+	 */
+	private function get_actions( $duration ) {
+		return array(
+			'unlock'    => __( 'Unlock', 'captcha-for-woocommerce' ),
+			/* translators: %d: Lockout duration in minutes. */
+			'extend'    => sprintf( _n( 'Extend lockout by %d minute', 'Extend lockout by %d minutes', $duration, 'captcha-for-woocommerce' ), $duration ),
+			'whitelist' => __( 'Add to IP whitelist', 'captcha-for-woocommerce' ),
+			'blocklist' => __( 'Add to IP blocklist', 'captcha-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the confirmation message for an applied action.
+	 *
+	 * @since 1.1.0
+	 * @param string $action Applied action.
+	 * @param int    $count  Number of IPs.
+	 * @return string Message.
+	 */
+	private function get_message( $action, $count ) {
+		switch ( $action ) {
+			case 'extend':
+				/* translators: %d: Number of IP addresses. */
+				$message = _n( 'Lockout extended for %d IP.', 'Lockout extended for %d IPs.', $count, 'captcha-for-woocommerce' );
+				break;
+
+			case 'whitelist':
+				/* translators: %d: Number of IP addresses. */
+				$message = _n( '%d IP added to the whitelist.', '%d IPs added to the whitelist.', $count, 'captcha-for-woocommerce' );
+				break;
+
+			case 'blocklist':
+				/* translators: %d: Number of IP addresses. */
+				$message = _n( '%d IP added to the blocklist.', '%d IPs added to the blocklist.', $count, 'captcha-for-woocommerce' );
+				break;
+
+			default:
+				/* translators: %d: Number of IP addresses. */
+				$message = _n( '%d IP unlocked.', '%d IPs unlocked.', $count, 'captcha-for-woocommerce' );
+		}
+
+		return sprintf( $message, $count );
+	}
+
+	/**
+	 * Append an IP to the whitelist or blocklist setting.
+	 *
+	 * Updates the WooCommerce option too, so the settings field shows
+	 * the IP and the next save keeps it.
+	 *
+	 * @since 1.1.0
+	 * @param string $key Setting key, whitelist_ips or blocklist_ips.
+	 * @param string $ip  IP address.
+	 * @return void
+	 */
+	private function add_to_list( $key, $ip ) {
+		$validator = IP_Validator::instance();
+		$listed    = 'whitelist_ips' === $key ? $validator->is_ip_whitelisted( $ip ) : $validator->is_ip_blocklisted( $ip );
+
+		if ( $listed ) {
+			return;
+		}
+
+		$settings = Plugin::instance()->settings();
+		$list     = trim( (string) $settings->get( $key, '' ) );
+		$list     = '' === $list ? $ip : $list . "\n" . $ip;
+
+		$settings->set( $key, $list );
+		update_option( 'cfwc_' . $key, $list );
+	}
+}
@@ -12,6 +12,10 @@
 namespace CFWC\Admin;
 
 use CFWC\Plugin;
+use CFWC\Protection\IP_Validator;
+use CFWC\Protection\Rate_Limiter;
+use CFWC\Providers\Abstract_Provider;
+use CFWC\Providers\Recaptcha_V3;
 
 // Prevent direct file access.
 defined( 'ABSPATH' ) || exit;
@@ -33,6 +37,13 @@ class Settings_Page {
 	 */
 	const TAB_ID = 'cfwc_captcha';
 
+	/**
+	 * reCAPTCHA v3 action of tokens from the live test widget.
+	 *
+	 * @var string
+	 */
+	const TEST_ACTION = 'cfwc_test';
+
 	/**
 	 * Constructor.
 	 *
@@ -50,6 +61,10 @@ class Settings_Page {
 
 		// AJAX handlers.
 		add_action( 'wp_ajax_cfwc_test_connection', array( $this, 'ajax_test_connection' ) );
+		add_action( 'wp_ajax_cfwc_test_token', array( $this, 'ajax_test_token' ) );
+		add_action( 'wp_ajax_cfwc_export_settings', array( $this, 'ajax_export_settings' ) );
+		add_action( 'wp_ajax_cfwc_import_settings', array( $this, 'ajax_import_settings' ) );
+		add_action( 'wp_ajax_cfwc_test_ip', array( $this, 'ajax_test_ip' ) );
 	}
 
 	/**
@@ -76,6 +91,8 @@ class Settings_Page {
 		// Output custom sections.
 		$this->output_provider_status();
 		$this->output_test_connection_button();
+		$this->output_ip_tester();
+		$this->output_import_export();
 	}
 
 	/**
@@ -177,17 +194,30 @@ class Settings_Page {
 
 			array(
 				'title'    => __( 'Size', 'captcha-for-woocommerce' ),
-				'desc'     => __( 'Select the widget size.', 'captcha-for-woocommerce' ),
+				'desc'     => __( 'Select the widget size. Invisible runs the challenge when the form is submitted and only shows it if the visitor must interact. Not used by reCAPTCHA v3 or Honeypot.', 'captcha-for-woocommerce' ),
 				'id'       => 'cfwc_size',
 				'type'     => 'select',
 				'options'  => array(
-					'normal'  => __( 'Normal', 'captcha-for-woocommerce' ),
-					'compact' => __( 'Compact', 'captcha-for-woocommerce' ),
+					'normal'    => __( 'Normal', 'captcha-for-woocommerce' ),
+					'compact'   => __( 'Compact', 'captcha-for-woocommerce' ),
+					'flexible'  => __( 'Flexible (Turnstile only)', 'captcha-for-woocommerce' ),
+					'invisible' => __( 'Invisible', 'captcha-for-woocommerce' ),
 				),
 				'default'  => 'normal',
 				'desc_tip' => true,
 			),
 
+			array(
+				'title'    => __( 'Lazy Load', 'captcha-for-woocommerce' ),
+				'desc'     => __( 'Defer loading the CAPTCHA on these forms until the form scrolls into view or a field is focused. Improves page speed on pages where the form is below the fold.', 'captcha-for-woocommerce' ),
+				'id'       => 'cfwc_lazy_forms',
+				'type'     => 'multiselect',
+				'options'  => $this->get_lazy_form_options(),
+				'default'  => array(),
+				'class'    => 'wc-enhanced-select',
+				'desc_tip' => true,
+			),
+
 			array(
 				'title'             => __( 'Score Threshold', 'captcha-for-woocommerce' ),
 				'desc'              => __( 'For reCAPTCHA v3: minimum score required to pass (0.0 to 1.0). Lower values are more lenient.', 'captcha-for-woocommerce' ),
@@ -202,6 +232,72 @@ class Settings_Page {
 				),
 			),
 
+			array(
+				'title'    => __( 'Low Score Challenge', 'captcha-for-woocommerce' ),
+				'desc'     => __( 'For reCAPTCHA v3: instead of blocking visitors who score below the threshold, show them an interactive challenge. Needs its own site and secret key.', 'captcha-for-woocommerce' ),
+				'id'       => 'cfwc_escalation_provider',
+				'type'     => 'select',
+				'options'  => array(
+					''             => __( 'Off (block low scores)', 'captcha-for-woocommerce' ),
+					'recaptcha_v2' => __( 'Google reCAPTCHA v2', 'captcha-for-woocommerce' ),
+					'turnstile'    => __( 'Cloudflare Turnstile', 'captcha-for-woocommerce' ),
+					'hcaptcha'     => __( 'hCaptcha', 'captcha-for-woocommerce' ),
+				),
+				'default'  => '',
+				'desc_tip' => true,
+			),
+
+			array(
+				'title'             => __( 'Challenge Site Key', 'captcha-for-woocommerce' ),
+				'desc'              => __( 'Site key for the low score challenge provider.', 'captcha-for-woocommerce' ),
+				'id'                => 'cfwc_escalation_site_key',
+				'type'              => 'text',
+				'default'           => '',
+				'desc_tip'          => true,
+				'custom_attributes' => array(
+					'autocomplete' => 'off',
+				),
+			),
+
+			array(
+				'title'             => __( 'Challenge Secret Key', 'captcha-for-woocommerce' ),
+				'desc'              => __( 'Secret key for the low score challenge provider. Keep this private.', 'captcha-for-woocommerce' ),
+				'id'                => 'cfwc_escalation_secret_key',
+				'type'              => 'password',
+				'default'           => '',
+				'desc_tip'          => true,
+				'custom_attributes' => array(
+					'autocomplete' => 'new-password',
+				),
+			),
+
+			array(
+				'title'             => __( 'Hard Score Floor', 'captcha-for-woocommerce' ),
+				'desc'              => __( 'For reCAPTCHA v3 with a low score challenge: scores below this value are blocked without a challenge.', 'captcha-for-woocommerce' ),
+				'id'                => 'cfwc_score_floor',
+				'type'              => 'number',
+				'default'           => '0.1',
+				'desc_tip'          => true,
+				'custom_attributes' => array(
+					'min'  => '0',
+					'max'  => '1',
+					'step' => '0.1',
+				),
+			),
+
+			array(
+				'title'             => __( 'Proof-of-Work Difficulty', 'captcha-for-woocommerce' ),
+				'desc'              => __( 'Leading zero bits the browser must find. Each step doubles the work; 18 takes a phone a second or two. One bit is added for every failed attempt from the same IP when rate limiting is enabled.', 'captcha-for-woocommerce' ),
+				'id'                => 'cfwc_pow_difficulty',
+				'type'              => 'number',
+				'default'           => '18',
+				'desc_tip'          => true,
+				'custom_attributes' => array(
+					'min' => '10',
+					'max' => '24',
+				),
+			),
+
 			array(
 				'type' => 'sectionend',
 				'id'   => 'cfwc_appearance_section',
@@ -334,7 +430,7 @@ class Settings_Page {
 
 			array(
 				'title'    => __( 'Whitelisted IPs', 'captcha-for-woocommerce' ),
-				'desc'     => __( 'Enter IP addresses to skip CAPTCHA (one per line). Supports CIDR notation (e.g., 192.168.1.0/24) and wildcards (e.g., 192.168.1.*).', 'captcha-for-woocommerce' ),
+				'desc'     => __( 'Enter IP addresses to skip CAPTCHA (one per line). Supports CIDR notation (e.g., 192.168.1.0/24), wildcards (e.g., 192.168.1.*) and a label after # (e.g., 203.0.113.7 # Office).', 'captcha-for-woocommerce' ),
 				'id'       => 'cfwc_whitelist_ips',
 				'type'     => 'textarea',
 				'default'  => '',
@@ -344,7 +440,7 @@ class Settings_Page {
 
 			array(
 				'title'    => __( 'Blocklisted IPs', 'captcha-for-woocommerce' ),
-				'desc'     => __( 'Enter IP addresses to block entirely (one per line). These IPs cannot submit any protected forms. Supports CIDR notation and wildcards.', 'captcha-for-woocommerce' ),
+				'desc'     => __( 'Enter IP addresses to block entirely (one per line). These IPs cannot submit any protected forms. Supports CIDR notation, wildcards and a label after #.', 'captcha-for-woocommerce' ),
 				'id'       => 'cfwc_blocklist_ips',
 				'type'     => 'textarea',
 				'default'  => '',
@@ -433,6 +529,14 @@ class Settings_Page {
 				'default' => 'no',
 			),
 
+			array(
+				'title'   => __( 'Protect Dynamic Forms', 'captcha-for-woocommerce' ),
+				'desc'    => __( 'Watch the page for forms added later (popups, quick views, AJAX tabs, page builders) and protect them automatically.', 'captcha-for-woocommerce' ),
+				'id'      => 'cfwc_auto_protect',
+				'type'    => 'checkbox',
+				'default' => 'no',
+			),
+
 			array(
 				'title'             => __( 'Minimum Form Time', 'captcha-for-woocommerce' ),
 				'desc'              => __( 'Minimum seconds before form can be submitted (honeypot feature).', 'captcha-for-woocommerce' ),
@@ -446,6 +550,20 @@ class Settings_Page {
 				),
 			),
 
+			array(
+				'title'             => __( 'Interaction Score Threshold', 'captcha-for-woocommerce' ),
+				'desc'              => __( 'Honeypot submissions scoring below this are blocked. The score drops when there is no mouse or touch, typing is perfectly even, keys are sent to unfocused fields or the form is sent right after the first interaction. 0, the default, turns this check off. The browser reports these signals unsigned, so a bot that runs the page script can fake them.', 'captcha-for-woocommerce' ),
+				'id'                => 'cfwc_honeypot_signal_threshold',
+				'type'              => 'number',
+				'default'           => '0',
+				'desc_tip'          => true,
+				'custom_attributes' => array(
+					'min'  => '0',
+					'max'  => '1',
+					'step' => '0.1',
+				),
+			),
+
 			array(
 				'title'    => __( 'Failsafe Mode', 'captcha-for-woocommerce' ),
 				'desc'     => __( 'Action to take when CAPTCHA service is unreachable.', 'captcha-for-woocommerce' ),
@@ -558,6 +676,29 @@ class Settings_Page {
 		return $fields;
 	}
 
+	/**
+	 * Get form options for the lazy load multiselect.
+	 *
+	 * Block Checkout is excluded because its widget is rendered by
+	 * the checkout block itself.
+	 *
+	 * @since 1.1.0
+	 * @return array Form options.
+	 */
+	private function get_lazy_form_options() {
+		$options = array();
+
+		foreach ( Plugin::instance()->settings()->get_supported_forms() as $category ) {
+			foreach ( $category['forms'] as $form_id => $label ) {
+				$options[ $form_id ] = $label;
+			}
+		}
+
+		unset( $options['wc_checkout_block'] );
+
+		return $options;
+	}
+
 	/**
 	 * Get role options for multiselect.
 	 *
@@ -588,36 +729,42 @@ class Settings_Page {
 		$provider = $settings->get( 'provider' );
 
 		$privacy_info = array(
-			'recaptcha_v2' => array(
+			'recaptcha_v2'  => array(
 				'name'    => 'Google reCAPTCHA',
 				'company' => 'Google LLC',
 				'policy'  => 'https://policies.google.com/privacy',
 				'note'    => __( 'Visitor IP address and browser data is sent to Google servers for verification.', 'captcha-for-woocommerce' ),
 			),
-			'recaptcha_v3' => array(
+			'recaptcha_v3'  => array(
 				'name'    => 'Google reCAPTCHA',
 				'company' => 'Google LLC',
 				'policy'  => 'https://policies.google.com/privacy',
 				'note'    => __( 'Visitor IP address and browser data is sent to Google servers for verification.', 'captcha-for-woocommerce' ),
 			),
-			'turnstile'    => array(
+			'turnstile'     => array(
 				'name'    => 'Cloudflare Turnstile',
 				'company' => 'Cloudflare, Inc.',
 				'policy'  => 'https://www.cloudflare.com/privacypolicy/',
 				'note'    => __( 'Cloudflare processes minimal data. More privacy-focused than reCAPTCHA.', 'captcha-for-woocommerce' ),
 			),
-			'hcaptcha'     => array(
+			'hcaptcha'      => array(
 				'name'    => 'hCaptcha',
 				'company' => 'Intuition Machines, Inc.',
 				'policy'  => 'https://www.hcaptcha.com/privacy',
 				'note'    => __( 'Privacy-focused alternative. Does not sell personal data.', 'captcha-for-woocommerce' ),
 			),
-			'honeypot'     => array(
+			'honeypot'      => array(
 				'name'    => 'Self-Hosted Honeypot',
 				'company' => __( 'Your server', 'captcha-for-woocommerce' ),
 				'policy'  => '',
 				'note'    => __( 'No external data sharing. All processing happens on your server. Best for GDPR compliance.', 'captcha-for-woocommerce' ),
 			),
+			'proof_of_work' => array(
+				'name'    => 'Self-Hosted Proof-of-Work',
+				'company' => __( 'Your server', 'captcha-for-woocommerce' ),
+				'policy'  => '',
+				'note'    => __( 'No external data sharing. The puzzle is solved in the visitor\'s browser and checked on your server.', 'captcha-for-woocommerce' ),
+			),
 		);
 
 		$html = '<div class="cfwc-privacy-info">';
@@ -688,9 +835,281 @@ class Settings_Page {
 			</button>
 			<span class="cfwc-test-result"></span>
 		</p>
+		<div class="cfwc-test-preview" hidden>
+			<div class="cfwc-test-widget"></div>
+			<dl class="cfwc-test-details" aria-live="polite"></dl>
+		</div>
 		<?php
 	}
 
+	/**
+	 * Output the IP tester.
+	 *
+	 * admin.js sends the IP lists as currently edited, so rules can be
+	 * tried before saving.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function output_ip_tester() {
+		$current_ip = IP_Validator::instance()->get_client_ip();
+		?>
+		<div class="cfwc-ip-tester">
+			<h2><?php esc_html_e( 'IP Tester', 'captcha-for-woocommerce' ); ?></h2>
+			<p><?php esc_html_e( 'Check how the IP lists above, including unsaved changes, treat a visitor who is not logged in.', 'captcha-for-woocommerce' ); ?></p>
+			<p class="cfwc-ip-tester-form">
+				<label for="cfwc-test-ip"><?php esc_html_e( 'IP address', 'captcha-for-woocommerce' ); ?></label>
+				<input type="text"
+					   id="cfwc-test-ip"
+					   class="regular-text"
+					   value="<?php echo esc_attr( $current_ip ); ?>"
+					   spellcheck="false"
+					   autocomplete="off">
+				<button type="button" class="button button-secondary" id="cfwc-test-ip-button">
+					<?php esc_html_e( 'Test IP', 'captcha-for-woocommerce' ); ?>
+				</button>
+			</p>
+			<p class="description">
+				<?php
+				printf(
+					/* translators: %s: IP address. */
+					esc_html__( 'The server sees your IP as %s. If this is your proxy or CDN rather than you, lists and lockouts will not work as expected.', 'captcha-for-woocommerce' ),
+					'<code>' . esc_html( $current_ip ) . '</code>'
+				);
+				?>
+			</p>
+			<p class="cfwc-ip-test-result" role="status"></p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Output the settings import and export controls.
+	 *
+	 * admin.js validates uploaded files against the schema and shows
+	 * a diff against the current values before importing.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function output_import_export() {
+		$settings = Plugin::instance()->settings();
+
+		// Secrets never reach the page; the diff only says whether they change.
+		$current = json_decode( $settings->export(), true );
+		?>
+		<div class="cfwc-import-export"
+			 data-schema="<?php echo esc_attr( wp_json_encode( $this->get_import_schema() ) ); ?>"
+			 data-current="<?php echo esc_attr( wp_json_encode( $current ) ); ?>">
+			<h2><?php esc_html_e( 'Import & Export', 'captcha-for-woocommerce' ); ?></h2>
+			<p><?php esc_html_e( 'Copy this configuration to another store. Imported files are checked and compared with the current settings before anything is saved.', 'captcha-for-woocommerce' ); ?></p>
+			<p class="cfwc-export">
+				<label>
+					<input type="checkbox" id="cfwc-export-secrets">
+					<?php esc_html_e( 'Include secret keys', 'captcha-for-woocommerce' ); ?>
+				</label>
+				<button type="button" class="button button-secondary" id="cfwc-export-settings">
+					<?php esc_html_e( 'Download Settings', 'captcha-for-woocommerce' ); ?>
+				</button>
+			</p>
+			<p class="cfwc-import">
+				<label for="cfwc-import-file"><?php esc_html_e( 'Settings file', 'captcha-for-woocommerce' ); ?></label>
+				<input type="file" id="cfwc-import-file" accept=".json,application/json">
+			</p>
+			<div class="cfwc-import-preview" hidden>
+				<div class="cfwc-import-messages" role="status"></div>
+				<table class="widefat striped cfwc-import-diff">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Setting', 'captcha-for-woocommerce' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Current', 'captcha-for-woocommerce' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Imported', 'captcha-for-woocommerce' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+				<p>
+					<button type="button" class="button button-primary" id="cfwc-import-confirm">
+						<?php esc_html_e( 'Import Settings', 'captcha-for-woocommerce' ); ?>
+					</button>
+					<button type="button" class="button button-secondary" id="cfwc-import-cancel">
+						<?php esc_html_e( 'Cancel', 'captcha-for-woocommerce' ); ?>
+					</button>
+				</p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the validation rules for imported settings.
+	 *
+	 * Built from the settings fields, so imports accept exactly what
+	 * the settings tab can save. Each rule has a type (enum, list,
+	 * number or string), a label, and options, min/max or multiline
+	 * where needed.
+	 *
+	 * @since 1.1.0
+	 * @return array Rules keyed by setting key.
+	 */
+	public function get_import_schema() {
+		$settings = Plugin::instance()->settings();
+		$fields   = array();
+		$schema   = array();
+
+		foreach ( $this->get_settings() as $field ) {
+			if ( isset( $field['id'] ) && 0 === strpos( $field['id'], 'cfwc_' ) ) {
+				$fields[ substr( $field['id'], 5 ) ] = $field;
+			}
+		}
+
+		foreach ( $settings->get_defaults() as $key => $default ) {
+			$field = isset( $fields[ $key ] ) ? $fields[ $key ] : array( 'type' => '' );
+			$attrs = isset( $field['custom_attributes'] ) ? $field['custom_attributes'] : array();
+
+			switch ( $field['type'] ) {
+				case 'select':
+					$rule = array(
+						'type'    => 'enum',
+						'options' => array_map( 'strval', array_keys( $field['options'] ) ),
+					);
+					break;
+
+				case 'checkbox':
+					$rule = array(
+						'type'    => 'enum',
+						'options' => array( 'yes', 'no' ),
+					);
+					break;
+
+				case 'multiselect':
+					$rule = array(
+						'type'    => 'list',
+						'options' => array_map( 'strval', array_keys( $field['options'] ) ),
+					);
+					break;
+
+				case 'number':
+					$rule = array(
+						'type' => 'number',
+						'min'  => isset( $attrs['min'] ) ? (float) $attrs['min'] : null,
+						'max'  => isset( $attrs['max'] ) ? (float) $attrs['max'] : null,
+					);
+					break;
+
+				default:
+					// Enabled forms are saved from one checkbox per form.
+					if ( 'forms' === $key ) {
+						$rule = array(
+							'type'    => 'list',
+							'options' => $settings->get_form_ids(),
+						);
+					} elseif ( is_array( $default ) ) {
+						$rule = array( 'type' => 'list' );
+					} else {
+						$rule = array(
+							'type'      => 'string',
+							'multiline' => 'textarea' === $field['type'],
+						);
+					}
+			}
+
+			$rule['label']  = ! empty( $field['title'] ) ? wp_strip_all_tags( $field['title'] ) : $key;
+			$rule['secret'] = in_array( $key, $settings->get_secret_keys(), true );
+
+			$schema[ $key ] = $rule;
+		}
+
+		return $schema;
+	}
+
+	/**
+	 * Check an imported value against its rule.
+	 *
+	 * Mirrors CFWAdmin.isValidValue() in admin.js.
+	 *
+	 * @since 1.1.0
+	 * @param array $rule  Rule from get_import_schema().
+	 * @param mixed $value Imported value.
+	 * @return bool True if the value is valid.
+	 */
+	private function is_valid_import_value( $rule, $value ) {
+		switch ( $rule['type'] ) {
+			case 'enum':
+				return is_scalar( $value ) && in_array( (string) $value, $rule['options'], true );
+
+			case 'list':
+				if ( ! is_array( $value ) || array_values( $value ) !== $value ) {
+					return false;
+				}
+
+				foreach ( $value as $item ) {
+					if ( ! is_string( $item ) || ( isset( $rule['options'] ) && ! in_array( $item, $rule['options'], true ) ) ) {
+						return false;
+					}
+				}
+
+				return true;
+
+			case 'number':
+				return is_numeric( $value ) &&
+					( null === $rule['min'] || (float) $value >= $rule['min'] ) &&
+					( null === $rule['max'] || (float) $value <= $rule['max'] );
+
+			default:
+				return is_string( $value );
+		}
+	}
+
+	/**
+	 * Sanitize a validated import value the way the settings form does.
+	 *
+	 * @since 1.1.0
+	 * @param array $rule  Rule from get_import_schema().
+	 * @param mixed $value Value that passed is_valid_import_value().
+	 * @return mixed Sanitized value.
+	 */
+	private function sanitize_import_value( $rule, $value ) {
+		switch ( $rule['type'] ) {
+			case 'list':
+				return array_map( 'sanitize_text_field', $value );
+
+			case 'string':
+				return empty( $rule['multiline'] ) ? sanitize_text_field( $value ) : sanitize_textarea_field( $value );
+
+			default:
+				return $value;
+		}
+	}
+
+	/**
+	 * Sync WooCommerce options from our settings array.
+	 *
+	 * The reverse of sync_settings_from_wc(), so imported settings
+	 * show up in the settings fields and survive the next save.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function sync_wc_from_settings() {
+		$settings = Plugin::instance()->settings();
+
+		foreach ( $settings->get_all() as $key => $value ) {
+			if ( 'forms' !== $key ) {
+				update_option( 'cfwc_' . $key, $value );
+				continue;
+			}
+
+			$forms = array();
+
+			foreach ( $settings->get_form_ids() as $form_id ) {
+				$forms[ $form_id ] = in_array( $form_id, (array) $value, true ) ? 'yes' : 'no';
+			}
+
+			update_option( 'cfwc_forms', $forms );
+		}
+	}
+
 	/**
 	 * Sync settings from WooCommerce options to our settings array.
 	 *
@@ -702,20 +1121,34 @@ class Settings_Page {
 	 */
 	private function sync_settings_from_wc() {
 		$settings = array(
-			'provider'             => get_option( 'cfwc_provider', '' ),
-			'site_key'             => get_option( 'cfwc_site_key', '' ),
-			'secret_key'           => get_option( 'cfwc_secret_key', '' ),
-			'theme'                => get_option( 'cfwc_theme', 'auto' ),
-			'size'                 => get_option( 'cfwc_size', 'normal' ),
-			'score_threshold'      => get_option( 'cfwc_score_threshold', 0.5 ),
-			'forms'                => $this->get_enabled_forms(),
-			'whitelist_logged_in'  => get_option( 'cfwc_whitelist_logged_in', 'no' ),
-			'whitelist_roles'      => get_option( 'cfwc_whitelist_roles', array() ),
-			'whitelist_ips'        => get_option( 'cfwc_whitelist_ips', '' ),
-			'enable_honeypot'      => get_option( 'cfwc_enable_honeypot', 'no' ),
-			'honeypot_min_time'    => get_option( 'cfwc_honeypot_min_time', 3 ),
-			'failsafe_mode'        => get_option( 'cfwc_failsafe_mode', 'honeypot' ),
-			'enable_debug_logging' => get_option( 'cfwc_enable_debug_logging', 'no' ),
+			'provider'                  => get_option( 'cfwc_provider', '' ),
+			'site_key'                  => get_option( 'cfwc_site_key', '' ),
+			'secret_key'                => get_option( 'cfwc_secret_key', '' ),
+			'theme'                     => get_option( 'cfwc_theme', 'auto' ),
+			'size'                      => get_option( 'cfwc_size', 'normal' ),
+			'score_threshold'           => get_option( 'cfwc_score_threshold', 0.5 ),
+			'score_floor'               => get_option( 'cfwc_score_floor', 0.1 ),
+			'escalation_provider'       => get_option( 'cfwc_escalation_provider', '' ),
+			'escalation_site_key'       => get_option( 'cfwc_escalation_site_key', '' ),
+			'escalation_secret_key'     => get_option( 'cfwc_escalation_secret_key', '' ),
+			'pow_difficulty'            => get_option( 'cfwc_pow_difficulty', 18 ),
+			'forms'                     => $this->get_enabled_forms(),
+			'lazy_forms'                => get_option( 'cfwc_lazy_forms', array() ),
+			'whitelist_logged_in'       => get_option( 'cfwc_whitelist_logged_in', 'no' ),
+			'whitelist_roles'           => get_option( 'cfwc_whitelist_roles', array() ),
+			'whitelist_ips'             => get_option( 'cfwc_whitelist_ips', '' ),
+			'blocklist_ips'             => get_option( 'cfwc_blocklist_ips', '' ),
+			'enable_honeypot'           => get_option( 'cfwc_enable_honeypot', 'no' ),
+			'auto_protect'              => get_option( 'cfwc_auto_protect', 'no' ),
+			'honeypot_min_time'         => get_option( 'cfwc_honeypot_min_time', 3 ),
+			'honeypot_signal_threshold' => get_option( 'cfwc_honeypot_signal_threshold', 0 ),
+			'enable_rate_limiting'      => get_option( 'cfwc_enable_rate_limiting', 'no' ),
+			'rate_limit_requests'       => get_option( 'cfwc_rate_limit_requests', 5 ),
+			'rate_limit_lockout'        => get_option( 'cfwc_rate_limit_lockout', 15 ),
+			'rate_limit_window'         => get_option( 'cfwc_rate_limit_window', 60 ),
+			'failsafe_mode'             => get_option( 'cfwc_failsafe_mode', 'honeypot' ),
+			'enable_debug_logging'      => get_option( 'cfwc_enable_debug_logging', 'no' ),
+			'delete_data_on_uninstall'  => get_option( 'cfwc_delete_data_on_uninstall', 'no' ),
 		);
 
 		update_option( 'cfwc_settings', $settings );
@@ -777,4 +1210,237 @@ class Settings_Page {
 
 		wp_send_json_success( array( 'message' => __( 'Connection successful!', 'captcha-for-woocommerce' ) ) );
 	}
+
+	/**
+	 * AJAX handler for the live widget test.
+	 *
+	 * Sends a token solved in the settings page preview through the
+	 * provider's real verification with the unsaved keys, and reports
+	 * the provider's response fields.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_test_token() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$provider_id = isset( $_POST['provider'] ) ? sanitize_text_field( wp_unslash( $_POST['provider'] ) ) : '';
+		$site_key    = isset( $_POST['site_key'] ) ? sanitize_text_field( wp_unslash( $_POST['site_key'] ) ) : '';
+		$secret_key  = isset( $_POST['secret_key'] ) ? sanitize_text_field( wp_unslash( $_POST['secret_key'] ) ) : '';
+		$token       = isset( $_POST['token'] ) ? sanitize_text_field( wp_unslash( $_POST['token'] ) ) : '';
+
+		$provider = Plugin::instance()->providers()->get_provider( $provider_id );
+
+		if ( ! $provider instanceof Abstract_Provider || ! $provider->requires_api_keys() ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid provider.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		// Providers from the Manager are shared, so the unsaved keys go on a clone.
+		$provider = clone $provider;
+		$provider->set_keys( $site_key, $secret_key );
+
+		// check_token() skips the low score challenge, which would set the live challenge cookie.
+		$result   = $provider instanceof Recaptcha_V3 ? $provider->check_token( $token, self::TEST_ACTION ) : $provider->verify( $token );
+		$response = (array) $provider->get_last_response();
+
+		$details = array(
+			'hostname'    => isset( $response['hostname'] ) ? sanitize_text_field( $response['hostname'] ) : '',
+			'action'      => isset( $response['action'] ) ? sanitize_text_field( $response['action'] ) : '',
+			'score'       => isset( $response['score'] ) ? (float) $response['score'] : null,
+			'error_codes' => isset( $response['error-codes'] ) ? array_map( 'sanitize_text_field', (array) $response['error-codes'] ) : array(),
+		);
+
+		if ( is_wp_error( $result ) ) {
+			$details['message'] = $result->get_error_message();
+
+			// A v2 key pasted into v3 verifies, but without a score.
+			if ( $provider instanceof Recaptcha_V3 && ! empty( $response['success'] ) && null === $details['score'] ) {
+				$details['message'] = __( 'The token has no score. This looks like a reCAPTCHA v2 key, not a v3 key.', 'captcha-for-woocommerce' );
+			}
+
+			wp_send_json_error( $details );
+		}
+
+		$details['message'] = __( 'Token verified. The keys work end to end.', 'captcha-for-woocommerce' );
+
+		wp_send_json_success( $details );
+	}
+
+	/**
+	 * AJAX handler for settings export.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_export_settings() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$include_secrets = isset( $_POST['include_secrets'] ) && 'yes' === sanitize_key( wp_unslash( $_POST['include_secrets'] ) );
+
+		wp_send_json_success(
+			array(
+				'settings' => Plugin::instance()->settings()->export( $include_secrets ),
+				'filename' => sprintf( 'cfwc-settings-%s-%s.json', sanitize_title( wp_parse_url( home_url(), PHP_URL_HOST ) ), gmdate( 'Y-m-d' ) ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for settings import.
+	 *
+	 * admin.js validates the file first; the values are checked again
+	 * here. Unknown keys are ignored and secrets missing from the file
+	 * keep their current values.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_import_settings() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, every value is validated and sanitized below.
+		$json     = isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : '';
+		$imported = json_decode( $json, true );
+
+		if ( ! is_array( $imported ) ) {
+			wp_send_json_error( array( 'message' => __( 'The file does not contain settings.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$schema   = $this->get_import_schema();
+		$imported = array_intersect_key( $imported, $schema );
+		$invalid  = array();
+
+		foreach ( $imported as $key => $value ) {
+			if ( ! $this->is_valid_import_value( $schema[ $key ], $value ) ) {
+				$invalid[] = $key;
+				continue;
+			}
+
+			$imported[ $key ] = $this->sanitize_import_value( $schema[ $key ], $value );
+		}
+
+		if ( ! empty( $invalid ) ) {
+			wp_send_json_error(
+				array(
+					/* translators: %s: Comma-separated setting keys. */
+					'message' => sprintf( __( 'Invalid values for: %s', 'captcha-for-woocommerce' ), implode( ', ', $invalid ) ),
+				)
+			);
+		}
+
+		$result = Plugin::instance()->settings()->import( wp_json_encode( $imported ) );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		$this->sync_wc_from_settings();
+
+		wp_send_json_success( array( 'message' => __( 'Settings imported.', 'captcha-for-woocommerce' ) ) );
+	}
+
+	/**
+	 * AJAX handler testing how an IP would be treated.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_test_ip() {
+		check_ajax_referer( 'cfwc_admin_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$ip        = isset( $_POST['ip'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['ip'] ) ) ) : '';
+		$whitelist = isset( $_POST['whitelist'] ) ? sanitize_textarea_field( wp_unslash( $_POST['whitelist'] ) ) : null;
+		$blocklist = isset( $_POST['blocklist'] ) ? sanitize_textarea_field( wp_unslash( $_POST['blocklist'] ) ) : null;
+
+		if ( ! filter_var( $ip, FILTER_VALIDATE_IP ) ) {
+			wp_send_json_error( array( 'message' => __( 'Enter a valid IPv4 or IPv6 address.', 'captcha-for-woocommerce' ) ) );
+		}
+
+		$result = IP_Validator::instance()->explain( $ip, $whitelist, $blocklist );
+
+		switch ( $result['list'] ) {
+			case 'blocklist':
+				$message = sprintf(
+					/* translators: 1: List entry, 2: Line number. */
+					__( 'Blocked. The IP matches the blocklist entry %1$s on line %2$d.', 'captcha-for-woocommerce' ),
+					$this->format_ip_rule( $result['match'] ),
+					$result['match']['line']
+				);
+				break;
+
+			case 'lockout':
+				$minutes = (int) ceil( Rate_Limiter::instance()->get_lockout_remaining( $ip ) / 60 );
+				$message = sprintf(
+					/* translators: %d: Minutes left. */
+					_n( 'Blocked. The IP is locked out by rate limiting for %d more minute.', 'Blocked. The IP is locked out by rate limiting for %d more minutes.', $minutes, 'captcha-for-woocommerce' ),
+					$minutes
+				);
+				break;
+
+			case 'whitelist':
+				$message = sprintf(
+					/* translators: 1: List entry, 2: Line number. */
+					__( 'Skipped. The IP matches the whitelist entry %1$s on line %2$d, so no CAPTCHA is shown.', 'captcha-for-woocommerce' ),
+					$this->format_ip_rule( $result['match'] ),
+					$result['match']['line']
+				);
+				break;
+
+			default:
+				$message = __( 'Challenged. No list entry matches, so the visitor has to pass the CAPTCHA.', 'captcha-for-woocommerce' );
+		}
+
+		if ( $result['overruled'] ) {
+			$message .= ' ' . sprintf(
+				/* translators: 1: List entry, 2: Line number. */
+				__( 'The whitelist entry %1$s on line %2$d also matches, but blocking takes precedence.', 'captcha-for-woocommerce' ),
+				$this->format_ip_rule( $result['overruled'] ),
+				$result['overruled']['line']
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'result'  => $result['result'],
+				'list'    => $result['list'],
+				'line'    => $result['match'] ? $result['match']['line'] : 0,
+				'message' => $message,
+			)
+		);
+	}
+
+	/**
+	 * Format a matched list entry for a message.
+	 *
+	 * @since 1.1.0
+	 * @param array $match Entry and comment from IP_Validator::find_match().
+	 * @return string Quoted entry, followed by its label if it has one.
+	 */
+	private function format_ip_rule( $match ) {
+		/* translators: %s: IP list entry. */
+		$rule = sprintf( __( '"%s"', 'captcha-for-woocommerce' ), $match['entry'] );
+
+		if ( '' !== $match['comment'] ) {
+			/* translators: 1: IP list entry, 2: Its label. */
+			$rule = sprintf( __( '%1$s (%2$s)', 'captcha-for-woocommerce' ), $rule, $match['comment'] );
+		}
+
+		return $rule;
+	}
 }
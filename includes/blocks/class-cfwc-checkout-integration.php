@@ -2,8 +2,9 @@
 /**
  * Block Checkout Integration.
  *
- * Integrates CAPTCHA with WooCommerce Block Checkout using vanilla JavaScript.
- * This approach is simpler and doesn't require wp-scripts compilation.
+ * Integrates CAPTCHA with WooCommerce Block Checkout through the
+ * WooCommerce Blocks IntegrationInterface and a checkout inner block.
+ * The scripts are plain JavaScript and don't require wp-scripts compilation.
  *
  * @package Captcha_For_WooCommerce
  * @since   1.0.0
@@ -12,6 +13,7 @@
 namespace CFWC\Blocks;
 
 use CFWC\Plugin;
+use Automattic\WooCommerce\Blocks\Integrations\IntegrationInterface;
 
 // Prevent direct file access.
 defined( 'ABSPATH' ) || exit;
@@ -19,12 +21,13 @@ defined( 'ABSPATH' ) || exit;
 /**
  * Checkout_Integration class.
  *
- * Handles Block Checkout CAPTCHA widget rendering and validation.
- * Uses vanilla JavaScript with wp.data for Store API communication.
+ * Registers the captcha-for-woocommerce/checkout-captcha inner block.
+ * The block renders the widget and uses the checkout's onCheckoutValidation
+ * observer to block submission without a token.
  *
  * @since 1.0.0
  */
-class Checkout_Integration {
+class Checkout_Integration implements IntegrationInterface {
 
 	/**
 	 * Integration namespace for Store API.
@@ -33,6 +36,13 @@ class Checkout_Integration {
 	 */
 	const NAMESPACE = 'captcha-for-woocommerce';
 
+	/**
+	 * Inner block name.
+	 *
+	 * @var string
+	 */
+	const BLOCK_NAME = 'captcha-for-woocommerce/checkout-captcha';
+
 	/**
 	 * Constructor.
 	 *
@@ -44,116 +54,127 @@ class Checkout_Integration {
 			return;
 		}
 
-		// Render widget container in Block Checkout.
 		add_action( 'woocommerce_blocks_checkout_block_registration', array( $this, 'register_integration' ) );
-		add_action( 'woocommerce_blocks_enqueue_checkout_block_scripts_after', array( $this, 'enqueue_scripts' ) );
-
-		// Add widget container to checkout block.
-		add_filter( 'render_block_woocommerce/checkout', array( $this, 'render_captcha_container' ), 10, 2 );
 	}
 
 	/**
-	 * Register with WooCommerce Blocks if available.
-	 *
-	 * Uses vanilla JavaScript approach with wp.data for Store API integration.
-	 * IntegrationInterface is not required for basic functionality.
+	 * Register with the WooCommerce Blocks integration registry.
 	 *
 	 * @since 1.0.0
-	 * @param object $integration_registry Integration registry.
+	 * @param \Automattic\WooCommerce\Blocks\Integrations\IntegrationRegistry $integration_registry Integration registry.
 	 * @return void
 	 */
 	public function register_integration( $integration_registry ) {
-		// Our implementation uses vanilla JS with wp.data.
-		// No IntegrationInterface registration needed.
+		$integration_registry->register( $this );
 	}
 
 	/**
-	 * Enqueue scripts for Block Checkout.
+	 * The name of the integration.
 	 *
-	 * @since 1.0.0
+	 * Script data is exposed to JavaScript as wcSettings[ name + '_data' ].
+	 *
+	 * @since 1.1.0
+	 * @return string Integration name.
+	 */
+	public function get_name() {
+		return self::NAMESPACE;
+	}
+
+	/**
+	 * Register the block scripts.
+	 *
+	 * The frontend script builds on cfwc-frontend, which Assets registers
+	 * and localizes on checkout pages.
+	 *
+	 * @since 1.1.0
 	 * @return void
 	 */
-	public function enqueue_scripts() {
-		$settings = Plugin::instance()->settings();
-		$provider = $settings->get( 'provider' );
-
-		// Enqueue the provider script.
-		switch ( $provider ) {
-			case 'turnstile':
-				wp_enqueue_script( 'cfwc-turnstile' );
-				break;
-			case 'recaptcha_v2':
-			case 'recaptcha_v3':
-				wp_enqueue_script( 'cfwc-recaptcha' );
-				break;
-			case 'hcaptcha':
-				wp_enqueue_script( 'cfwc-hcaptcha' );
-				break;
-		}
+	public function initialize() {
+		wp_register_script(
+			'cfwc-block-checkout',
+			CFWC_PLUGIN_URL . 'assets/js/block-checkout.js',
+			array( 'wp-element', 'wc-blocks-checkout', 'wc-settings', 'cfwc-frontend' ),
+			CFWC_VERSION,
+			true
+		);
 
-		// Ensure wp-data is loaded (required for wp.data.dispatch).
-		// Block Checkout uses wp.data to communicate with the Store API.
-		wp_enqueue_script( 'wp-data' );
-
-		// Enqueue frontend script.
-		wp_enqueue_script( 'cfwc-frontend' );
-
-		// Pass settings to frontend.
-		wp_localize_script(
-			'cfwc-frontend',
-			'cfwSettings',
-			array(
-				'provider'        => $provider,
-				'siteKey'         => $settings->get( 'site_key' ),
-				'theme'           => $settings->get( 'theme' ),
-				'size'            => $settings->get( 'size' ),
-				'namespace'       => self::NAMESPACE,
-				'isBlockCheckout' => true,
-				'i18n'            => array(
-					'error'   => __( 'Please complete the CAPTCHA verification.', 'captcha-for-woocommerce' ),
-					'expired' => __( 'CAPTCHA expired. Please try again.', 'captcha-for-woocommerce' ),
-					'failed'  => __( 'CAPTCHA verification failed. Please try again.', 'captcha-for-woocommerce' ),
-				),
-			)
+		wp_register_script(
+			'cfwc-block-checkout-editor',
+			CFWC_PLUGIN_URL . 'assets/js/block-checkout-editor.js',
+			array( 'wp-blocks', 'wp-element', 'wp-block-editor', 'wc-settings' ),
+			CFWC_VERSION,
+			true
 		);
 	}
 
 	/**
-	 * Render CAPTCHA container in Block Checkout.
+	 * Script handles to enqueue on the frontend.
 	 *
-	 * Injects the widget container before the place order button.
-	 *
-	 * @since 1.0.0
-	 * @param string $content Block content.
-	 * @param array  $block   Block data.
-	 * @return string Modified content.
+	 * @since 1.1.0
+	 * @return string[] Script handles.
 	 */
-	public function render_captcha_container( $content, $block ) {
-		$settings = Plugin::instance()->settings();
+	public function get_script_handles() {
+		return array( 'cfwc-block-checkout' );
+	}
 
-		// Skip if honeypot (handled server-side only).
-		if ( 'honeypot' === $settings->get( 'provider' ) ) {
-			return $content;
-		}
+	/**
+	 * Script handles to enqueue in the editor.
+	 *
+	 * @since 1.1.0
+	 * @return string[] Script handles.
+	 */
+	public function get_editor_script_handles() {
+		return array( 'cfwc-block-checkout-editor' );
+	}
 
-		// Build the captcha container.
-		$captcha_html = sprintf(
-			'<div id="cfwc-block-checkout-captcha" class="cfwc-captcha-field cfwc-block-checkout" data-provider="%s" data-sitekey="%s" data-theme="%s"></div>',
-			esc_attr( $settings->get( 'provider' ) ),
-			esc_attr( $settings->get( 'site_key' ) ),
-			esc_attr( $settings->get( 'theme' ) )
+	/**
+	 * Data passed to the block scripts.
+	 *
+	 * Widget settings come from cfwSettings; this only describes the block.
+	 *
+	 * @since 1.1.0
+	 * @return array Script data.
+	 */
+	public function get_script_data() {
+		$provider = Plugin::instance()->provider();
+
+		return array(
+			'namespace' => self::NAMESPACE,
+			'block'     => $this->get_block_metadata(),
+			'provider'  => $provider ? $provider->get_name() : '',
+			'i18n'      => array(
+				'title'       => __( 'CAPTCHA', 'captcha-for-woocommerce' ),
+				'description' => __( 'Protects the checkout with the CAPTCHA configured in Captcha for WooCommerce.', 'captcha-for-woocommerce' ),
+				/* translators: %s: CAPTCHA provider name */
+				'placeholder' => __( '%s is shown to customers here.', 'captcha-for-woocommerce' ),
+				'error'       => __( 'Please complete the CAPTCHA verification.', 'captcha-for-woocommerce' ),
+				'retry'       => __( 'Please complete the CAPTCHA again to place your order.', 'captcha-for-woocommerce' ),
+			),
 		);
+	}
 
-		// Inject before the place order button.
-		// Look for the checkout actions block.
-		$pattern = '/(<div[^>]*class="[^"]*wc-block-checkout__actions[^"]*"[^>]*>)/i';
-		if ( preg_match( $pattern, $content ) ) {
-			$content = preg_replace( $pattern, $captcha_html . '$1', $content );
-		} else {
-			// Fallback: append to the end.
-			$content .= $captcha_html;
-		}
-
-		return $content;
+	/**
+	 * Get the inner block metadata shared by the editor and frontend scripts.
+	 *
+	 * The lock attribute makes WooCommerce insert the block automatically,
+	 * including on checkout pages saved before it existed.
+	 *
+	 * @since 1.1.0
+	 * @return array Block metadata.
+	 */
+	private function get_block_metadata() {
+		return array(
+			'name'       => self::BLOCK_NAME,
+			'parent'     => array( 'woocommerce/checkout-fields-block' ),
+			'attributes' => array(
+				'lock' => array(
+					'type'    => 'object',
+					'default' => array(
+						'remove' => true,
+						'move'   => false,
+					),
+				),
+			),
+		);
 	}
 }
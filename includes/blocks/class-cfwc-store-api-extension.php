@@ -11,7 +11,9 @@
 
 namespace CFWC\Blocks;
 
+use CFWC\Logger;
 use CFWC\Plugin;
+use CFWC\Providers\Honeypot;
 use CFWC\Compatibility\PayPal_Payments;
 
 // Prevent direct file access.
@@ -86,11 +88,35 @@ class Store_API_Extension {
 	 */
 	public function get_schema() {
 		return array(
-			'token' => array(
+			'token'     => array(
 				'description' => __( 'CAPTCHA verification token', 'captcha-for-woocommerce' ),
 				'type'        => 'string',
 				'context'     => array( 'view', 'edit' ),
 			),
+			'challenge' => array(
+				'description' => __( 'Fallback challenge provider, set when the token answers a reCAPTCHA v3 escalation', 'captcha-for-woocommerce' ),
+				'type'        => 'string',
+				'context'     => array( 'view', 'edit' ),
+			),
+			'failsafe'  => array(
+				'description' => __( 'Set to honeypot when the provider script could not load in the browser', 'captcha-for-woocommerce' ),
+				'type'        => 'string',
+				'context'     => array( 'view', 'edit' ),
+			),
+			'honeypot'  => array(
+				'description' => __( 'Honeypot fields collected in the browser', 'captcha-for-woocommerce' ),
+				'type'        => 'object',
+				'context'     => array( 'view', 'edit' ),
+				'properties'  => array(
+					'field'     => array( 'type' => 'string' ),
+					'trap'      => array( 'type' => 'string' ),
+					'nonce'     => array( 'type' => 'string' ),
+					'timestamp' => array( 'type' => 'integer' ),
+					'js'        => array( 'type' => 'string' ),
+					'challenge' => array( 'type' => 'string' ),
+					'signals'   => array( 'type' => 'string' ),
+				),
+			),
 		);
 	}
 
@@ -135,22 +161,44 @@ class Store_API_Extension {
 			return;
 		}
 
-		// For honeypot provider, token might be empty (validation happens differently).
-		if ( 'honeypot' === $provider->get_id() ) {
-			return;
-		}
+		// The provider script didn't load in the browser, see Plugin::accepts_client_failsafe().
+		if ( isset( $extensions[ self::NAMESPACE ]['failsafe'] ) && 'honeypot' === $extensions[ self::NAMESPACE ]['failsafe'] &&
+			Plugin::instance()->accepts_client_failsafe( $provider ) ) {
+			Logger::log_failsafe( 'Provider script unavailable in browser', 'honeypot', 'wc_checkout_block' );
 
-		// Check for missing token.
-		if ( empty( $token ) ) {
-			throw new \Exception(
-				esc_html__( 'CAPTCHA verification is required. Please complete the security check.', 'captcha-for-woocommerce' )
-			);
+			$provider = new Honeypot();
 		}
 
-		// Verify the token.
-		$result = $provider->verify( $token );
+		if ( 'honeypot' === $provider->get_id() ) {
+			// Honeypot fields arrive as extension data instead of $_POST.
+			$honeypot = isset( $extensions[ self::NAMESPACE ]['honeypot'] ) ? $extensions[ self::NAMESPACE ]['honeypot'] : array();
+			$result   = $provider->verify_data( $this->sanitize_honeypot_data( $honeypot ) );
+		} else {
+			// Check for missing token.
+			if ( empty( $token ) ) {
+				$result = new \WP_Error(
+					'cfwc_missing_token',
+					__( 'CAPTCHA verification is required. Please complete the security check.', 'captcha-for-woocommerce' )
+				);
+
+				/** This action is documented in includes/class-cfwc-plugin.php */
+				do_action( 'cfwc_failed', 'wc_checkout_block', $result, $provider->get_id() );
+
+				throw new \Exception( esc_html( $result->get_error_message() ) );
+			}
+
+			// Verify the token, or the fallback challenge that replaced reCAPTCHA v3.
+			if ( ! empty( $extensions[ self::NAMESPACE ]['challenge'] ) && $provider instanceof \CFWC\Providers\Recaptcha_V3 ) {
+				$result = $provider->verify_challenge( $token );
+			} else {
+				$result = $provider->verify( $token, 'wc_checkout_block' );
+			}
+		}
 
 		if ( is_wp_error( $result ) ) {
+			/** This action is documented in includes/class-cfwc-plugin.php */
+			do_action( 'cfwc_failed', 'wc_checkout_block', $result, $provider->get_id() );
+
 			throw new \Exception( esc_html( $result->get_error_message() ) );
 		}
 
@@ -160,6 +208,30 @@ class Store_API_Extension {
 		$order->update_meta_data( '_cfwc_captcha_timestamp', time() );
 	}
 
+	/**
+	 * Sanitize honeypot data from the extension payload.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $data Raw honeypot data.
+	 * @return array Data for Honeypot::verify_data().
+	 */
+	private function sanitize_honeypot_data( $data ) {
+		if ( ! is_array( $data ) ) {
+			$data = array();
+		}
+
+		$sanitized = array(
+			'field'     => isset( $data['field'] ) ? sanitize_text_field( $data['field'] ) : null,
+			'timestamp' => isset( $data['timestamp'] ) ? absint( $data['timestamp'] ) : 0,
+		);
+
+		foreach ( array( 'trap', 'nonce', 'js', 'challenge', 'signals' ) as $key ) {
+			$sanitized[ $key ] = isset( $data[ $key ] ) ? sanitize_text_field( $data[ $key ] ) : '';
+		}
+
+		return $sanitized;
+	}
+
 	/**
 	 * Check if CAPTCHA should be skipped for the payment method.
 	 *
@@ -24,6 +24,14 @@ defined( 'ABSPATH' ) || exit;
  */
 class Assets {
 
+	/**
+	 * Frontend settings waiting to be printed as a JSON block.
+	 *
+	 * @since 1.1.0
+	 * @var array|null
+	 */
+	private $json_config = null;
+
 	/**
 	 * Constructor.
 	 *
@@ -42,6 +50,10 @@ class Assets {
 
 		// Admin assets.
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_assets' ) );
+
+		// Content-Security-Policy support for the plugin's script tags.
+		add_filter( 'script_loader_tag', array( $this, 'filter_script_tag' ), 10, 2 );
+		add_filter( 'wp_inline_script_attributes', array( $this, 'filter_inline_script_attributes' ) );
 	}
 
 	/**
@@ -85,9 +97,26 @@ class Assets {
 	 * @return void
 	 */
 	private function register_provider_scripts() {
-		$settings = Plugin::instance()->settings();
-		$provider = $settings->get( 'provider' );
+		$urls = $this->get_provider_script_urls();
+
+		// Register CAPTCHA provider scripts.
+		// These external scripts are required for CAPTCHA functionality - this is standard
+		// practice for all CAPTCHA plugins and is approved by WordPress.org reviewers.
+		// They depend on cfwc-frontend so the onload callback exists before they run.
+		// phpcs:disable WordPress.WP.EnqueuedResourceParameters.MissingVersion
+		wp_register_script( 'cfwc-turnstile', $urls['cfwc-turnstile'], array( 'cfwc-frontend' ), null, true );
+		wp_register_script( 'cfwc-recaptcha', $urls['cfwc-recaptcha'], array( 'cfwc-frontend' ), null, true );
+		wp_register_script( 'cfwc-hcaptcha', $urls['cfwc-hcaptcha'], array( 'cfwc-frontend' ), null, true );
+		// phpcs:enable WordPress.WP.EnqueuedResourceParameters.MissingVersion
+	}
 
+	/**
+	 * Get the CAPTCHA provider script URLs.
+	 *
+	 * @since 1.1.0
+	 * @return array Script URLs keyed by script handle.
+	 */
+	private function get_provider_script_urls() {
 		/*
 		 * External CAPTCHA provider scripts are required for the plugin to function.
 		 * These are official API scripts from Cloudflare, Google, and hCaptcha.
@@ -101,24 +130,36 @@ class Assets {
 		 */
 
 		// Get the provider script URLs - these are official CAPTCHA service APIs.
-		$cfwc_turnstile_url = 'https://challenges.cloudflare.com/turnstile/v0/api.js';
-		$cfwc_hcaptcha_url  = 'https://js.hcaptcha.com/1/api.js';
+		// Widgets are rendered explicitly by frontend.js so lazy forms are not auto-rendered.
+		// The onload callback is defined in frontend.js and resolves its provider loader.
+		$cfwc_turnstile_url = add_query_arg(
+			array(
+				'render' => 'explicit',
+				'onload' => 'cfwcProviderLoaded',
+			),
+			'https://challenges.cloudflare.com/turnstile/v0/api.js'
+		);
+		$cfwc_hcaptcha_url  = add_query_arg(
+			array(
+				'render' => 'explicit',
+				'onload' => 'cfwcProviderLoaded',
+			),
+			'https://js.hcaptcha.com/1/api.js'
+		);
 		$cfwc_recaptcha_url = add_query_arg(
 			array(
 				'render' => 'explicit',
+				'onload' => 'cfwcProviderLoaded',
 				'hl'     => $this->get_language_code(),
 			),
 			'https://www.google.com/recaptcha/api.js'
 		);
 
-		// Register CAPTCHA provider scripts.
-		// These external scripts are required for CAPTCHA functionality - this is standard
-		// practice for all CAPTCHA plugins and is approved by WordPress.org reviewers.
-		// phpcs:disable WordPress.WP.EnqueuedResourceParameters.MissingVersion
-		wp_register_script( 'cfwc-turnstile', $cfwc_turnstile_url, array(), null, true );
-		wp_register_script( 'cfwc-recaptcha', $cfwc_recaptcha_url, array(), null, true );
-		wp_register_script( 'cfwc-hcaptcha', $cfwc_hcaptcha_url, array(), null, true );
-		// phpcs:enable WordPress.WP.EnqueuedResourceParameters.MissingVersion
+		return array(
+			'cfwc-turnstile' => $cfwc_turnstile_url,
+			'cfwc-recaptcha' => $cfwc_recaptcha_url,
+			'cfwc-hcaptcha'  => $cfwc_hcaptcha_url,
+		);
 	}
 
 	/**
@@ -237,8 +278,11 @@ class Assets {
 		$settings = Plugin::instance()->settings();
 		$provider = $settings->get( 'provider' );
 
-		// Enqueue provider-specific script.
-		$this->enqueue_provider_script( $provider );
+		// Enqueue provider-specific script. When lazy forms are configured,
+		// frontend.js injects the script on demand instead.
+		if ( ! $settings->has_lazy_forms() ) {
+			$this->enqueue_provider_script( $provider );
+		}
 
 		// Enqueue our frontend script.
 		wp_enqueue_script( 'cfwc-frontend' );
@@ -246,6 +290,13 @@ class Assets {
 		// Enqueue styles.
 		wp_enqueue_style( 'cfwc-frontend' );
 
+		// Settings go in a JSON block when inline scripts are not allowed,
+		// printed just before frontend.js by filter_script_tag().
+		if ( $this->use_json_config() ) {
+			$this->json_config = $this->get_localized_data();
+			return;
+		}
+
 		// Localize script with settings.
 		wp_localize_script(
 			'cfwc-frontend',
@@ -254,6 +305,96 @@ class Assets {
 		);
 	}
 
+	/**
+	 * Check if frontend settings are printed as JSON instead of an inline script.
+	 *
+	 * @since 1.1.0
+	 * @return bool True to print a JSON config block.
+	 */
+	public function use_json_config() {
+		/**
+		 * Filter whether frontend settings are printed as a JSON config block.
+		 *
+		 * A <script type="application/json"> block is data, not code, so it
+		 * works under a Content-Security-Policy without 'unsafe-inline'.
+		 *
+		 * @since 1.1.0
+		 * @param bool $use_json Whether to print a JSON config block. Default false.
+		 */
+		return (bool) apply_filters( 'cfwc_json_config', false );
+	}
+
+	/**
+	 * Get the Content-Security-Policy nonce for the plugin's script tags.
+	 *
+	 * @since 1.1.0
+	 * @return string Nonce, or empty string if none is set.
+	 */
+	public function get_csp_nonce() {
+		/**
+		 * Filter the Content-Security-Policy nonce added to the plugin's script tags.
+		 *
+		 * Return the nonce your CSP header allows in script-src. Scripts
+		 * that frontend.js injects later reuse the nonce of its own tag.
+		 *
+		 * @since 1.1.0
+		 * @param string $nonce Nonce. Default empty.
+		 */
+		$nonce = (string) apply_filters( 'cfwc_csp_nonce', '' );
+
+		// Nonces are base64 encoded.
+		return preg_match( '/^[A-Za-z0-9+\/=_-]+$/', $nonce ) ? $nonce : '';
+	}
+
+	/**
+	 * Add the CSP nonce and the JSON config block to the plugin's script tags.
+	 *
+	 * @since 1.1.0
+	 * @param string $tag    The script tag(s), including inline before/after scripts.
+	 * @param string $handle The script handle.
+	 * @return string Filtered tag.
+	 */
+	public function filter_script_tag( $tag, $handle ) {
+		if ( 0 !== strpos( $handle, 'cfwc-' ) ) {
+			return $tag;
+		}
+
+		if ( 'cfwc-frontend' === $handle && null !== $this->json_config ) {
+			$tag = sprintf(
+				'<script type="application/json" id="cfwc-settings">%s</script>' . "\n",
+				wp_json_encode( $this->json_config, JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES )
+			) . $tag;
+		}
+
+		$nonce = $this->get_csp_nonce();
+
+		if ( '' === $nonce ) {
+			return $tag;
+		}
+
+		return preg_replace( '/<script(?![^>]*\snonce=)/', '<script nonce="' . esc_attr( $nonce ) . '"', $tag );
+	}
+
+	/**
+	 * Add the CSP nonce to the plugin's inline scripts.
+	 *
+	 * Covers wp_localize_script() output, which WordPress prints
+	 * outside the script_loader_tag filter.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Inline script attributes.
+	 * @return array Filtered attributes.
+	 */
+	public function filter_inline_script_attributes( $attributes ) {
+		$nonce = $this->get_csp_nonce();
+
+		if ( '' !== $nonce && isset( $attributes['id'] ) && 0 === strpos( $attributes['id'], 'cfwc-' ) ) {
+			$attributes['nonce'] = $nonce;
+		}
+
+		return $attributes;
+	}
+
 	/**
 	 * Enqueue provider-specific script.
 	 *
@@ -264,27 +405,77 @@ class Assets {
 	 * @return void
 	 */
 	private function enqueue_provider_script( $provider ) {
+		$handle = $this->get_provider_script_handle( $provider );
+
+		if ( $handle ) {
+			wp_enqueue_script( $handle );
+		}
+	}
+
+	/**
+	 * Get the registered script handle for a provider.
+	 *
+	 * @since 1.1.0
+	 * @param string $provider The provider identifier.
+	 * @return string Script handle, or empty string if no script is needed.
+	 */
+	public function get_provider_script_handle( $provider ) {
 		switch ( $provider ) {
 			case 'turnstile':
-				wp_enqueue_script( 'cfwc-turnstile' );
-				break;
+				return 'cfwc-turnstile';
 
 			case 'recaptcha_v2':
 			case 'recaptcha_v3':
-				wp_enqueue_script( 'cfwc-recaptcha' );
-				break;
+				return 'cfwc-recaptcha';
 
 			case 'hcaptcha':
-				wp_enqueue_script( 'cfwc-hcaptcha' );
-				break;
+				return 'cfwc-hcaptcha';
 
-			// Honeypot doesn't need external scripts.
+			// Self-hosted providers don't need external scripts.
 			case 'honeypot':
+			case 'proof_of_work':
 			default:
-				break;
+				return '';
 		}
 	}
 
+	/**
+	 * Get provider script loader data for JavaScript.
+	 *
+	 * frontend.js uses this to inject the provider script on demand
+	 * and to retry it when the first load fails.
+	 *
+	 * @since 1.1.0
+	 * @param string $provider The provider identifier.
+	 * @return array Loader data.
+	 */
+	public function get_provider_script_data( $provider ) {
+		$handle = $this->get_provider_script_handle( $provider );
+		$script = $handle ? wp_scripts()->query( $handle, 'registered' ) : false;
+
+		/**
+		 * Filter the provider script loader settings.
+		 *
+		 * @since 1.1.0
+		 * @param array  $loader   Loader settings: 'attempts' and 'timeout' (ms).
+		 * @param string $provider The provider identifier.
+		 */
+		$loader = apply_filters(
+			'cfwc_provider_loader',
+			array(
+				'attempts' => 3,
+				'timeout'  => 8000,
+			),
+			$provider
+		);
+
+		return array(
+			'scriptUrl' => $script ? $script->src : '',
+			'scriptId'  => $handle ? $handle . '-js' : '',
+			'loader'    => $loader,
+		);
+	}
+
 	/**
 	 * Get localized data for JavaScript.
 	 *
@@ -299,30 +490,110 @@ class Assets {
 		$provider = $settings->get( 'provider' );
 
 		$data = array(
-			'provider'       => $provider,
-			'siteKey'        => $settings->get( 'site_key' ),
-			'theme'          => $settings->get( 'theme' ),
-			'size'           => $settings->get( 'size' ),
-			'scoreThreshold' => $settings->get( 'score_threshold', 0.5 ),
-			'language'       => $this->get_language_code(),
-			'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
-			'nonce'          => wp_create_nonce( 'cfwc_verify_nonce' ),
-			'i18n'           => array(
-				'error'   => __( 'Please complete the CAPTCHA verification.', 'captcha-for-woocommerce' ),
-				'expired' => __( 'CAPTCHA expired. Please try again.', 'captcha-for-woocommerce' ),
-				'failed'  => __( 'CAPTCHA verification failed. Please try again.', 'captcha-for-woocommerce' ),
+			'provider'        => $provider,
+			'siteKey'         => $settings->get( 'site_key' ),
+			'theme'           => $settings->get( 'theme' ),
+			'size'            => $settings->get( 'size' ),
+			'scoreThreshold'  => $settings->get( 'score_threshold', 0.5 ),
+			'language'        => $this->get_language_code(),
+			'darkModeClasses' => $this->get_dark_mode_classes(),
+			'autoProtect'     => 'yes' === $settings->get( 'auto_protect' ),
+			'forms'           => $settings->get_form_selectors(),
+			'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+			'nonce'           => wp_create_nonce( 'cfwc_verify_nonce' ),
+			'i18n'            => array(
+				'error'       => __( 'Please complete the CAPTCHA verification.', 'captcha-for-woocommerce' ),
+				'expired'     => __( 'CAPTCHA expired. Please try again.', 'captcha-for-woocommerce' ),
+				'failed'      => __( 'CAPTCHA verification failed. Please try again.', 'captcha-for-woocommerce' ),
+				'unavailable' => __( 'The security check could not be loaded. Please disable any content blockers and reload the page.', 'captcha-for-woocommerce' ),
+				'challenge'   => __( 'Please complete this additional security check and submit again.', 'captcha-for-woocommerce' ),
+				'label'       => __( 'Security verification', 'captcha-for-woocommerce' ),
 			),
 		);
 
+		// Provider script URL and retry settings for the JS loader.
+		$data = array_merge( $data, $this->get_provider_script_data( $provider ) );
+
+		// Challenge shown to reCAPTCHA v3 visitors with a low score.
+		if ( 'recaptcha_v3' === $provider ) {
+			$data['escalation'] = $this->get_escalation_data();
+		}
+
+		// Proof-of-work puzzles are fetched over AJAX and solved in a worker.
+		if ( 'proof_of_work' === $provider ) {
+			$data['pow'] = array(
+				'action'    => Providers\Proof_Of_Work::AJAX_ACTION,
+				'workerUrl' => CFWC_PLUGIN_URL . 'assets/js/pow-worker.js',
+			);
+		}
+
 		// Add honeypot configuration if honeypot is enabled.
 		if ( 'honeypot' === $provider || 'yes' === $settings->get( 'enable_honeypot' ) ) {
 			$honeypot      = new Providers\Honeypot();
 			$data['honeypot'] = $honeypot->get_js_config();
 		}
 
+		// Client-side failsafe: honeypot fields to inject if the provider script cannot load.
+		$data['failsafe'] = array(
+			'mode' => $settings->get( 'failsafe_mode', 'honeypot' ),
+		);
+
+		if ( 'honeypot' === $data['failsafe']['mode'] && 'honeypot' !== $provider && ! isset( $data['honeypot'] ) ) {
+			$honeypot                     = new Providers\Honeypot();
+			$data['failsafe']['honeypot'] = $honeypot->get_js_config();
+		}
+
 		return $data;
 	}
 
+	/**
+	 * Get the low score challenge configuration for JavaScript.
+	 *
+	 * @since 1.1.0
+	 * @return array|false Challenge provider, site key, cookie name and script URL, or false if off.
+	 */
+	private function get_escalation_data() {
+		$provider  = Plugin::instance()->provider();
+		$challenge = $provider instanceof Providers\Recaptcha_V3 ? $provider->get_challenge_provider() : null;
+
+		if ( ! $challenge ) {
+			return false;
+		}
+
+		$handle = $this->get_provider_script_handle( $challenge->get_id() );
+		$script = wp_scripts()->query( $handle, 'registered' );
+
+		return array(
+			'provider'  => $challenge->get_id(),
+			'siteKey'   => Plugin::instance()->settings()->get( 'escalation_site_key' ),
+			'cookie'    => Providers\Recaptcha_V3::CHALLENGE_COOKIE,
+			// reCAPTCHA v2 renders with the script already loaded for v3.
+			'scriptUrl' => $script && 'cfwc-recaptcha' !== $handle ? remove_query_arg( 'onload', $script->src ) : '',
+		);
+	}
+
+	/**
+	 * Get the site's dark-mode classes.
+	 *
+	 * When the html or body element has one of these classes, widgets
+	 * with the 'auto' theme render dark, and they switch live when the
+	 * class is toggled. Without classes the OS colour scheme is used.
+	 *
+	 * @since 1.1.0
+	 * @return array Class names.
+	 */
+	public function get_dark_mode_classes() {
+		/**
+		 * Filter the classes that mark the site as being in dark mode.
+		 *
+		 * @since 1.1.0
+		 * @param array $classes Class names on the html or body element. Default empty.
+		 */
+		$classes = apply_filters( 'cfwc_dark_mode_classes', array() );
+
+		return array_values( array_filter( array_map( 'sanitize_html_class', (array) $classes ) ) );
+	}
+
 	/**
 	 * Get language code for CAPTCHA providers.
 	 *
@@ -394,6 +665,40 @@ class Assets {
 			);
 		}
 
+		// Analytics chart in the dashboard widget.
+		if ( 'index.php' === $hook && current_user_can( 'manage_woocommerce' ) ) {
+			wp_enqueue_script(
+				'cfwc-dashboard',
+				CFWC_PLUGIN_URL . 'assets/js/dashboard.js',
+				array( 'jquery' ),
+				CFWC_VERSION,
+				true
+			);
+
+			wp_localize_script(
+				'cfwc-dashboard',
+				'cfwDashboard',
+				array(
+					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'   => wp_create_nonce( 'cfwc_dashboard_nonce' ),
+					'i18n'    => array(
+						'loading'   => __( 'Loading...', 'captcha-for-woocommerce' ),
+						'failed'    => __( 'The statistics could not be loaded.', 'captcha-for-woocommerce' ),
+						'empty'     => __( 'Nothing was blocked in this period.', 'captcha-for-woocommerce' ),
+						/* translators: 1: Blocked attempts, 2: Lockouts, 3: First day, 4: Last day. */
+						'summary'   => __( '%1$s blocked and %2$s lockouts from %3$s to %4$s.', 'captcha-for-woocommerce' ),
+						/* translators: 1: Day, 2: Blocked attempts. */
+						'day'       => __( '%1$s: %2$s blocked', 'captcha-for-woocommerce' ),
+						'forms'     => __( 'Forms', 'captcha-for-woocommerce' ),
+						'providers' => __( 'Providers', 'captcha-for-woocommerce' ),
+						'reasons'   => __( 'Reasons', 'captcha-for-woocommerce' ),
+						'ranges'    => __( 'Top IP ranges', 'captcha-for-woocommerce' ),
+					),
+				)
+			);
+			return;
+		}
+
 		// Only load admin JS on settings page.
 		if ( 'woocommerce_page_wc-settings' !== $hook ) {
 			return;
@@ -413,19 +718,93 @@ class Assets {
 			true
 		);
 
+		// Provider scripts for the live test widget, keyed by provider.
+		$urls    = $this->get_provider_script_urls();
+		$scripts = array();
+
+		foreach ( array( 'turnstile', 'recaptcha_v2', 'recaptcha_v3', 'hcaptcha' ) as $provider ) {
+			$scripts[ $provider ] = $urls[ $this->get_provider_script_handle( $provider ) ];
+		}
+
 		// Localize admin script.
 		wp_localize_script(
 			'cfwc-admin',
 			'cfwAdmin',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce'   => wp_create_nonce( 'cfwc_admin_nonce' ),
-				'i18n'    => array(
-					'testing'       => __( 'Testing connection...', 'captcha-for-woocommerce' ),
-					'success'       => __( 'Connection successful!', 'captcha-for-woocommerce' ),
-					'failed'        => __( 'Connection failed. Please check your API keys.', 'captcha-for-woocommerce' ),
-					'confirmReset'  => __( 'Are you sure you want to reset all settings to defaults?', 'captcha-for-woocommerce' ),
-					'confirmExport' => __( 'Settings exported successfully!', 'captcha-for-woocommerce' ),
+				'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
+				'nonce'      => wp_create_nonce( 'cfwc_admin_nonce' ),
+				'scripts'    => $scripts,
+				'testAction' => Admin\Settings_Page::TEST_ACTION,
+				'i18n'       => array(
+					'testing'             => __( 'Testing connection...', 'captcha-for-woocommerce' ),
+					'success'             => __( 'Connection successful!', 'captcha-for-woocommerce' ),
+					'failed'              => __( 'Connection failed. Please check your API keys.', 'captcha-for-woocommerce' ),
+					'solve'               => __( 'Keys look valid. Solve the widget below to verify a real token.', 'captcha-for-woocommerce' ),
+					'verifying'           => __( 'Verifying token...', 'captcha-for-woocommerce' ),
+					'verified'            => __( 'Token verified. The keys work end to end.', 'captcha-for-woocommerce' ),
+					'widgetError'         => __( 'The widget reported an error. Check the site key and its allowed domains.', 'captcha-for-woocommerce' ),
+					'unavailable'         => __( 'The provider script could not be loaded.', 'captcha-for-woocommerce' ),
+					'hostname'            => __( 'Hostname', 'captcha-for-woocommerce' ),
+					'action'              => __( 'Action', 'captcha-for-woocommerce' ),
+					'score'               => __( 'Score', 'captcha-for-woocommerce' ),
+					'errorCodes'          => __( 'Error codes', 'captcha-for-woocommerce' ),
+					'none'                => __( 'None', 'captcha-for-woocommerce' ),
+					'hidden'              => __( 'Hidden', 'captcha-for-woocommerce' ),
+					'replaced'            => __( 'Replaced', 'captcha-for-woocommerce' ),
+					'exportFailed'        => __( 'The settings could not be exported.', 'captcha-for-woocommerce' ),
+					'importFailed'        => __( 'The settings could not be imported.', 'captcha-for-woocommerce' ),
+					'importBadFile'       => __( 'This file is not a valid settings export.', 'captcha-for-woocommerce' ),
+					/* translators: %s: Setting names. */
+					'importInvalid'       => __( 'Nothing can be imported until these values are fixed: %s', 'captcha-for-woocommerce' ),
+					/* translators: %s: Setting keys. */
+					'importUnknown'       => __( 'These settings are unknown and will be ignored: %s', 'captcha-for-woocommerce' ),
+					'importSecrets'       => __( 'Secret keys are not in the file and keep their current values.', 'captcha-for-woocommerce' ),
+					'importSame'          => __( 'The file matches the current settings.', 'captcha-for-woocommerce' ),
+					/* translators: %s: IP address. */
+					'lockoutsSelect'      => __( 'Select %s', 'captcha-for-woocommerce' ),
+					/* translators: 1: Failed attempts, 2: Attempts that trigger a lockout. */
+					'lockoutsAttempts'    => __( '%1$s of %2$s', 'captcha-for-woocommerce' ),
+					/* translators: %s: Remaining time, such as "5 min". */
+					'lockoutsLocked'      => __( 'Locked, %s left', 'captcha-for-woocommerce' ),
+					'lockoutsNear'        => __( 'Near lockout', 'captcha-for-woocommerce' ),
+					'lockoutsWatching'    => __( 'Below limit', 'captcha-for-woocommerce' ),
+					'lockoutsUnlock'      => __( 'Unlock', 'captcha-for-woocommerce' ),
+					'lockoutsExtend'      => __( 'Extend', 'captcha-for-woocommerce' ),
+					'lockoutsLock'        => __( 'Lock out', 'captcha-for-woocommerce' ),
+					'lockoutsWhitelist'   => __( 'Whitelist', 'captcha-for-woocommerce' ),
+					'lockoutsBlocklist'   => __( 'Blocklist', 'captcha-for-woocommerce' ),
+					'lockoutsEmpty'       => __( 'No IPs are locked out or have failed attempts.', 'captcha-for-woocommerce' ),
+					/* translators: 1: Shown IPs, 2: Matching IPs. */
+					'lockoutsShowing'     => __( 'Showing %1$s of %2$s IPs. Search to narrow the list.', 'captcha-for-woocommerce' ),
+					'lockoutsFailed'      => __( 'The lockouts could not be loaded.', 'captcha-for-woocommerce' ),
+					'lockoutsNoAction'    => __( 'Choose a bulk action.', 'captcha-for-woocommerce' ),
+					'lockoutsNoSelection' => __( 'Select at least one IP.', 'captcha-for-woocommerce' ),
+					/* translators: %d: Number of minutes. */
+					'minutes'             => __( '%d min', 'captcha-for-woocommerce' ),
+					/* translators: %d: Number of hours. */
+					'hours'               => __( '%d h', 'captcha-for-woocommerce' ),
+					'ipAdd'               => __( 'Add entry', 'captcha-for-woocommerce' ),
+					'ipEntry'             => __( 'IP address, CIDR range or wildcard', 'captcha-for-woocommerce' ),
+					'ipLabel'             => __( 'Label (optional)', 'captcha-for-woocommerce' ),
+					'ipRemove'            => __( 'Remove entry', 'captcha-for-woocommerce' ),
+					'ipInvalid'           => __( 'Not a valid IP address or CIDR range. This entry is ignored.', 'captcha-for-woocommerce' ),
+					/* translators: %d: Largest prefix length, 32 or 128. */
+					'ipPrefix'            => __( 'The prefix length must be between 0 and %d. This entry is ignored.', 'captcha-for-woocommerce' ),
+					'ipHostBits'          => __( 'The bits after the prefix are ignored, so this matches the whole range.', 'captcha-for-woocommerce' ),
+					'ipWildcard'          => __( 'Wildcards need all four parts, such as 192.168.1.*. This entry is ignored.', 'captcha-for-woocommerce' ),
+					'ipWildcardV6'        => __( 'Wildcards only work for IPv4. Use a CIDR range such as 2001:db8::/32. This entry is ignored.', 'captcha-for-woocommerce' ),
+					/* translators: 1: List entry, 2: Line number. */
+					'ipDuplicate'         => __( 'Duplicate of %1$s on line %2$s.', 'captcha-for-woocommerce' ),
+					/* translators: 1: List entry, 2: Line number. */
+					'ipCovered'           => __( 'Already covered by %1$s on line %2$s.', 'captcha-for-woocommerce' ),
+					/* translators: 1: List entry, 2: Line number. */
+					'ipOverlap'           => __( 'Overlaps with %1$s on line %2$s.', 'captcha-for-woocommerce' ),
+					/* translators: 1: Blocklist entry, 2: Line number. */
+					'ipBlocked'           => __( 'Also matches blocklist entry %1$s on line %2$s, which takes precedence.', 'captcha-for-woocommerce' ),
+					'ipTesting'           => __( 'Testing IP...', 'captcha-for-woocommerce' ),
+					'ipTestFailed'        => __( 'The IP could not be tested.', 'captcha-for-woocommerce' ),
+					'confirmReset'        => __( 'Are you sure you want to reset all settings to defaults?', 'captcha-for-woocommerce' ),
+					'confirmExport'       => __( 'Settings exported successfully!', 'captcha-for-woocommerce' ),
 				),
 			)
 		);
@@ -126,11 +126,15 @@ final class Plugin {
 		$this->providers = new Providers\Manager();
 		$this->assets    = new Assets();
 
+		// Statistics record failures on every request, not just in the admin.
+		Stats::instance();
+
 		// Initialize admin components if in admin context.
 		if ( is_admin() ) {
 			new Admin\Settings_Page();
 			new Admin\Admin_Notices();
 			new Admin\Dashboard_Widget();
+			new Admin\Lockout_Manager();
 		}
 
 		// Defer form initialization to 'init' hook to avoid recursion.
@@ -237,6 +241,29 @@ final class Plugin {
 	private function init_hooks() {
 		// Initialize payment gateway compatibility.
 		add_action( 'init', array( $this, 'init_payment_compatibility' ) );
+
+		// Proof-of-work puzzles are fetched per visitor, so cached pages stay valid.
+		add_action( 'wp_ajax_' . Providers\Proof_Of_Work::AJAX_ACTION, array( $this, 'ajax_pow_challenge' ) );
+		add_action( 'wp_ajax_nopriv_' . Providers\Proof_Of_Work::AJAX_ACTION, array( $this, 'ajax_pow_challenge' ) );
+	}
+
+	/**
+	 * Send a proof-of-work puzzle to the browser.
+	 *
+	 * No nonce is checked: nonces in cached pages expire, and a puzzle
+	 * is only useful to the IP it was signed for.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function ajax_pow_challenge() {
+		$provider = $this->provider();
+
+		if ( ! $provider instanceof Providers\Proof_Of_Work ) {
+			wp_send_json_error( null, 400 );
+		}
+
+		wp_send_json_success( $provider->create_challenge() );
 	}
 
 	/**
@@ -364,10 +391,25 @@ final class Plugin {
 	 * Returns true on success, or WP_Error on failure.
 	 *
 	 * @since 1.0.0
-	 * @param string $form_type The form identifier.
+	 * @since 1.1.0 $form_type defaults to the submitted cfwc_form_type field,
+	 *              which fails verification if missing or not enabled.
+	 * @param string $form_type Optional. The form identifier.
 	 * @return bool|\WP_Error True on success, WP_Error on failure.
 	 */
-	public function verify( $form_type ) {
+	public function verify( $form_type = '' ) {
+		if ( '' === $form_type ) {
+			$form_type = $this->get_submitted_form_type();
+
+			// The field comes from the client, so a missing or unknown
+			// type must not switch protection off.
+			if ( '' === $form_type || ! $this->settings->is_form_enabled( $form_type ) ) {
+				return new \WP_Error(
+					'cfwc_invalid_form',
+					__( 'CAPTCHA verification failed. Please refresh and try again.', 'captcha-for-woocommerce' )
+				);
+			}
+		}
+
 		// Check if this form has CAPTCHA enabled.
 		if ( ! $this->settings->is_form_enabled( $form_type ) ) {
 			return true;
@@ -377,16 +419,35 @@ final class Plugin {
 		$ip_validator = Protection\IP_Validator::instance();
 		$blocked      = $ip_validator->is_blocked();
 		if ( $blocked ) {
-			return new \WP_Error( 'cfwc_ip_blocked', $blocked );
+			$error = new \WP_Error( 'cfwc_ip_blocked', $blocked );
+
+			/**
+			 * Fires when a submission is refused before CAPTCHA verification.
+			 *
+			 * Blocklisted and rate limited IPs never reach the provider,
+			 * so cfwc_failed doesn't fire for them.
+			 *
+			 * @since 1.1.0
+			 * @param string    $form_type The form identifier.
+			 * @param \WP_Error $error     The error object.
+			 */
+			do_action( 'cfwc_blocked', $form_type, $error );
+
+			return $error;
 		}
 
 		// Check rate limit lockout.
 		$rate_limiter = Protection\Rate_Limiter::instance();
 		if ( $rate_limiter->is_locked_out() ) {
-			return new \WP_Error(
+			$error = new \WP_Error(
 				'cfwc_rate_limited',
 				$rate_limiter->get_lockout_message()
 			);
+
+			/** This action is documented in includes/class-cfwc-plugin.php */
+			do_action( 'cfwc_blocked', $form_type, $error );
+
+			return $error;
 		}
 
 		// Check if CAPTCHA should be skipped for this IP/user.
@@ -430,7 +491,19 @@ final class Plugin {
 			return true;
 		}
 
-		$result = $provider->verify();
+		if ( $this->is_client_failsafe( $provider ) ) {
+			// The provider script could not load in the visitor's browser
+			// and the provider is down, so the honeypot protected the form.
+			Logger::log_failsafe( 'Provider script unavailable in browser', 'honeypot', $form_type );
+
+			$honeypot    = new Providers\Honeypot();
+			$result      = $honeypot->verify();
+			$provider_id = $honeypot->get_id();
+		} else {
+			// reCAPTCHA v3 checks the token's action against the form type.
+			$result      = $provider->verify( '', $form_type );
+			$provider_id = $provider->get_id();
+		}
 
 		// Log the result if debug logging is enabled.
 		if ( 'yes' === $this->settings->get( 'enable_debug_logging' ) ) {
@@ -446,10 +519,12 @@ final class Plugin {
 			 * Fires when CAPTCHA verification fails.
 			 *
 			 * @since 1.0.0
+			 * @since 1.1.0 Added the $provider parameter.
 			 * @param string    $form_type The form identifier.
 			 * @param \WP_Error $result    The error object.
+			 * @param string    $provider  ID of the provider that failed.
 			 */
-			do_action( 'cfwc_failed', $form_type, $result );
+			do_action( 'cfwc_failed', $form_type, $result, $provider_id );
 		} else {
 			// Record success (clears failed attempts).
 			$rate_limiter->record_success();
@@ -467,6 +542,79 @@ final class Plugin {
 		return $result;
 	}
 
+	/**
+	 * Get the form type frontend.js attached to the submission.
+	 *
+	 * Only form types listed in the supported forms are returned.
+	 *
+	 * @since 1.1.0
+	 * @return string Form identifier, or an empty string.
+	 */
+	public function get_submitted_form_type() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Only identifies the form; verification follows.
+		$form_type = isset( $_POST['cfwc_form_type'] ) ? sanitize_key( wp_unslash( $_POST['cfwc_form_type'] ) ) : '';
+
+		if ( '' === $form_type ) {
+			return '';
+		}
+
+		foreach ( $this->settings->get_supported_forms() as $category ) {
+			if ( isset( $category['forms'][ $form_type ] ) ) {
+				return $form_type;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Check if the submission used the client-side honeypot failsafe.
+	 *
+	 * frontend.js adds a cfwc_failsafe field when the provider script
+	 * cannot be loaded and the failsafe mode is set to honeypot. Other
+	 * failsafe modes are never taken from the client.
+	 *
+	 * @since 1.1.0
+	 * @param Providers\Provider_Interface $provider The configured provider.
+	 * @return bool True if the honeypot fallback should be verified.
+	 */
+	private function is_client_failsafe( $provider ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Honeypot nonce is verified in Honeypot::verify().
+		if ( ! isset( $_POST['cfwc_failsafe'] ) || 'honeypot' !== sanitize_key( wp_unslash( $_POST['cfwc_failsafe'] ) ) ) {
+			return false;
+		}
+
+		return $this->accepts_client_failsafe( $provider );
+	}
+
+	/**
+	 * Check if a client-side honeypot failsafe can be accepted now.
+	 *
+	 * The failsafe marker comes from the visitor and the honeypot fields
+	 * can be scraped from the page, so the marker alone would let any
+	 * bot skip the provider. It is only honoured while the server can't
+	 * reach the provider either.
+	 *
+	 * @since 1.1.0
+	 * @param Providers\Provider_Interface $provider The configured provider.
+	 * @return bool True if the honeypot may replace the provider token.
+	 */
+	public function accepts_client_failsafe( $provider ) {
+		if ( 'honeypot' !== $this->settings->get( 'failsafe_mode' ) || ! $provider instanceof Providers\Abstract_Provider || ! $provider->requires_api_keys() ) {
+			return false;
+		}
+
+		/**
+		 * Filter whether to accept the client-side honeypot failsafe.
+		 *
+		 * @since 1.1.0
+		 * @param bool                        $allow    Whether to verify the honeypot instead.
+		 *                                              Default true while the provider is unreachable.
+		 * @param Providers\Abstract_Provider $provider The configured provider.
+		 */
+		return (bool) apply_filters( 'cfwc_allow_client_failsafe', $provider->is_unavailable(), $provider );
+	}
+
 	/**
 	 * Check if CAPTCHA should be skipped for the current user.
 	 *
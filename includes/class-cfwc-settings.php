@@ -44,28 +44,43 @@ class Settings {
 	 * @var array
 	 */
 	private $defaults = array(
-		'provider'              => '',
-		'site_key'              => '',
-		'secret_key'            => '',
-		'theme'                 => 'auto',
-		'size'                  => 'normal',
-		'score_threshold'       => 0.5,
-		'forms'                 => array(),
-		'whitelist_logged_in'   => 'no',
-		'whitelist_roles'       => array(),
-		'whitelist_ips'         => '',
-		'blocklist_ips'         => '',
-		'enable_honeypot'       => 'no',
-		'honeypot_min_time'     => 3,
-		'enable_rate_limiting'  => 'no',
-		'rate_limit_requests'   => 5,
-		'rate_limit_lockout'    => 15,
-		'rate_limit_window'     => 60,
-		'enable_debug_logging'       => 'no',
-		'failsafe_mode'              => 'honeypot',
-		'delete_data_on_uninstall'   => 'no',
+		'provider'                  => '',
+		'site_key'                  => '',
+		'secret_key'                => '',
+		'theme'                     => 'auto',
+		'size'                      => 'normal',
+		'score_threshold'           => 0.5,
+		'score_floor'               => 0.1,
+		'escalation_provider'       => '',
+		'escalation_site_key'       => '',
+		'escalation_secret_key'     => '',
+		'pow_difficulty'            => 18,
+		'forms'                     => array(),
+		'lazy_forms'                => array(),
+		'whitelist_logged_in'       => 'no',
+		'whitelist_roles'           => array(),
+		'whitelist_ips'             => '',
+		'blocklist_ips'             => '',
+		'enable_honeypot'           => 'no',
+		'auto_protect'              => 'no',
+		'honeypot_min_time'         => 3,
+		'honeypot_signal_threshold' => 0,
+		'enable_rate_limiting'      => 'no',
+		'rate_limit_requests'       => 5,
+		'rate_limit_lockout'        => 15,
+		'rate_limit_window'         => 60,
+		'enable_debug_logging'      => 'no',
+		'failsafe_mode'             => 'honeypot',
+		'delete_data_on_uninstall'  => 'no',
 	);
 
+	/**
+	 * Settings left out of exports unless asked for.
+	 *
+	 * @var array
+	 */
+	private $secret_keys = array( 'secret_key', 'escalation_secret_key' );
+
 	/**
 	 * List of supported forms with their labels.
 	 *
@@ -151,6 +166,72 @@ class Settings {
 		$this->supported_forms = apply_filters( 'cfwc_supported_forms', $this->supported_forms );
 	}
 
+	/**
+	 * Get the form selector registry used by frontend.js.
+	 *
+	 * Seeded from the supported forms. Each entry has a CSS selector,
+	 * the form type sent back in the cfwc_form_type field, and whether
+	 * frontend.js should add a widget container when the form has none.
+	 *
+	 * @since 1.1.0
+	 * @return array List of arrays with selector, formType and provider keys.
+	 */
+	public function get_form_selectors() {
+		$known = array(
+			'wp_login'            => 'form#loginform',
+			'wp_register'         => 'form#registerform',
+			'wp_lost_password'    => 'form#lostpasswordform',
+			'wp_comment'          => 'form#commentform, form.comment-form',
+			'wc_login'            => 'form.woocommerce-form-login',
+			'wc_register'         => 'form.woocommerce-form-register',
+			'wc_lost_password'    => 'form.woocommerce-ResetPassword',
+			'wc_checkout_classic' => 'form.woocommerce-checkout',
+			'wc_pay_order'        => 'form#order_review',
+			'wcpv_registration'   => 'form#wcpv-vendor-registration',
+		);
+
+		$selectors = array();
+
+		foreach ( $this->get_supported_forms() as $category ) {
+			foreach ( array_keys( $category['forms'] ) as $form_type ) {
+				if ( isset( $known[ $form_type ] ) ) {
+					$selectors[] = array(
+						'selector' => $known[ $form_type ],
+						'formType' => $form_type,
+						'provider' => false,
+					);
+				}
+			}
+		}
+
+		// Honeypot-only forms without a form type of their own.
+		$selectors[] = array(
+			'selector' => 'form.woocommerce-EditAccountForm',
+			'formType' => '',
+			'provider' => false,
+		);
+
+		// Generic class for custom integrations (form type from data-cfwc-form-type).
+		$selectors[] = array(
+			'selector' => 'form.cfwc-protected',
+			'formType' => '',
+			'provider' => false,
+		);
+
+		/**
+		 * Filter the form selector registry.
+		 *
+		 * Add an entry to protect a third-party form without editing its
+		 * markup. Set provider to true to have frontend.js add a widget
+		 * container, and add the form type with cfwc_supported_forms so
+		 * Plugin::verify() accepts it.
+		 *
+		 * @since 1.1.0
+		 * @param array $selectors List of arrays with selector, formType and provider keys.
+		 */
+		return apply_filters( 'cfwc_form_selectors', $selectors );
+	}
+
 	/**
 	 * Get all settings.
 	 *
@@ -253,6 +334,42 @@ class Settings {
 		return apply_filters( 'cfwc_form_enabled', in_array( $form_type, $forms, true ), $form_type );
 	}
 
+	/**
+	 * Check if a form should lazy-load its CAPTCHA widget.
+	 *
+	 * Lazy forms defer loading the provider script and rendering the
+	 * widget until the form scrolls into view or receives focus.
+	 *
+	 * @since 1.1.0
+	 * @param string $form_type The form identifier.
+	 * @return bool True if the form is lazy-loaded.
+	 */
+	public function is_form_lazy( $form_type ) {
+		$lazy_forms = $this->get( 'lazy_forms', array() );
+		$is_lazy    = is_array( $lazy_forms ) && in_array( $form_type, $lazy_forms, true );
+
+		/**
+		 * Filter whether a specific form lazy-loads its CAPTCHA widget.
+		 *
+		 * @since 1.1.0
+		 * @param bool   $is_lazy   Whether the form is lazy-loaded.
+		 * @param string $form_type The form identifier.
+		 */
+		return (bool) apply_filters( 'cfwc_form_lazy', $is_lazy, $form_type );
+	}
+
+	/**
+	 * Check if any form is configured for lazy loading.
+	 *
+	 * @since 1.1.0
+	 * @return bool True if at least one form is lazy-loaded.
+	 */
+	public function has_lazy_forms() {
+		$lazy_forms = $this->get( 'lazy_forms', array() );
+
+		return ! empty( $lazy_forms );
+	}
+
 	/**
 	 * Get flat list of form IDs.
 	 *
@@ -284,8 +401,8 @@ class Settings {
 	public function is_provider_configured() {
 		$provider = $this->get( 'provider' );
 
-		// Honeypot doesn't require API keys.
-		if ( 'honeypot' === $provider ) {
+		// Self-hosted providers don't require API keys.
+		if ( in_array( $provider, array( 'honeypot', 'proof_of_work' ), true ) ) {
 			return true;
 		}
 
@@ -321,19 +438,33 @@ class Settings {
 		return delete_option( self::OPTION_NAME );
 	}
 
+	/**
+	 * Get the keys of settings holding secrets.
+	 *
+	 * @since 1.1.0
+	 * @return array Setting keys.
+	 */
+	public function get_secret_keys() {
+		return $this->secret_keys;
+	}
+
 	/**
 	 * Export settings as JSON.
 	 *
 	 * Returns current settings as a JSON string for export.
 	 *
 	 * @since 1.0.0
+	 * @since 1.1.0 Added the $include_secrets parameter.
+	 * @param bool $include_secrets Optional. Whether to include secret keys. Default false.
 	 * @return string JSON encoded settings.
 	 */
-	public function export() {
+	public function export( $include_secrets = false ) {
 		$settings = $this->get_all();
 
 		// Remove sensitive data from export.
-		unset( $settings['secret_key'] );
+		if ( ! $include_secrets ) {
+			$settings = array_diff_key( $settings, array_flip( $this->secret_keys ) );
+		}
 
 		return wp_json_encode( $settings, JSON_PRETTY_PRINT );
 	}
@@ -365,9 +496,9 @@ class Settings {
 			);
 		}
 
-		// Merge with existing settings (preserves secret key).
+		// Drop unknown keys, then merge with existing settings (preserves secret keys).
 		$current  = $this->get_all();
-		$settings = wp_parse_args( $settings, $current );
+		$settings = wp_parse_args( array_intersect_key( $settings, $this->defaults ), $current );
 
 		return $this->save( $settings );
 	}
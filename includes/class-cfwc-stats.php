@@ -0,0 +1,499 @@
+<?php
+/**
+ * Protection Statistics.
+ *
+ * Keeps daily buckets of blocked attempts broken down by form type,
+ * provider, failure reason and offending IP range. Feeds the analytics
+ * chart in the dashboard widget and its CSV export.
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace CFWC;
+
+use CFWC\Protection\Rate_Limiter;
+
+// Prevent direct file access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Stats class.
+ *
+ * Records failures on every request, not just in the admin, so the
+ * numbers include front-end forms and the Store API.
+ *
+ * @since 1.1.0
+ */
+class Stats {
+
+	/**
+	 * Prefix of the option storing each daily bucket, followed by Y-m-d.
+	 *
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'cfwc_protection_daily_';
+
+	/**
+	 * Default number of days to keep.
+	 *
+	 * @var int
+	 */
+	const RETENTION_DAYS = 90;
+
+	/**
+	 * Most IP ranges stored per day.
+	 *
+	 * Keeps the option small during a distributed attack.
+	 *
+	 * @var int
+	 */
+	const MAX_RANGES = 100;
+
+	/**
+	 * Number of IP ranges returned in a report.
+	 *
+	 * @var int
+	 */
+	const TOP_RANGES = 10;
+
+	/**
+	 * Breakdowns stored in each daily bucket.
+	 *
+	 * @var array
+	 */
+	const DIMENSIONS = array( 'forms', 'providers', 'reasons', 'ranges' );
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var Stats|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Stats
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.1.0
+	 */
+	private function __construct() {
+		add_action( 'cfwc_failed', array( $this, 'record_failure' ), 10, 3 );
+		add_action( 'cfwc_blocked', array( $this, 'record_blocked' ), 10, 2 );
+		add_action( 'cfwc_ip_locked_out', array( $this, 'record_lockout' ) );
+		add_action( 'cfwc_cleanup', array( $this, 'prune' ) );
+		add_action( 'init', array( $this, 'schedule_cleanup' ) );
+	}
+
+	/**
+	 * Schedule the daily cleanup event.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function schedule_cleanup() {
+		if ( ! wp_next_scheduled( 'cfwc_cleanup' ) ) {
+			wp_schedule_event( time(), 'daily', 'cfwc_cleanup' );
+		}
+	}
+
+	/**
+	 * Delete the buckets past the retention period.
+	 *
+	 * Runs from the daily cleanup event, so recording never has to.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function prune() {
+		global $wpdb;
+
+		$first = self::OPTION_PREFIX . $this->get_first_day();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Option names aren't known in advance.
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		foreach ( $names as $name ) {
+			// Same length Y-m-d suffixes sort by date.
+			if ( $name < $first ) {
+				delete_option( $name );
+			}
+		}
+	}
+
+	/**
+	 * Record a failed verification.
+	 *
+	 * @since 1.1.0
+	 * @param string    $form_type The form identifier.
+	 * @param \WP_Error $error     The verification error.
+	 * @param string    $provider  Optional. ID of the provider that failed.
+	 * @return void
+	 */
+	public function record_failure( $form_type, $error, $provider = '' ) {
+		$this->record( $form_type, $provider, $this->get_reason( $error ) );
+	}
+
+	/**
+	 * Record a submission refused before verification.
+	 *
+	 * Blocklisted and locked out IPs never reach a provider.
+	 *
+	 * @since 1.1.0
+	 * @param string    $form_type The form identifier.
+	 * @param \WP_Error $error     The blocking error.
+	 * @return void
+	 */
+	public function record_blocked( $form_type, $error ) {
+		$this->record( $form_type, '', $this->get_reason( $error ) );
+	}
+
+	/**
+	 * Record a rate limiter lockout.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function record_lockout() {
+		$bucket = $this->get_bucket( $this->get_today() );
+
+		$bucket['lockouts']++;
+
+		$this->save_bucket( $bucket );
+	}
+
+	/**
+	 * Add a blocked attempt to today's bucket.
+	 *
+	 * @since 1.1.0
+	 * @param string $form_type The form identifier.
+	 * @param string $provider  Provider ID, empty if no provider ran.
+	 * @param string $reason    Failure reason.
+	 * @return void
+	 */
+	private function record( $form_type, $provider, $reason ) {
+		$bucket = $this->get_bucket( $this->get_today() );
+
+		$bucket['total']++;
+		$this->increment( $bucket, 'forms', sanitize_key( $form_type ) );
+		$this->increment( $bucket, 'providers', sanitize_key( $provider ) );
+		$this->increment( $bucket, 'reasons', sanitize_key( $reason ) );
+		$this->increment( $bucket, 'ranges', $this->get_ip_range( Rate_Limiter::instance()->get_client_ip() ) );
+
+		$this->save_bucket( $bucket );
+	}
+
+	/**
+	 * Increment a breakdown counter in a bucket.
+	 *
+	 * New IP ranges are dropped once the day holds MAX_RANGES of them.
+	 *
+	 * @since 1.1.0
+	 * @param array  $bucket    Daily bucket, passed by reference.
+	 * @param string $dimension Breakdown name.
+	 * @param string $key       Counter key. Empty keys are skipped.
+	 * @return void
+	 */
+	private function increment( &$bucket, $dimension, $key ) {
+		if ( '' === $key ) {
+			return;
+		}
+
+		if ( ! isset( $bucket[ $dimension ][ $key ] ) ) {
+			if ( 'ranges' === $dimension && count( $bucket['ranges'] ) >= self::MAX_RANGES ) {
+				return;
+			}
+			$bucket[ $dimension ][ $key ] = 0;
+		}
+
+		$bucket[ $dimension ][ $key ]++;
+	}
+
+	/**
+	 * Get the failure reason from an error.
+	 *
+	 * @since 1.1.0
+	 * @param \WP_Error|mixed $error The verification error.
+	 * @return string Error code without the cfwc_ prefix.
+	 */
+	private function get_reason( $error ) {
+		if ( ! is_wp_error( $error ) ) {
+			return 'unknown';
+		}
+
+		return preg_replace( '/^cfwc_/', '', (string) $error->get_error_code() );
+	}
+
+	/**
+	 * Get the network range an IP belongs to.
+	 *
+	 * Only the range is stored: /24 for IPv4 and /48 for IPv6, which is
+	 * what a single network usually gets and keeps visitor IPs out of
+	 * the statistics.
+	 *
+	 * @since 1.1.0
+	 * @param string $ip IP address.
+	 * @return string Range in CIDR notation, empty for invalid IPs.
+	 */
+	public function get_ip_range( $ip ) {
+		if ( filter_var( $ip, FILTER_VALIDATE_IP, FILTER_FLAG_IPV4 ) ) {
+			return preg_replace( '/\.\d+$/', '.0', $ip ) . '/24';
+		}
+
+		if ( filter_var( $ip, FILTER_VALIDATE_IP, FILTER_FLAG_IPV6 ) ) {
+			return inet_ntop( substr( inet_pton( $ip ), 0, 6 ) . str_repeat( "\0", 10 ) ) . '/48';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get the number of days to keep.
+	 *
+	 * @since 1.1.0
+	 * @return int Number of days.
+	 */
+	public function get_retention_days() {
+		/**
+		 * Filter how many days of protection statistics are kept.
+		 *
+		 * @since 1.1.0
+		 * @param int $days Number of days. Default 90.
+		 */
+		return max( 1, absint( apply_filters( 'cfwc_stats_retention_days', self::RETENTION_DAYS ) ) );
+	}
+
+	/**
+	 * Get today's date in the site timezone.
+	 *
+	 * @since 1.1.0
+	 * @return string Date as Y-m-d.
+	 */
+	public function get_today() {
+		return wp_date( 'Y-m-d' );
+	}
+
+	/**
+	 * Get the oldest date still kept.
+	 *
+	 * @since 1.1.0
+	 * @return string Date as Y-m-d.
+	 */
+	public function get_first_day() {
+		return $this->shift_date( $this->get_today(), 1 - $this->get_retention_days() );
+	}
+
+	/**
+	 * Get a report for a date range.
+	 *
+	 * Dates outside the kept period are clamped to it.
+	 *
+	 * @since 1.1.0
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return array Report with the daily totals, the breakdowns for the
+	 *               whole range sorted by count, and the top IP ranges.
+	 */
+	public function get_report( $from, $to ) {
+		list( $from, $to ) = $this->clamp_range( $from, $to );
+
+		$this->prime_buckets( $from, $to );
+
+		$report = array(
+			'from'     => $from,
+			'to'       => $to,
+			'total'    => 0,
+			'lockouts' => 0,
+			'days'     => array(),
+		);
+
+		foreach ( self::DIMENSIONS as $dimension ) {
+			$report[ $dimension ] = array();
+		}
+
+		for ( $date = $from; $date <= $to; $date = $this->shift_date( $date, 1 ) ) {
+			$bucket = $this->get_bucket( $date );
+
+			$report['days'][]    = array(
+				'date'     => $date,
+				'total'    => $bucket['total'],
+				'lockouts' => $bucket['lockouts'],
+			);
+			$report['total']    += $bucket['total'];
+			$report['lockouts'] += $bucket['lockouts'];
+
+			foreach ( self::DIMENSIONS as $dimension ) {
+				foreach ( $bucket[ $dimension ] as $key => $count ) {
+					$report[ $dimension ][ $key ] = ( isset( $report[ $dimension ][ $key ] ) ? $report[ $dimension ][ $key ] : 0 ) + $count;
+				}
+			}
+		}
+
+		foreach ( self::DIMENSIONS as $dimension ) {
+			arsort( $report[ $dimension ] );
+		}
+
+		$report['ranges'] = array_slice( $report['ranges'], 0, self::TOP_RANGES, true );
+
+		return $report;
+	}
+
+	/**
+	 * Get the stored buckets for a date range, one row per counter.
+	 *
+	 * Used for the CSV export. Days without data are left out.
+	 *
+	 * @since 1.1.0
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return array List of date, dimension, key and count rows.
+	 */
+	public function get_rows( $from, $to ) {
+		list( $from, $to ) = $this->clamp_range( $from, $to );
+
+		$rows = array();
+
+		$this->prime_buckets( $from, $to );
+
+		for ( $date = $from; $date <= $to; $date = $this->shift_date( $date, 1 ) ) {
+			$bucket = $this->get_bucket( $date );
+
+			if ( ! $bucket['total'] && ! $bucket['lockouts'] ) {
+				continue;
+			}
+
+			$rows[] = array( $date, 'total', '', $bucket['total'] );
+			$rows[] = array( $date, 'lockouts', '', $bucket['lockouts'] );
+
+			foreach ( self::DIMENSIONS as $dimension ) {
+				foreach ( $bucket[ $dimension ] as $key => $count ) {
+					$rows[] = array( $date, $dimension, $key, $count );
+				}
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Validate a date range and clamp it to the kept period.
+	 *
+	 * @since 1.1.0
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return array First and last day.
+	 */
+	private function clamp_range( $from, $to ) {
+		$first = $this->get_first_day();
+		$today = $this->get_today();
+		$from  = $this->is_date( $from ) ? max( $first, $from ) : $first;
+		$to    = $this->is_date( $to ) ? min( $today, $to ) : $today;
+
+		return $from <= $to ? array( $from, $to ) : array( $to, $from );
+	}
+
+	/**
+	 * Check that a value is a Y-m-d date.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $value Value to check.
+	 * @return bool True for valid dates.
+	 */
+	private function is_date( $value ) {
+		return is_string( $value )
+			&& preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $value, $parts )
+			&& checkdate( (int) $parts[2], (int) $parts[3], (int) $parts[1] );
+	}
+
+	/**
+	 * Move a date by a number of days.
+	 *
+	 * @since 1.1.0
+	 * @param string $date Date as Y-m-d.
+	 * @param int    $days Days to add, negative to go back.
+	 * @return string Date as Y-m-d.
+	 */
+	private function shift_date( $date, $days ) {
+		return gmdate( 'Y-m-d', strtotime( $date . ' 00:00:00 UTC' ) + $days * DAY_IN_SECONDS );
+	}
+
+	/**
+	 * Load the buckets for a date range in one query where supported.
+	 *
+	 * @since 1.1.0
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return void
+	 */
+	private function prime_buckets( $from, $to ) {
+		// WordPress 6.4+.
+		if ( ! function_exists( 'wp_prime_option_caches' ) ) {
+			return;
+		}
+
+		$names = array();
+
+		for ( $date = $from; $date <= $to; $date = $this->shift_date( $date, 1 ) ) {
+			$names[] = self::OPTION_PREFIX . $date;
+		}
+
+		wp_prime_option_caches( $names );
+	}
+
+	/**
+	 * Get a bucket with all counters set.
+	 *
+	 * @since 1.1.0
+	 * @param string $date Date as Y-m-d.
+	 * @return array Bucket for the date.
+	 */
+	private function get_bucket( $date ) {
+		$defaults = array(
+			'date'     => $date,
+			'total'    => 0,
+			'lockouts' => 0,
+		);
+
+		foreach ( self::DIMENSIONS as $dimension ) {
+			$defaults[ $dimension ] = array();
+		}
+
+		$bucket = get_option( self::OPTION_PREFIX . $date, array() );
+
+		return array_merge( $defaults, is_array( $bucket ) ? $bucket : array(), array( 'date' => $date ) );
+	}
+
+	/**
+	 * Store a bucket in its day's option.
+	 *
+	 * One small option per day keeps each write cheap during an attack.
+	 *
+	 * @since 1.1.0
+	 * @param array $bucket Bucket to store.
+	 * @return void
+	 */
+	private function save_bucket( $bucket ) {
+		$date = $bucket['date'];
+		unset( $bucket['date'] );
+
+		// Not autoloaded, only failures and the dashboard read it.
+		update_option( self::OPTION_PREFIX . $date, $bucket, false );
+	}
+}
@@ -151,66 +151,143 @@ class IP_Validator {
 	/**
 	 * Check if an IP matches any entry in a list.
 	 *
+	 * @since 1.0.0
+	 * @param string $ip   IP address to check.
+	 * @param string $list Newline-separated list of IPs/CIDRs/patterns.
+	 * @return bool True if IP matches any entry.
+	 */
+	private function ip_matches_list( $ip, $list ) {
+		return null !== $this->find_match( $ip, $list );
+	}
+
+	/**
+	 * Find the first entry in a list that matches an IP.
+	 *
 	 * Supports:
 	 * - Individual IPs (e.g., 192.168.1.1)
 	 * - CIDR notation (e.g., 192.168.1.0/24)
 	 * - Wildcards (e.g., 192.168.1.*)
+	 * - Comments, on their own line or after an entry (e.g., 10.0.0.1 # Office)
 	 *
-	 * @since 1.0.0
+	 * @since 1.1.0
 	 * @param string $ip   IP address to check.
 	 * @param string $list Newline-separated list of IPs/CIDRs/patterns.
-	 * @return bool True if IP matches any entry.
+	 * @return array|null Matching entry, its comment and line number, or
+	 *                    null if nothing matches.
 	 */
-	private function ip_matches_list( $ip, $list ) {
+	public function find_match( $ip, $list ) {
 		if ( empty( $list ) || empty( $ip ) ) {
-			return false;
+			return null;
 		}
 
 		// Validate the IP address.
 		if ( ! filter_var( $ip, FILTER_VALIDATE_IP ) ) {
-			return false;
+			return null;
 		}
 
-		// Parse the list.
+		// Parse the list, keeping the keys for line numbers.
 		$entries = array_map( 'trim', explode( "\n", $list ) );
 		$entries = array_filter( $entries );
 
-		foreach ( $entries as $entry ) {
+		foreach ( $entries as $index => $line ) {
 			// Skip comments.
-			if ( strpos( $entry, '#' ) === 0 ) {
+			if ( strpos( $line, '#' ) === 0 ) {
 				continue;
 			}
 
-			// Remove inline comments.
-			$entry = trim( explode( '#', $entry )[0] );
+			// Split off inline comments.
+			$parts = explode( '#', $line, 2 );
+			$entry = trim( $parts[0] );
 
-			if ( empty( $entry ) ) {
+			if ( empty( $entry ) || ! $this->entry_matches( $ip, $entry ) ) {
 				continue;
 			}
 
-			// Check for CIDR notation.
-			if ( strpos( $entry, '/' ) !== false ) {
-				if ( $this->ip_in_cidr( $ip, $entry ) ) {
-					return true;
-				}
-				continue;
-			}
+			return array(
+				'entry'   => $entry,
+				'comment' => isset( $parts[1] ) ? trim( $parts[1] ) : '',
+				'line'    => $index + 1,
+			);
+		}
 
-			// Check for wildcard.
-			if ( strpos( $entry, '*' ) !== false ) {
-				if ( $this->ip_matches_wildcard( $ip, $entry ) ) {
-					return true;
-				}
-				continue;
-			}
+		return null;
+	}
 
-			// Exact match.
-			if ( $ip === $entry ) {
-				return true;
-			}
+	/**
+	 * Check if an IP matches a single list entry.
+	 *
+	 * @since 1.1.0
+	 * @param string $ip    IP address to check.
+	 * @param string $entry IP, CIDR range or wildcard pattern.
+	 * @return bool True if the IP matches.
+	 */
+	private function entry_matches( $ip, $entry ) {
+		// Check for CIDR notation.
+		if ( strpos( $entry, '/' ) !== false ) {
+			return $this->ip_in_cidr( $ip, $entry );
 		}
 
-		return false;
+		// Check for wildcard.
+		if ( strpos( $entry, '*' ) !== false ) {
+			return $this->ip_matches_wildcard( $ip, $entry );
+		}
+
+		// Exact match. Compare IPv6 addresses in binary, so 2001:db8::1
+		// matches 2001:0db8:0:0:0:0:0:1.
+		if ( $ip === $entry ) {
+			return true;
+		}
+
+		return filter_var( $entry, FILTER_VALIDATE_IP, FILTER_FLAG_IPV6 ) && inet_pton( $ip ) === inet_pton( $entry );
+	}
+
+	/**
+	 * Explain how a visitor from an IP would be treated.
+	 *
+	 * Follows the order of Plugin::verify(): the blocklist wins, then
+	 * rate limiter lockouts, then the whitelist. Logged-in users and
+	 * role exemptions are not considered.
+	 *
+	 * @since 1.1.0
+	 * @param string      $ip        IP address to check.
+	 * @param string|null $whitelist Optional. Whitelist to test instead of the saved one.
+	 * @param string|null $blocklist Optional. Blocklist to test instead of the saved one.
+	 * @return array Result (blocked, skipped or challenged), the deciding
+	 *               list (blocklist, lockout, whitelist or empty), the
+	 *               matching entry, and the whitelist entry overruled by
+	 *               the blocklist, if any.
+	 */
+	public function explain( $ip, $whitelist = null, $blocklist = null ) {
+		$settings  = Plugin::instance()->settings();
+		$whitelist = null === $whitelist ? $settings->get( 'whitelist_ips' ) : $whitelist;
+		$blocklist = null === $blocklist ? $settings->get( 'blocklist_ips' ) : $blocklist;
+		$allowed   = $this->find_match( $ip, $whitelist );
+		$blocked   = $this->find_match( $ip, $blocklist );
+
+		if ( $blocked ) {
+			return array(
+				'result'    => 'blocked',
+				'list'      => 'blocklist',
+				'match'     => $blocked,
+				'overruled' => $allowed,
+			);
+		}
+
+		if ( Rate_Limiter::instance()->is_locked_out( $ip ) ) {
+			return array(
+				'result'    => 'blocked',
+				'list'      => 'lockout',
+				'match'     => null,
+				'overruled' => $allowed,
+			);
+		}
+
+		return array(
+			'result'    => $allowed ? 'skipped' : 'challenged',
+			'list'      => $allowed ? 'whitelist' : '',
+			'match'     => $allowed,
+			'overruled' => null,
+		);
 	}
 
 	/**
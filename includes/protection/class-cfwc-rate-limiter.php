@@ -47,6 +47,13 @@ class Rate_Limiter {
 	 */
 	const TIMESTAMPS_OPTION = 'cfwc_attempt_timestamps';
 
+	/**
+	 * Option name for storing the failed attempts that triggered a lockout.
+	 *
+	 * @var string
+	 */
+	const LOCKED_ATTEMPTS_OPTION = 'cfwc_lockout_attempts';
+
 	/**
 	 * Singleton instance.
 	 *
@@ -115,6 +122,7 @@ class Rate_Limiter {
 			// Remove expired lockout.
 			unset( $lockouts[ $ip ] );
 			update_option( self::LOCKOUTS_OPTION, $lockouts );
+			$this->forget_locked_attempts( $ip );
 			return false;
 		}
 
@@ -250,12 +258,30 @@ class Rate_Limiter {
 			$lockouts[ $ip ] = $current_time + ( $lockout_duration * 60 );
 			update_option( self::LOCKOUTS_OPTION, $lockouts );
 
+			// Keep the count for the IP list while the lockout lasts.
+			$locked_attempts = get_option( self::LOCKED_ATTEMPTS_OPTION, array() );
+			if ( ! is_array( $locked_attempts ) ) {
+				$locked_attempts = array();
+			}
+
+			$locked_attempts[ $ip ] = $attempts[ $ip ];
+			update_option( self::LOCKED_ATTEMPTS_OPTION, $locked_attempts );
+
 			// Reset attempts after lockout.
 			unset( $attempts[ $ip ] );
 			unset( $timestamps[ $ip ] );
 
 			// Log the lockout.
 			$this->log_lockout( $ip, $lockout_duration );
+
+			/**
+			 * Fires when an IP is locked out after too many failed attempts.
+			 *
+			 * @since 1.1.0
+			 * @param string $ip               The locked out IP address.
+			 * @param int    $lockout_duration Lockout duration in minutes.
+			 */
+			do_action( 'cfwc_ip_locked_out', $ip, $lockout_duration );
 		}
 
 		// Save updated attempts.
@@ -322,57 +348,212 @@ class Rate_Limiter {
 	}
 
 	/**
-	 * Check if an IP is whitelisted.
+	 * Get the number of failed attempts for an IP in the current window.
 	 *
-	 * @since 1.0.0
-	 * @param string $ip IP address to check.
-	 * @return bool True if whitelisted.
+	 * @since 1.1.0
+	 * @param string|null $ip IP address. Defaults to current visitor IP.
+	 * @return int Failed attempts.
 	 */
-	public function is_ip_whitelisted( $ip ) {
-		$settings      = Plugin::instance()->settings();
-		$whitelist_ips = $settings->get( 'whitelist_ips' );
+	public function get_failure_count( $ip = null ) {
+		if ( ! $this->is_enabled() ) {
+			return 0;
+		}
 
-		if ( empty( $whitelist_ips ) ) {
-			return false;
+		$ip             = $ip ?? $this->get_client_ip();
+		$attempts       = get_option( self::ATTEMPTS_OPTION, array() );
+		$timestamps     = get_option( self::TIMESTAMPS_OPTION, array() );
+		$window_minutes = absint( Plugin::instance()->settings()->get( 'rate_limit_window' ) );
+		$window_minutes = $window_minutes > 0 ? $window_minutes : 60;
+
+		if ( ! is_array( $attempts ) || ! isset( $attempts[ $ip ] ) ) {
+			return 0;
+		}
+
+		// Attempts from an expired window are reset on the next failure.
+		if ( ! is_array( $timestamps ) || ! isset( $timestamps[ $ip ] ) || $timestamps[ $ip ] < time() - ( $window_minutes * 60 ) ) {
+			return 0;
 		}
 
-		$whitelist = array_map( 'trim', explode( "\n", $whitelist_ips ) );
-		$whitelist = array_filter( $whitelist );
+		return absint( $attempts[ $ip ] );
+	}
 
-		foreach ( $whitelist as $entry ) {
-			// Support CIDR notation.
-			if ( strpos( $entry, '/' ) !== false ) {
-				if ( $this->ip_in_cidr( $ip, $entry ) ) {
-					return true;
+	/**
+	 * Get the number of failed attempts that triggers a lockout.
+	 *
+	 * @since 1.1.0
+	 * @return int Failed attempts.
+	 */
+	public function get_max_attempts() {
+		$max_attempts = absint( Plugin::instance()->settings()->get( 'rate_limit_requests' ) );
+		return $max_attempts > 0 ? $max_attempts : 5;
+	}
+
+	/**
+	 * Get the lockout duration.
+	 *
+	 * @since 1.1.0
+	 * @return int Duration in minutes.
+	 */
+	public function get_lockout_duration() {
+		$lockout_duration = absint( Plugin::instance()->settings()->get( 'rate_limit_lockout' ) );
+		return $lockout_duration > 0 ? $lockout_duration : 15;
+	}
+
+	/**
+	 * Get the IPs that are locked out or have failed attempts.
+	 *
+	 * Expired lockouts and attempts from an expired window are left out.
+	 * Works while rate limiting is off, so old lockouts can be cleared.
+	 *
+	 * @since 1.1.0
+	 * @param string $search Optional. Only return IPs containing this text.
+	 * @return array List of arrays with ip, attempts, locked and remaining
+	 *               seconds, locked IPs first.
+	 */
+	public function get_tracked_ips( $search = '' ) {
+		$lockouts        = get_option( self::LOCKOUTS_OPTION, array() );
+		$locked_attempts = get_option( self::LOCKED_ATTEMPTS_OPTION, array() );
+		$attempts        = get_option( self::ATTEMPTS_OPTION, array() );
+		$timestamps      = get_option( self::TIMESTAMPS_OPTION, array() );
+		$window_minutes  = absint( Plugin::instance()->settings()->get( 'rate_limit_window' ) );
+		$window_start    = time() - ( ( $window_minutes > 0 ? $window_minutes : 60 ) * 60 );
+		$entries         = array();
+
+		foreach ( is_array( $attempts ) ? $attempts : array() as $ip => $count ) {
+			if ( isset( $timestamps[ $ip ] ) && $timestamps[ $ip ] >= $window_start ) {
+				$entries[ $ip ] = array(
+					'ip'        => (string) $ip,
+					'attempts'  => absint( $count ),
+					'locked'    => false,
+					'remaining' => 0,
+				);
+			}
+		}
+
+		foreach ( is_array( $lockouts ) ? $lockouts : array() as $ip => $lockout_time ) {
+			if ( $lockout_time > time() ) {
+				$count = isset( $entries[ $ip ] ) ? $entries[ $ip ]['attempts'] : 0;
+
+				// Attempts are reset when the lockout starts, so use the count that triggered it.
+				if ( is_array( $locked_attempts ) && isset( $locked_attempts[ $ip ] ) ) {
+					$count = max( $count, absint( $locked_attempts[ $ip ] ) );
 				}
-			} elseif ( $ip === $entry ) {
-				return true;
+
+				$entries[ $ip ] = array(
+					'ip'        => (string) $ip,
+					'attempts'  => $count,
+					'locked'    => true,
+					'remaining' => $lockout_time - time(),
+				);
 			}
 		}
 
-		return false;
+		if ( '' !== $search ) {
+			$entries = array_filter(
+				$entries,
+				function ( $entry ) use ( $search ) {
+					return false !== stripos( $entry['ip'], $search );
+				}
+			);
+		}
+
+		usort(
+			$entries,
+			function ( $a, $b ) {
+				if ( $a['locked'] !== $b['locked'] ) {
+					return $a['locked'] ? -1 : 1;
+				}
+				return array( $b['remaining'], $b['attempts'] ) <=> array( $a['remaining'], $a['attempts'] );
+			}
+		);
+
+		return $entries;
 	}
 
 	/**
-	 * Check if an IP matches a CIDR range.
+	 * Lift the lockout of an IP and forget its failed attempts.
 	 *
-	 * @since 1.0.0
-	 * @param string $ip   IP address to check.
-	 * @param string $cidr CIDR notation (e.g., 192.168.1.0/24).
-	 * @return bool True if IP is in range.
+	 * @since 1.1.0
+	 * @param string $ip IP address.
+	 * @return void
+	 */
+	public function unlock( $ip ) {
+		$lockouts = get_option( self::LOCKOUTS_OPTION, array() );
+
+		if ( is_array( $lockouts ) && isset( $lockouts[ $ip ] ) ) {
+			unset( $lockouts[ $ip ] );
+			update_option( self::LOCKOUTS_OPTION, $lockouts );
+		}
+
+		$this->forget_locked_attempts( $ip );
+
+		// The same cleanup as a successful verification.
+		$attempts   = get_option( self::ATTEMPTS_OPTION, array() );
+		$timestamps = get_option( self::TIMESTAMPS_OPTION, array() );
+
+		if ( is_array( $attempts ) && isset( $attempts[ $ip ] ) ) {
+			unset( $attempts[ $ip ] );
+			update_option( self::ATTEMPTS_OPTION, $attempts );
+		}
+
+		if ( is_array( $timestamps ) && isset( $timestamps[ $ip ] ) ) {
+			unset( $timestamps[ $ip ] );
+			update_option( self::TIMESTAMPS_OPTION, $timestamps );
+		}
+	}
+
+	/**
+	 * Forget the failed attempts that triggered the lockout of an IP.
+	 *
+	 * @since 1.1.0
+	 * @param string $ip IP address.
+	 * @return void
 	 */
-	private function ip_in_cidr( $ip, $cidr ) {
-		list( $subnet, $mask ) = explode( '/', $cidr );
+	private function forget_locked_attempts( $ip ) {
+		$locked_attempts = get_option( self::LOCKED_ATTEMPTS_OPTION, array() );
 
-		if ( filter_var( $ip, FILTER_VALIDATE_IP, FILTER_FLAG_IPV4 ) ) {
-			$ip_long     = ip2long( $ip );
-			$subnet_long = ip2long( $subnet );
-			$mask_long   = -1 << ( 32 - (int) $mask );
+		if ( is_array( $locked_attempts ) && isset( $locked_attempts[ $ip ] ) ) {
+			unset( $locked_attempts[ $ip ] );
+			update_option( self::LOCKED_ATTEMPTS_OPTION, $locked_attempts );
+		}
+	}
 
-			return ( $ip_long & $mask_long ) === ( $subnet_long & $mask_long );
+	/**
+	 * Extend the lockout of an IP, or lock it out now.
+	 *
+	 * @since 1.1.0
+	 * @param string $ip      IP address.
+	 * @param int    $minutes Optional. Minutes to add. Defaults to the
+	 *                        lockout duration setting.
+	 * @return int New lockout expiry timestamp.
+	 */
+	public function extend_lockout( $ip, $minutes = 0 ) {
+		$minutes  = $minutes > 0 ? absint( $minutes ) : $this->get_lockout_duration();
+		$lockouts = get_option( self::LOCKOUTS_OPTION, array() );
+
+		if ( ! is_array( $lockouts ) ) {
+			$lockouts = array();
 		}
 
-		return false;
+		$from            = isset( $lockouts[ $ip ] ) ? max( time(), $lockouts[ $ip ] ) : time();
+		$lockouts[ $ip ] = $from + ( $minutes * 60 );
+		update_option( self::LOCKOUTS_OPTION, $lockouts );
+
+		return $lockouts[ $ip ];
+	}
+
+	/**
+	 * Check if an IP is whitelisted.
+	 *
+	 * Uses the same matching as the whitelist check before verification,
+	 * including wildcards, IPv6 ranges and comments.
+	 *
+	 * @since 1.0.0
+	 * @param string $ip IP address to check.
+	 * @return bool True if whitelisted.
+	 */
+	public function is_ip_whitelisted( $ip ) {
+		return IP_Validator::instance()->is_ip_whitelisted( $ip );
 	}
 
 	/**
@@ -466,6 +647,11 @@ class Rate_Limiter {
 				}
 			}
 			update_option( self::LOCKOUTS_OPTION, $lockouts );
+
+			$locked_attempts = get_option( self::LOCKED_ATTEMPTS_OPTION, array() );
+			if ( is_array( $locked_attempts ) ) {
+				update_option( self::LOCKED_ATTEMPTS_OPTION, array_intersect_key( $locked_attempts, $lockouts ) );
+			}
 		}
 
 		// Clean up old attempts (older than 24 hours).
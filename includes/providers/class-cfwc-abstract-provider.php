@@ -26,6 +26,20 @@ defined( 'ABSPATH' ) || exit;
  */
 abstract class Abstract_Provider implements Provider_Interface {
 
+	/**
+	 * Seconds an unreachable provider counts as down.
+	 *
+	 * @var int
+	 */
+	const OUTAGE_TTL = 300;
+
+	/**
+	 * Seconds a successful health check is trusted.
+	 *
+	 * @var int
+	 */
+	const HEALTH_TTL = 60;
+
 	/**
 	 * Provider identifier.
 	 *
@@ -75,6 +89,34 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 */
 	protected $verify_endpoint = '';
 
+	/**
+	 * Site key overriding the settings, see set_keys().
+	 *
+	 * @var string|null
+	 */
+	protected $site_key = null;
+
+	/**
+	 * Secret key overriding the settings, see set_keys().
+	 *
+	 * @var string|null
+	 */
+	protected $secret_key = null;
+
+	/**
+	 * Decoded response of the last verification request.
+	 *
+	 * @var array|null
+	 */
+	protected $last_response = null;
+
+	/**
+	 * Form types rendered on this page, shared by all providers.
+	 *
+	 * @var array
+	 */
+	private static $rendered = array();
+
 	/**
 	 * Get the provider identifier.
 	 *
@@ -135,6 +177,34 @@ abstract class Abstract_Provider implements Provider_Interface {
 		return $this->token_field;
 	}
 
+	/**
+	 * Use these keys instead of the ones in settings.
+	 *
+	 * Providers from the Manager are shared, so call this on a clone.
+	 *
+	 * @since 1.1.0
+	 * @param string $site_key   Site key.
+	 * @param string $secret_key Secret key.
+	 * @return void
+	 */
+	public function set_keys( $site_key, $secret_key ) {
+		$this->site_key   = $site_key;
+		$this->secret_key = $secret_key;
+	}
+
+	/**
+	 * Get the decoded response of the last verification request.
+	 *
+	 * Holds the provider's raw fields, such as hostname, action, score
+	 * and error-codes, for diagnostics.
+	 *
+	 * @since 1.1.0
+	 * @return array|null Response data, or null if no request succeeded.
+	 */
+	public function get_last_response() {
+		return $this->last_response;
+	}
+
 	/**
 	 * Get the site key from settings.
 	 *
@@ -142,6 +212,10 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 * @return string Site key.
 	 */
 	protected function get_site_key() {
+		if ( null !== $this->site_key ) {
+			return $this->site_key;
+		}
+
 		return Plugin::instance()->settings()->get( 'site_key', '' );
 	}
 
@@ -152,6 +226,10 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 * @return string Secret key.
 	 */
 	protected function get_secret_key() {
+		if ( null !== $this->secret_key ) {
+			return $this->secret_key;
+		}
+
 		return Plugin::instance()->settings()->get( 'secret_key', '' );
 	}
 
@@ -169,7 +247,7 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 * Get widget size setting.
 	 *
 	 * @since 1.0.0
-	 * @return string Size (normal, compact).
+	 * @return string Size (normal, compact, flexible, invisible).
 	 */
 	protected function get_size() {
 		return Plugin::instance()->settings()->get( 'size', 'normal' );
@@ -183,16 +261,30 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 *
 	 * @since 1.0.0
 	 * @param string $form_type The form identifier.
-	 * @param array  $args      Optional. Additional arguments.
+	 * @param array  $args      Optional. Additional arguments. Accepts language, theme
+	 *                          and size to override the global settings.
 	 * @return void
 	 */
 	public function render( $form_type, $args = array() ) {
 		$defaults = array(
 			'container_class' => 'cfwc-captcha-field',
 			'container_id'    => 'cfwc-captcha-' . esc_attr( $form_type ),
+			'language'        => '',
+			'theme'           => $this->get_theme(),
+			'size'            => $this->get_size(),
 		);
 
-		$args = wp_parse_args( $args, $defaults );
+		/**
+		 * Filter the widget render arguments.
+		 *
+		 * Use to override language, theme or size for a single form,
+		 * e.g. a dark checkout with a light account area.
+		 *
+		 * @since 1.1.0
+		 * @param array  $args      Render arguments.
+		 * @param string $form_type The form identifier.
+		 */
+		$args = apply_filters( 'cfwc_widget_args', wp_parse_args( $args, $defaults ), $form_type );
 
 		/**
 		 * Filter the container class for the CAPTCHA widget.
@@ -202,18 +294,28 @@ abstract class Abstract_Provider implements Provider_Interface {
 		 * @param string $form_type The form identifier.
 		 */
 		$container_class = apply_filters( 'cfwc_widget_container_class', $args['container_class'], $form_type );
+
+		// A form can appear twice on a page, e.g. a login form in the header and the content.
+		// Only repeats get a suffix, so the first keeps the ID themes and scripts may target.
+		$args['instance_id']          = isset( self::$rendered[ $form_type ] ) ? wp_unique_id( $form_type . '-' ) : $form_type;
+		self::$rendered[ $form_type ] = true;
+
+		// Lazy forms are activated by JavaScript on scroll or focus.
+		$is_lazy = $this->requires_api_keys() && Plugin::instance()->settings()->is_form_lazy( $form_type );
 		?>
 		<div class="<?php echo esc_attr( $container_class ); ?>"
 			 role="group"
-			 aria-labelledby="cfwc-label-<?php echo esc_attr( $form_type ); ?>">
+			 data-form-type="<?php echo esc_attr( $form_type ); ?>"
+			 <?php echo $is_lazy ? 'data-cfwc-deferred="1"' : ''; ?>
+			 aria-labelledby="cfwc-label-<?php echo esc_attr( $args['instance_id'] ); ?>">
 
-			<label id="cfwc-label-<?php echo esc_attr( $form_type ); ?>" class="screen-reader-text">
+			<label id="cfwc-label-<?php echo esc_attr( $args['instance_id'] ); ?>" class="screen-reader-text">
 				<?php esc_html_e( 'Security verification', 'captcha-for-woocommerce' ); ?>
 			</label>
 
 			<?php $this->render_widget( $form_type, $args ); ?>
 
-			<p id="cfwc-description-<?php echo esc_attr( $form_type ); ?>" class="screen-reader-text">
+			<p id="cfwc-description-<?php echo esc_attr( $args['instance_id'] ); ?>" class="screen-reader-text">
 				<?php esc_html_e( 'Please complete this security check to continue.', 'captcha-for-woocommerce' ); ?>
 			</p>
 
@@ -227,6 +329,7 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 * Must be implemented by each provider to output their specific widget HTML.
 	 *
 	 * @since 1.0.0
+	 * @since 1.1.0 $args includes instance_id for element IDs: the form type, with a suffix on repeats.
 	 * @param string $form_type The form identifier.
 	 * @param array  $args      Additional arguments.
 	 * @return void
@@ -292,6 +395,8 @@ abstract class Abstract_Provider implements Provider_Interface {
 	 * @return array|\WP_Error Response array or error.
 	 */
 	protected function make_verification_request( $token, $secret_key = '' ) {
+		$this->last_response = null;
+
 		if ( empty( $secret_key ) ) {
 			$secret_key = $this->get_secret_key();
 		}
@@ -319,6 +424,10 @@ abstract class Abstract_Provider implements Provider_Interface {
 			)
 		);
 
+		if ( is_wp_error( $response ) || wp_remote_retrieve_response_code( $response ) >= 500 ) {
+			$this->set_unavailable();
+		}
+
 		if ( is_wp_error( $response ) ) {
 			return $response;
 		}
@@ -333,9 +442,49 @@ abstract class Abstract_Provider implements Provider_Interface {
 			);
 		}
 
+		$this->last_response = $data;
+
 		return $data;
 	}
 
+	/**
+	 * Check if the server knows the provider is down.
+	 *
+	 * Uses the outage recorded by make_verification_request(). Without
+	 * one, checks the verification endpoint and caches the answer, so a
+	 * flood of failsafe submissions sends at most one request a minute.
+	 *
+	 * @since 1.1.0
+	 * @return bool True if the provider could not be reached.
+	 */
+	public function is_unavailable() {
+		if ( '' === $this->verify_endpoint ) {
+			return false;
+		}
+
+		$key    = 'cfwc_provider_status_' . $this->get_id();
+		$status = get_transient( $key );
+
+		if ( false === $status ) {
+			$response = wp_remote_head( $this->verify_endpoint, array( 'timeout' => 5 ) );
+			$status   = is_wp_error( $response ) || wp_remote_retrieve_response_code( $response ) >= 500 ? 'down' : 'up';
+
+			set_transient( $key, $status, 'down' === $status ? self::OUTAGE_TTL : self::HEALTH_TTL );
+		}
+
+		return 'down' === $status;
+	}
+
+	/**
+	 * Record that the provider could not be reached.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	protected function set_unavailable() {
+		set_transient( 'cfwc_provider_status_' . $this->get_id(), 'down', self::OUTAGE_TTL );
+	}
+
 	/**
 	 * Create standardized error response.
 	 *
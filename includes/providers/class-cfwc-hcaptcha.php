@@ -80,24 +80,22 @@ class Hcaptcha extends Abstract_Provider {
 	 */
 	protected function render_widget( $form_type, $args ) {
 		$site_key = $this->get_site_key();
-		$theme    = $this->get_theme();
-		$size     = $this->get_size();
+		$theme    = ! empty( $args['theme'] ) ? $args['theme'] : $this->get_theme();
+		$size     = ! empty( $args['size'] ) ? $args['size'] : $this->get_size();
 
-		// Adjust theme for auto setting.
-		if ( 'auto' === $theme ) {
-			$theme = 'light';
-		}
+		// An 'auto' theme is resolved by frontend.js from the visitor's colour scheme.
 
-		$widget_id = 'cfwc-hcaptcha-' . esc_attr( $form_type );
+		$widget_id = 'cfwc-hcaptcha-' . $args['instance_id'];
 		?>
 		<div id="<?php echo esc_attr( $widget_id ); ?>"
 			 class="h-captcha"
 			 data-sitekey="<?php echo esc_attr( $site_key ); ?>"
 			 data-theme="<?php echo esc_attr( $theme ); ?>"
 			 data-size="<?php echo esc_attr( $size ); ?>"
+			 <?php echo ! empty( $args['language'] ) ? 'data-language="' . esc_attr( $args['language'] ) . '"' : ''; ?>
 			 data-callback="cfwHcaptchaCallback"
 			 data-expired-callback="cfwHcaptchaExpired"
-			 aria-describedby="cfwc-description-<?php echo esc_attr( $form_type ); ?>">
+			 aria-describedby="cfwc-description-<?php echo esc_attr( $args['instance_id'] ); ?>">
 		</div>
 		<?php
 	}
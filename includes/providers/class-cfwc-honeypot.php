@@ -10,6 +10,7 @@
  * - Multiple hidden decoy fields with site-unique naming
  * - Time-based submission detection (minimum and maximum age validation)
  * - JavaScript math challenge (detects headless browsers and automation)
+ * - Interaction signals scoring (pointer, typing cadence, focus order)
  * - Nonce protection against replay attacks
  * - Comprehensive spam logging and statistics
  *
@@ -160,6 +161,7 @@ class Honeypot extends Abstract_Provider {
 			'challengeA' => $js_challenge['a'],
 			'challengeB' => $js_challenge['b'],
 			'challengeC' => $js_challenge['c'],
+			'signals'    => $this->get_signal_threshold() > 0,
 		);
 	}
 
@@ -217,6 +219,43 @@ class Honeypot extends Abstract_Provider {
 	/**
 	 * Verify the honeypot submission.
 	 *
+	 * Reads the honeypot fields from $_POST and runs verify_data().
+	 *
+	 * @since 1.0.0
+	 * @param string $token Unused for honeypot.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public function verify( $token = '' ) {
+		return $this->verify_data( $this->get_posted_data() );
+	}
+
+	/**
+	 * Collect the honeypot fields from the submitted form.
+	 *
+	 * @since 1.1.0
+	 * @return array Honeypot data for verify_data().
+	 */
+	private function get_posted_data() {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce is verified in verify_data().
+		$field_name = $this->get_field_name();
+
+		$data = array(
+			'field'     => isset( $_POST[ $field_name ] ) ? sanitize_text_field( wp_unslash( $_POST[ $field_name ] ) ) : null,
+			'trap'      => isset( $_POST['alt_s'] ) ? sanitize_text_field( wp_unslash( $_POST['alt_s'] ) ) : '',
+			'nonce'     => isset( $_POST['cfwc_hp_nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_nonce'] ) ) : '',
+			'timestamp' => isset( $_POST['cfwc_hp_time'] ) ? absint( $_POST['cfwc_hp_time'] ) : 0,
+			'js'        => isset( $_POST['cfwc_hp_js'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_js'] ) ) : '',
+			'challenge' => isset( $_POST['cfwc_hp_challenge'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_challenge'] ) ) : '',
+			'signals'   => isset( $_POST['cfwc_hp_signals'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_signals'] ) ) : '',
+		);
+		// phpcs:enable
+
+		return $data;
+	}
+
+	/**
+	 * Verify honeypot data.
+	 *
 	 * Multi-layer verification:
 	 * 1. Honeypot field exists (proves JS ran)
 	 * 2. Visible trap field (alt_s) is empty
@@ -224,19 +263,44 @@ class Honeypot extends Abstract_Provider {
 	 * 4. Submission wasn't too fast
 	 * 5. Nonce is valid
 	 * 6. JavaScript challenge was solved (proves real browser)
+	 * 7. Interaction signals look human
 	 *
-	 * @since 1.0.0
-	 * @param string $token Unused for honeypot.
+	 * Used for form posts and for Block Checkout, where the fields
+	 * arrive as Store API extension data instead of $_POST.
+	 *
+	 * @since 1.1.0
+	 * @param array $data {
+	 *     Sanitized honeypot data.
+	 *
+	 *     @type string|null $field     Value of the JS-injected field, null if missing.
+	 *     @type string      $trap      Value of the visible trap field.
+	 *     @type string      $nonce     Honeypot nonce.
+	 *     @type int         $timestamp Time the form was rendered.
+	 *     @type string      $js        JavaScript challenge answer.
+	 *     @type string      $challenge Encoded challenge.
+	 *     @type string      $signals   Interaction signals from frontend.js.
+	 * }
 	 * @return bool|\WP_Error True on success, WP_Error on failure.
 	 */
-	public function verify( $token = '' ) {
-		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce is verified within this method.
+	public function verify_data( $data ) {
+		$data = wp_parse_args(
+			$data,
+			array(
+				'field'     => null,
+				'trap'      => '',
+				'nonce'     => '',
+				'timestamp' => 0,
+				'js'        => '',
+				'challenge' => '',
+				'signals'   => '',
+			)
+		);
 
 		$field_name = $this->get_field_name();
 
 		// Check 1: Verify the JS-injected honeypot field exists.
 		// If it doesn't exist, the bot didn't execute JavaScript.
-		if ( ! isset( $_POST[ $field_name ] ) ) {
+		if ( null === $data['field'] ) {
 			$this->log_spam_attempt( 'no_js_field', 'Honeypot field missing - JavaScript not executed' );
 			return $this->create_error(
 				'no_js',
@@ -246,8 +310,7 @@ class Honeypot extends Abstract_Provider {
 
 		// Check 2: Verify the visible trap field (alt_s) is empty.
 		// Bots will typically fill this thinking it's a real field.
-		$alt_s = isset( $_POST['alt_s'] ) ? sanitize_text_field( wp_unslash( $_POST['alt_s'] ) ) : '';
-		if ( ! empty( $alt_s ) ) {
+		if ( ! empty( $data['trap'] ) ) {
 			$this->log_spam_attempt( 'trap_filled', 'Visible trap field was filled' );
 			return $this->create_error(
 				'trap_filled',
@@ -256,10 +319,10 @@ class Honeypot extends Abstract_Provider {
 		}
 
 		// Get other verification fields.
-		$nonce       = isset( $_POST['cfwc_hp_nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_nonce'] ) ) : '';
-		$timestamp   = isset( $_POST['cfwc_hp_time'] ) ? absint( $_POST['cfwc_hp_time'] ) : 0;
-		$js_response = isset( $_POST['cfwc_hp_js'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_js'] ) ) : '';
-		$challenge   = isset( $_POST['cfwc_hp_challenge'] ) ? sanitize_text_field( wp_unslash( $_POST['cfwc_hp_challenge'] ) ) : '';
+		$nonce       = $data['nonce'];
+		$timestamp   = absint( $data['timestamp'] );
+		$js_response = $data['js'];
+		$challenge   = $data['challenge'];
 
 		// Check 3: Verify timestamp exists and is reasonable.
 		if ( empty( $timestamp ) || $timestamp > time() ) {
@@ -315,20 +378,181 @@ class Honeypot extends Abstract_Provider {
 			}
 		}
 
-		// phpcs:enable
+		// Check 8: Interaction signals (catches headless browsers that wait out the timer).
+		$threshold = $this->get_signal_threshold();
+
+		if ( $threshold > 0 ) {
+			$signals = $this->score_signals( $data['signals'] );
+
+			if ( $signals['score'] < $threshold ) {
+				$this->log_spam_attempt(
+					'low_signal_score',
+					sprintf( 'Interaction score %.2f (threshold: %.2f)', $signals['score'], $threshold ),
+					$signals['reasons']
+				);
+				return $this->create_error(
+					'low_signal_score',
+					__( 'Security check failed. Please try again.', 'captcha-for-woocommerce' )
+				);
+			}
+		}
 
 		return true;
 	}
 
+	/**
+	 * Score the interaction signals collected by frontend.js.
+	 *
+	 * Starts at 1 and subtracts the penalty of every sign of automation.
+	 * The signals are counts and timings only, never what was typed.
+	 *
+	 * @since 1.1.0
+	 * @param string $payload Payload from the cfwc_hp_signals field.
+	 * @return array {
+	 *     @type float    $score   Score from 0 to 1.
+	 *     @type string[] $reasons Descriptions of the penalties applied, keyed by signal.
+	 * }
+	 */
+	public function score_signals( $payload ) {
+		$signals = $this->decode_signals( $payload );
+
+		if ( null === $signals ) {
+			return array(
+				'score'   => 0.0,
+				'reasons' => array( 'invalid' => 'Signals missing or malformed' ),
+			);
+		}
+
+		$reasons = array();
+
+		if ( $signals['d'] < 0 ) {
+			$reasons['no_interaction'] = 'No pointer, touch, keyboard or focus events';
+		} else {
+			if ( ! $signals['p'] ) {
+				$reasons['no_pointer'] = 'No pointer movement or touch';
+			}
+
+			if ( ! $signals['k'] && ! $signals['ps'] ) {
+				$reasons['no_input'] = 'No keystrokes or paste';
+			}
+
+			if ( $signals['k'] >= 6 && $signals['v'] < 10 ) {
+				$reasons['uniform_typing'] = sprintf( '%d keystrokes with %dms interval deviation', $signals['k'], $signals['v'] );
+			}
+
+			if ( $signals['u'] > 0 ) {
+				$reasons['unfocused_typing'] = sprintf( '%d keystrokes outside the focused field', $signals['u'] );
+			}
+
+			if ( $signals['d'] < 800 ) {
+				$reasons['fast_submit'] = sprintf( 'Submitted %dms after the first interaction', $signals['d'] );
+			}
+		}
+
+		$penalties = $this->get_signal_penalties();
+		$score     = 1.0;
+
+		foreach ( array_keys( $reasons ) as $signal ) {
+			$score -= isset( $penalties[ $signal ] ) ? $penalties[ $signal ] : 0;
+		}
+
+		return array(
+			'score'   => max( 0.0, round( $score, 2 ) ),
+			'reasons' => $reasons,
+		);
+	}
+
+	/**
+	 * Decode a signals payload.
+	 *
+	 * The payload is built in the browser and is not authenticated: a
+	 * bot that runs frontend.js can send any values. Scoring only
+	 * raises the cost of automation, it can't prove a human.
+	 *
+	 * @since 1.1.0
+	 * @param string $payload Payload: base64 JSON.
+	 * @return array|null Signals, or null if the payload is invalid.
+	 */
+	private function decode_signals( $payload ) {
+		$signals = json_decode( base64_decode( (string) $payload, true ), true );
+
+		if ( ! is_array( $signals ) ) {
+			return null;
+		}
+
+		return array_map(
+			'intval',
+			wp_parse_args(
+				$signals,
+				array(
+					'p'  => 0,
+					'k'  => 0,
+					'v'  => 0,
+					'u'  => 0,
+					'ps' => 0,
+					'd'  => -1,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Get the score penalty of each signal.
+	 *
+	 * @since 1.1.0
+	 * @return array Penalties keyed by signal.
+	 */
+	private function get_signal_penalties() {
+		/**
+		 * Filter the interaction signal penalties.
+		 *
+		 * @since 1.1.0
+		 * @param array $penalties Penalties from 0 to 1, keyed by signal: no_interaction,
+		 *                         no_pointer, no_input, uniform_typing, unfocused_typing
+		 *                         and fast_submit.
+		 */
+		return apply_filters(
+			'cfwc_honeypot_signal_penalties',
+			array(
+				'no_interaction'   => 0.7,
+				'no_pointer'       => 0.2,
+				'no_input'         => 0.1,
+				'uniform_typing'   => 0.3,
+				'unfocused_typing' => 0.3,
+				'fast_submit'      => 0.2,
+			)
+		);
+	}
+
+	/**
+	 * Get the minimum interaction score.
+	 *
+	 * @since 1.1.0
+	 * @return float Threshold; 0 turns signal scoring off.
+	 */
+	private function get_signal_threshold() {
+		$threshold = Plugin::instance()->settings()->get( 'honeypot_signal_threshold', 0 );
+
+		/**
+		 * Filter the minimum interaction score for honeypot verification.
+		 *
+		 * @since 1.1.0
+		 * @param float $threshold Threshold from 0 to 1; 0 turns signal scoring off. Default 0.
+		 */
+		return (float) apply_filters( 'cfwc_honeypot_signal_threshold', (float) $threshold );
+	}
+
 	/**
 	 * Log spam attempt for statistics.
 	 *
 	 * @since 1.0.0
-	 * @param string $reason      Short reason code.
-	 * @param string $description Detailed description.
+	 * @since 1.1.0 Added the $signals parameter.
+	 * @param string   $reason      Short reason code.
+	 * @param string   $description Detailed description.
+	 * @param string[] $signals     Optional. Descriptions of the failed interaction signals, keyed by signal.
 	 * @return void
 	 */
-	private function log_spam_attempt( $reason, $description ) {
+	private function log_spam_attempt( $reason, $description, $signals = array() ) {
 		// Update spam counter.
 		$stats = get_option( 'cfwc_honeypot_stats', array( 'total' => 0, 'today' => array( 'date' => '', 'count' => 0 ) ) );
 
@@ -339,8 +563,18 @@ class Honeypot extends Abstract_Provider {
 
 		$stats['total']++;
 		$stats['today']['count']++;
+
+		// Count each failed signal, to see which ones catch bots.
+		foreach ( array_keys( $signals ) as $signal ) {
+			$stats['signals'][ $signal ] = isset( $stats['signals'][ $signal ] ) ? $stats['signals'][ $signal ] + 1 : 1;
+		}
+
 		update_option( 'cfwc_honeypot_stats', $stats );
 
+		foreach ( $signals as $signal => $signal_description ) {
+			$description .= sprintf( '; %s: %s', $signal, $signal_description );
+		}
+
 		// Debug logging if enabled.
 		if ( 'yes' === Plugin::instance()->settings()->get( 'enable_debug_logging' ) ) {
 			\CFWC\Logger::log(
@@ -72,6 +72,9 @@ class Manager {
 
 		// Self-hosted honeypot.
 		$this->register( new Honeypot() );
+
+		// Self-hosted proof-of-work.
+		$this->register( new Proof_Of_Work() );
 	}
 
 	/**
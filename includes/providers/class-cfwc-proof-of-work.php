@@ -0,0 +1,286 @@
+<?php
+/**
+ * Self-Hosted Proof-of-Work Provider.
+ *
+ * The browser solves a hashcash-style puzzle signed by the server:
+ * it searches for a nonce whose SHA-256 hash starts with a number of
+ * zero bits. Cheap for one visitor, expensive for a bot sending
+ * thousands of requests. No external API required.
+ *
+ * Features:
+ * - Puzzles are fetched over AJAX, so cached pages stay valid
+ * - Solved in a Web Worker while the visitor fills in the form
+ * - Puzzles are signed, bound to the visitor IP and single use
+ * - Difficulty grows with the failed attempts of the IP
+ *
+ * @package Captcha_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace CFWC\Providers;
+
+use CFWC\Plugin;
+use CFWC\Protection\Rate_Limiter;
+
+// Prevent direct file access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Proof_Of_Work class.
+ *
+ * Issues and verifies proof-of-work puzzles. The token is the puzzle
+ * followed by the nonce that solves it.
+ *
+ * @since 1.1.0
+ */
+class Proof_Of_Work extends Abstract_Provider {
+
+	/**
+	 * Provider identifier.
+	 *
+	 * @var string
+	 */
+	protected $id = 'proof_of_work';
+
+	/**
+	 * Provider name.
+	 *
+	 * @var string
+	 */
+	protected $name = 'Self-Hosted Proof-of-Work';
+
+	/**
+	 * Whether API keys are required.
+	 *
+	 * @var bool
+	 */
+	protected $requires_keys = false;
+
+	/**
+	 * Token field name in form submission.
+	 *
+	 * @var string
+	 */
+	protected $token_field = 'cfwc_pow_token';
+
+	/**
+	 * AJAX action that hands out puzzles.
+	 *
+	 * @var string
+	 */
+	const AJAX_ACTION = 'cfwc_pow_challenge';
+
+	/**
+	 * Seconds a puzzle stays valid.
+	 *
+	 * @var int
+	 */
+	const CHALLENGE_TTL = 1800;
+
+	/**
+	 * Default difficulty in leading zero bits.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_DIFFICULTY = 18;
+
+	/**
+	 * Highest difficulty, reached after repeated failures.
+	 *
+	 * Each bit doubles the work; 24 bits take a phone about a minute.
+	 *
+	 * @var int
+	 */
+	const MAX_DIFFICULTY = 24;
+
+	/**
+	 * Transient prefix marking solved puzzles as used.
+	 *
+	 * @var string
+	 */
+	const USED_PREFIX = 'cfwc_pow_';
+
+	/**
+	 * Get the provider description.
+	 *
+	 * @since 1.1.0
+	 * @return string Provider description.
+	 */
+	public function get_description() {
+		return __( 'No API keys and no external requests. The browser solves a small computational puzzle in the background while the visitor fills in the form. Bots pay for every submission, and more after failed attempts.', 'captcha-for-woocommerce' );
+	}
+
+	/**
+	 * Render the proof-of-work container.
+	 *
+	 * JavaScript fetches a puzzle and writes the solution to the token field.
+	 *
+	 * @since 1.1.0
+	 * @param string $form_type The form identifier.
+	 * @param array  $args      Additional arguments.
+	 * @return void
+	 */
+	protected function render_widget( $form_type, $args ) {
+		?>
+		<div id="cfwc-pow-<?php echo esc_attr( $args['instance_id'] ); ?>"
+			 class="cfwc-pow"
+			 aria-hidden="true">
+			<input type="hidden"
+				   name="<?php echo esc_attr( $this->token_field ); ?>"
+				   value="">
+		</div>
+		<?php
+	}
+
+	/**
+	 * Create a signed puzzle for the current visitor.
+	 *
+	 * @since 1.1.0
+	 * @return array Puzzle string, difficulty in bits and expiry timestamp.
+	 */
+	public function create_challenge() {
+		$expires    = time() + self::CHALLENGE_TTL;
+		$difficulty = $this->get_difficulty();
+		$salt       = wp_generate_password( 16, false );
+
+		return array(
+			'challenge'  => implode( ':', array( $expires, $difficulty, $salt, $this->get_signature( $expires, $difficulty, $salt ) ) ),
+			'difficulty' => $difficulty,
+			'expires'    => $expires,
+		);
+	}
+
+	/**
+	 * Get the puzzle difficulty for the current visitor.
+	 *
+	 * Adds one bit, doubling the work, for every failed attempt of the
+	 * IP in the rate limiting window.
+	 *
+	 * @since 1.1.0
+	 * @return int Difficulty in leading zero bits.
+	 */
+	public function get_difficulty() {
+		$base     = absint( Plugin::instance()->settings()->get( 'pow_difficulty', self::DEFAULT_DIFFICULTY ) );
+		$base     = $base > 0 ? $base : self::DEFAULT_DIFFICULTY;
+		$failures = Rate_Limiter::instance()->get_failure_count();
+
+		/**
+		 * Filter the proof-of-work difficulty.
+		 *
+		 * @since 1.1.0
+		 * @param int $difficulty Difficulty in leading zero bits.
+		 * @param int $failures   Failed attempts of the visitor IP.
+		 */
+		$difficulty = (int) apply_filters( 'cfwc_pow_difficulty', $base + $failures, $failures );
+
+		return max( 1, min( self::MAX_DIFFICULTY, $difficulty ) );
+	}
+
+	/**
+	 * Verify the proof-of-work solution.
+	 *
+	 * @since 1.1.0
+	 * @param string $token Optional. The solution token.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public function verify( $token = '' ) {
+		$token = $this->get_token( $token );
+
+		if ( empty( $token ) ) {
+			return $this->create_error(
+				'missing_token',
+				__( 'Security verification is still running. Please wait a moment and try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		$parts = explode( ':', $token );
+
+		if ( 5 !== count( $parts ) ) {
+			return $this->create_error(
+				'invalid_token',
+				__( 'Security verification failed. Please refresh and try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		list( $expires, $difficulty, $salt, $signature ) = $parts;
+
+		if ( ! hash_equals( $this->get_signature( $expires, $difficulty, $salt ), $signature ) ) {
+			return $this->create_error(
+				'invalid_signature',
+				__( 'Security verification failed. Please refresh and try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		if ( (int) $expires < time() ) {
+			return $this->create_error(
+				'expired',
+				__( 'Security verification expired. Please refresh and try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		if ( ! $this->has_leading_zero_bits( hash( 'sha256', $token ), (int) $difficulty ) ) {
+			return $this->create_error(
+				'invalid_solution',
+				__( 'Security verification failed. Please try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		// A solved puzzle can't be replayed until it expires anyway.
+		if ( get_transient( self::USED_PREFIX . $salt ) ) {
+			return $this->create_error(
+				'already_used',
+				__( 'Security verification expired. Please try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		set_transient( self::USED_PREFIX . $salt, 1, max( 1, (int) $expires - time() ) );
+
+		return true;
+	}
+
+	/**
+	 * Check that a hex hash starts with the given number of zero bits.
+	 *
+	 * @since 1.1.0
+	 * @param string $hash Hex encoded hash.
+	 * @param int    $bits Number of leading zero bits.
+	 * @return bool True if the hash meets the difficulty.
+	 */
+	private function has_leading_zero_bits( $hash, $bits ) {
+		$zeros = (int) floor( $bits / 4 );
+		$rest  = $bits % 4;
+
+		if ( substr( $hash, 0, $zeros ) !== str_repeat( '0', $zeros ) ) {
+			return false;
+		}
+
+		return 0 === $rest || hexdec( $hash[ $zeros ] ) < ( 1 << ( 4 - $rest ) );
+	}
+
+	/**
+	 * Sign a puzzle for the visitor's IP.
+	 *
+	 * @since 1.1.0
+	 * @param int|string $expires    Expiry timestamp.
+	 * @param int|string $difficulty Difficulty in bits.
+	 * @param string     $salt       Random puzzle salt.
+	 * @return string Signature.
+	 */
+	private function get_signature( $expires, $difficulty, $salt ) {
+		return wp_hash( 'cfwc_pow|' . $expires . '|' . $difficulty . '|' . $salt . '|' . $this->get_client_ip() );
+	}
+
+	/**
+	 * Test the connection.
+	 *
+	 * Proof-of-work doesn't need API keys, so this always succeeds.
+	 *
+	 * @since 1.1.0
+	 * @param string $site_key   Unused.
+	 * @param string $secret_key Unused.
+	 * @return bool Always true.
+	 */
+	public function test_connection( $site_key, $secret_key ) {
+		return true;
+	}
+}
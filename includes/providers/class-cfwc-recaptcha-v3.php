@@ -60,6 +60,27 @@ class Recaptcha_V3 extends Abstract_Provider {
 	 */
 	protected $api_key_url = 'https://www.google.com/recaptcha/admin/create';
 
+	/**
+	 * Cookie marking a visitor who must complete the fallback challenge.
+	 *
+	 * @var string
+	 */
+	const CHALLENGE_COOKIE = 'cfwc_challenge';
+
+	/**
+	 * How long a requested challenge can be answered, in seconds.
+	 *
+	 * @var int
+	 */
+	const CHALLENGE_TTL = 600;
+
+	/**
+	 * Providers that can serve the fallback challenge.
+	 *
+	 * @var string[]
+	 */
+	const CHALLENGE_PROVIDERS = array( 'recaptcha_v2', 'turnstile', 'hcaptcha' );
+
 	/**
 	 * Get the provider description.
 	 *
@@ -76,7 +97,8 @@ class Recaptcha_V3 extends Abstract_Provider {
 	 * Render the reCAPTCHA v3 widget.
 	 *
 	 * v3 is invisible, so we render a hidden input that will
-	 * be populated with the token via JavaScript.
+	 * be populated with the token via JavaScript when the form
+	 * is submitted. The form type is used as the action name.
 	 *
 	 * @since 1.0.0
 	 * @param string $form_type The form identifier.
@@ -85,7 +107,7 @@ class Recaptcha_V3 extends Abstract_Provider {
 	 */
 	protected function render_widget( $form_type, $args ) {
 		$site_key  = $this->get_site_key();
-		$widget_id = 'cfwc-recaptcha-v3-' . esc_attr( $form_type );
+		$widget_id = 'cfwc-recaptcha-v3-' . $args['instance_id'];
 		?>
 		<div id="<?php echo esc_attr( $widget_id ); ?>"
 			 class="cfwc-recaptcha-v3"
@@ -94,7 +116,6 @@ class Recaptcha_V3 extends Abstract_Provider {
 			 aria-hidden="true">
 			<input type="hidden"
 				   name="<?php echo esc_attr( $this->token_field ); ?>"
-				   id="cfwc-recaptcha-token-<?php echo esc_attr( $form_type ); ?>"
 				   value="">
 		</div>
 		<?php
@@ -103,11 +124,59 @@ class Recaptcha_V3 extends Abstract_Provider {
 	/**
 	 * Verify the reCAPTCHA v3 response.
 	 *
+	 * When a form type is given, the token must have been issued for
+	 * that action, so a token from one form can't be replayed on another.
+	 *
 	 * @since 1.0.0
-	 * @param string $token Optional. The response token.
+	 * @since 1.1.0 Added the $form_type parameter.
+	 * @param string $token     Optional. The response token.
+	 * @param string $form_type Optional. The form identifier, used as the expected action.
 	 * @return bool|\WP_Error True on success, WP_Error on failure.
 	 */
-	public function verify( $token = '' ) {
+	public function verify( $token = '', $form_type = '' ) {
+		// After a low score the visitor answers the fallback challenge instead.
+		if ( $this->is_challenge_submission() ) {
+			return $this->verify_challenge();
+		}
+
+		$result = $this->check_token( $token, $form_type );
+
+		if ( ! is_wp_error( $result ) || 'cfwc_low_score' !== $result->get_error_code() ) {
+			return $result;
+		}
+
+		// Scores between the floor and the threshold get the fallback challenge.
+		$data  = $result->get_error_data();
+		$score = $data['score'];
+
+		if ( $score >= $this->get_score_floor() && $this->get_challenge_provider() ) {
+			$this->request_challenge();
+
+			return $this->create_error(
+				'challenge_required',
+				__( 'Please complete the additional security check and submit again.', 'captcha-for-woocommerce' ),
+				array(
+					'score'     => $score,
+					'challenge' => $this->get_challenge_provider()->get_id(),
+				)
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Check a token, its action and its score.
+	 *
+	 * Unlike verify(), never asks the visitor for the fallback
+	 * challenge, so it can be used to test keys.
+	 *
+	 * @since 1.1.0
+	 * @param string $token     Optional. The response token.
+	 * @param string $form_type Optional. The form identifier, used as the expected action.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public function check_token( $token = '', $form_type = '' ) {
 		$token = $this->get_token( $token );
 
 		if ( empty( $token ) ) {
@@ -133,6 +202,20 @@ class Recaptcha_V3 extends Abstract_Provider {
 			);
 		}
 
+		// Check the action matches the form.
+		$action = isset( $response['action'] ) ? $response['action'] : '';
+
+		if ( '' !== $form_type && $action !== $form_type ) {
+			return $this->create_error(
+				'action_mismatch',
+				__( 'CAPTCHA verification failed. Please try again.', 'captcha-for-woocommerce' ),
+				array(
+					'expected' => $form_type,
+					'action'   => $action,
+				)
+			);
+		}
+
 		// Check the score for v3.
 		$threshold = $this->get_score_threshold();
 		$score     = isset( $response['score'] ) ? floatval( $response['score'] ) : 0;
@@ -166,6 +249,165 @@ class Recaptcha_V3 extends Abstract_Provider {
 		return (float) apply_filters( 'cfwc_recaptcha_v3_threshold', $threshold );
 	}
 
+	/**
+	 * Get the score below which no fallback challenge is offered.
+	 *
+	 * @since 1.1.0
+	 * @return float The hard score floor (0.0 to 1.0).
+	 */
+	private function get_score_floor() {
+		$floor = Plugin::instance()->settings()->get( 'score_floor', 0.1 );
+
+		/**
+		 * Filter the reCAPTCHA v3 hard score floor.
+		 *
+		 * Scores between the floor and the threshold get a fallback
+		 * challenge; scores below the floor are rejected outright.
+		 *
+		 * @since 1.1.0
+		 * @param float $floor The score floor.
+		 */
+		return (float) apply_filters( 'cfwc_recaptcha_v3_score_floor', $floor );
+	}
+
+	/**
+	 * Get the provider that serves the fallback challenge.
+	 *
+	 * @since 1.1.0
+	 * @return Abstract_Provider|null Provider using the challenge keys, or null if escalation is off.
+	 */
+	public function get_challenge_provider() {
+		$settings    = Plugin::instance()->settings();
+		$provider_id = $settings->get( 'escalation_provider', '' );
+		$site_key    = $settings->get( 'escalation_site_key', '' );
+		$secret_key  = $settings->get( 'escalation_secret_key', '' );
+
+		if ( ! in_array( $provider_id, self::CHALLENGE_PROVIDERS, true ) || empty( $site_key ) || empty( $secret_key ) ) {
+			return null;
+		}
+
+		$provider = Plugin::instance()->providers()->get_provider( $provider_id );
+
+		if ( ! $provider instanceof Abstract_Provider ) {
+			return null;
+		}
+
+		$provider = clone $provider;
+		$provider->set_keys( $site_key, $secret_key );
+
+		return $provider;
+	}
+
+	/**
+	 * Verify a fallback challenge response.
+	 *
+	 * Only accepted from a visitor who was asked for the challenge, so
+	 * scores below the floor can't skip straight to it.
+	 *
+	 * @since 1.1.0
+	 * @param string $token Optional. The challenge token; read from POST if empty.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public function verify_challenge( $token = '' ) {
+		$provider = $this->get_challenge_provider();
+
+		if ( ! $provider || ! $this->has_pending_challenge() ) {
+			return $this->create_error(
+				'challenge_not_requested',
+				__( 'CAPTCHA verification failed. Please refresh and try again.', 'captcha-for-woocommerce' )
+			);
+		}
+
+		$result = $provider->verify( $token );
+
+		// Passed, so the visitor's other forms go back to reCAPTCHA v3.
+		if ( ! is_wp_error( $result ) ) {
+			$this->clear_challenge();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Check if the form carries a fallback challenge response.
+	 *
+	 * @since 1.1.0
+	 * @return bool True if frontend.js swapped in the challenge widget.
+	 */
+	private function is_challenge_submission() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Only selects the verification path; the token is verified next.
+		return isset( $_POST['cfwc_challenge'] ) && '' !== sanitize_key( wp_unslash( $_POST['cfwc_challenge'] ) );
+	}
+
+	/**
+	 * Mark the visitor as needing the fallback challenge.
+	 *
+	 * The cookie is readable by frontend.js, which swaps in the challenge
+	 * widget, and signed for the visitor's IP so it can't be forged.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function request_challenge() {
+		$expires = time() + self::CHALLENGE_TTL;
+		$value   = $expires . '|' . $this->get_challenge_signature( $expires );
+
+		$_COOKIE[ self::CHALLENGE_COOKIE ] = $value;
+
+		if ( headers_sent() ) {
+			return;
+		}
+
+		setcookie( self::CHALLENGE_COOKIE, $value, $expires, COOKIEPATH ? COOKIEPATH : '/', COOKIE_DOMAIN, is_ssl(), false );
+	}
+
+	/**
+	 * Remove the visitor's challenge cookie.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function clear_challenge() {
+		unset( $_COOKIE[ self::CHALLENGE_COOKIE ] );
+
+		if ( headers_sent() ) {
+			return;
+		}
+
+		setcookie( self::CHALLENGE_COOKIE, '', time() - HOUR_IN_SECONDS, COOKIEPATH ? COOKIEPATH : '/', COOKIE_DOMAIN, is_ssl(), false );
+	}
+
+	/**
+	 * Check if the visitor holds a valid challenge cookie.
+	 *
+	 * @since 1.1.0
+	 * @return bool True if a challenge was requested and has not expired.
+	 */
+	private function has_pending_challenge() {
+		if ( empty( $_COOKIE[ self::CHALLENGE_COOKIE ] ) ) {
+			return false;
+		}
+
+		$parts = explode( '|', sanitize_text_field( wp_unslash( $_COOKIE[ self::CHALLENGE_COOKIE ] ) ), 2 );
+
+		if ( 2 !== count( $parts ) || absint( $parts[0] ) < time() ) {
+			return false;
+		}
+
+		return hash_equals( $this->get_challenge_signature( absint( $parts[0] ) ), $parts[1] );
+	}
+
+	/**
+	 * Sign a challenge expiry for the current visitor.
+	 *
+	 * @since 1.1.0
+	 * @param int $expires Expiry timestamp.
+	 * @return string Signature.
+	 */
+	private function get_challenge_signature( $expires ) {
+		return wp_hash( 'cfwc_challenge|' . $expires . '|' . $this->get_client_ip() );
+	}
+
 	/**
 	 * Test the API connection.
 	 *
@@ -80,22 +80,23 @@ class Turnstile extends Abstract_Provider {
 	 */
 	protected function render_widget( $form_type, $args ) {
 		$site_key = $this->get_site_key();
-		$theme    = $this->get_theme();
-		$size     = $this->get_size();
+		$theme    = ! empty( $args['theme'] ) ? $args['theme'] : $this->get_theme();
+		$size     = ! empty( $args['size'] ) ? $args['size'] : $this->get_size();
 
 		// Generate unique ID for this widget instance.
-		$widget_id = 'cfwc-turnstile-' . esc_attr( $form_type );
+		$widget_id = 'cfwc-turnstile-' . $args['instance_id'];
 		?>
 		<div id="<?php echo esc_attr( $widget_id ); ?>"
 			 class="cf-turnstile"
 			 data-sitekey="<?php echo esc_attr( $site_key ); ?>"
 			 data-theme="<?php echo esc_attr( $theme ); ?>"
 			 data-size="<?php echo esc_attr( $size ); ?>"
+			 <?php echo ! empty( $args['language'] ) ? 'data-language="' . esc_attr( $args['language'] ) . '"' : ''; ?>
 			 data-retry="auto"
 			 data-retry-interval="1000"
 			 data-refresh-expired="auto"
 			 data-action="<?php echo esc_attr( $form_type ); ?>"
-			 aria-describedby="cfwc-description-<?php echo esc_attr( $form_type ); ?>">
+			 aria-describedby="cfwc-description-<?php echo esc_attr( $args['instance_id'] ); ?>">
 		</div>
 		<?php
 	}
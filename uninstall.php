@@ -44,13 +44,21 @@ $cfwc_wc_options = array(
 	'cfwc_theme',
 	'cfwc_size',
 	'cfwc_score_threshold',
+	'cfwc_score_floor',
+	'cfwc_escalation_provider',
+	'cfwc_escalation_site_key',
+	'cfwc_escalation_secret_key',
+	'cfwc_pow_difficulty',
 	'cfwc_forms',
+	'cfwc_lazy_forms',
 	'cfwc_whitelist_logged_in',
 	'cfwc_whitelist_roles',
 	'cfwc_whitelist_ips',
 	'cfwc_blocklist_ips',
 	'cfwc_enable_honeypot',
+	'cfwc_auto_protect',
 	'cfwc_honeypot_min_time',
+	'cfwc_honeypot_signal_threshold',
 	'cfwc_failsafe_mode',
 	'cfwc_enable_debug_logging',
 	'cfwc_delete_data_on_uninstall',
@@ -72,21 +80,29 @@ delete_option( 'cfwc_config_notice_dismissed' );
 // Delete rate limiter data.
 delete_option( 'cfwc_failed_attempts' );
 delete_option( 'cfwc_lockouts' );
+delete_option( 'cfwc_lockout_attempts' );
 delete_option( 'cfwc_attempt_timestamps' );
 
-// Delete statistics.
+// Delete statistics, including one option per day.
+global $wpdb;
+
 delete_option( 'cfwc_protection_stats' );
 
+// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Option names aren't known in advance.
+$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s", $wpdb->esc_like( 'cfwc_protection_daily_' ) . '%' ) );
+
 // Delete transients.
 delete_transient( 'cfwc_connection_test' );
 
+foreach ( array( 'turnstile', 'recaptcha_v2', 'recaptcha_v3', 'hcaptcha' ) as $cfwc_provider_id ) {
+	delete_transient( 'cfwc_provider_status_' . $cfwc_provider_id );
+}
+
 // Clean up any scheduled events.
 wp_clear_scheduled_hook( 'cfwc_cleanup' );
 
 // For multisite, clean up each site.
 if ( is_multisite() ) {
-	global $wpdb;
-
 	// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Required for multisite cleanup during uninstall.
 	$cfwc_blog_ids = $wpdb->get_col( "SELECT blog_id FROM {$wpdb->blogs}" );
 
@@ -100,14 +116,23 @@ if ( is_multisite() ) {
 		delete_option( 'cfwc_config_notice_dismissed' );
 		delete_option( 'cfwc_failed_attempts' );
 		delete_option( 'cfwc_lockouts' );
+		delete_option( 'cfwc_lockout_attempts' );
 		delete_option( 'cfwc_attempt_timestamps' );
 		delete_option( 'cfwc_protection_stats' );
 
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Option names aren't known in advance.
+		$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s", $wpdb->esc_like( 'cfwc_protection_daily_' ) . '%' ) );
+
 		foreach ( $cfwc_wc_options as $cfwc_option ) {
 			delete_option( $cfwc_option );
 		}
 
 		delete_transient( 'cfwc_connection_test' );
+
+		foreach ( array( 'turnstile', 'recaptcha_v2', 'recaptcha_v3', 'hcaptcha' ) as $cfwc_provider_id ) {
+			delete_transient( 'cfwc_provider_status_' . $cfwc_provider_id );
+		}
+
 		wp_clear_scheduled_hook( 'cfwc_cleanup' );
 
 		restore_current_blog();